@@ -1,94 +1,147 @@
 import { Route, BrowserRouter as Router, Routes } from "react-router-dom";
 import "./App.css";
 import { AuthProvider } from "./context/AuthContext";
+import { CartProvider } from "./context/CartContext";
 import RegisterPage from "./pages/RegisterPage";
 import LoginPage from "./pages/LoginPage";
 import HomePage from "./pages/HomePage";
 import AddProduct from "./components/products/AddProduct";
 import PrivateRoute from "./components/common/PrivateRoute";
+import RoleRoute from "./components/common/RoleRoute";
+import { PRODUCT_MANAGER_ROLES } from "./utils/roles";
 import EditProduct from "./components/products/EditProduct";
 import Navbar from "./components/common/Navbar";
 import Footer from "./components/common/Footer";
+import IdleSessionModal from "./components/common/IdleSessionModal";
+import TwoFactorEnrollmentGuard from "./components/common/TwoFactorEnrollmentGuard";
+import CartMergeSummary from "./components/cart/CartMergeSummary";
 import ProductListPage from "./pages/ProductListPage";
 import ProductsPage from "./pages/ProductsPage";
 import ProductDetails from "./components/products/ProductDetails";
 import CartPage from "./pages/CartPage";
+import CheckoutPage from "./pages/CheckoutPage";
+import PaymentPage from "./pages/PaymentPage";
 import OrderPage from "./pages/OrderPage";
 import ProfilePage from "./pages/ProfilePage";
 import AboutUsPage from "./pages/AboutusPage";
 import ContactUsPage from "./pages/ContactusPage";
+import UnauthorizedPage from "./pages/UnauthorizedPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
+import CheckEmailPage from "./pages/CheckEmailPage";
+import TermsPage from "./pages/TermsPage";
+import PrivacyPolicyPage from "./pages/PrivacyPolicyPage";
 
 const App = () => {
   return (
     <Router>
       <AuthProvider>
-        <div className="d-flex column min-vh-100">
-          <>
-            <Navbar />
-          </>
-          <main className="flex-grow-1">
-            {/* public */}
-            <Routes>
-              <Route path="/contact" element={<ContactUsPage />} />
-              <Route path="/about" element={<AboutUsPage />} />
-              <Route path="/register" element={<RegisterPage />} />
-              <Route path="/login" element={<LoginPage />} />
-              <Route path="/home" element={<HomePage />} />
-              <Route path="/products" element={<ProductsPage />} />
-              <Route path="/products/:id" element={<ProductDetails />} />
-              {/* private */}
-              <Route
-                path="/addProduct"
-                element={
-                  <PrivateRoute>
-                    <AddProduct />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/update-product/:id"
-                element={
-                  <PrivateRoute>
-                    <EditProduct />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/product-list"
-                element={
-                  <PrivateRoute>
-                    <ProductListPage />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/carts"
-                element={
-                  <PrivateRoute>
-                    <CartPage />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/orders"
-                element={
-                  <PrivateRoute>
-                    <OrderPage />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/profile"
-                element={
-                  <PrivateRoute>
-                    <ProfilePage />
-                  </PrivateRoute>
-                }
-              />
-            </Routes>
-          </main>
-        </div>
-        <Footer />
+        {/* The cart follows the logged-in user, so it lives inside AuthProvider */}
+        <CartProvider>
+          <div className="d-flex column min-vh-100">
+            <>
+              <Navbar />
+              {/* Inactivity warning, only active while someone is logged in */}
+              <IdleSessionModal />
+            </>
+            <main className="flex-grow-1">
+              {/* What became of the guest cart after logging in */}
+              <CartMergeSummary />
+              {/* Admins without two-factor authentication are held on their profile */}
+              <TwoFactorEnrollmentGuard>
+                {/* public */}
+                <Routes>
+                  <Route path="/contact" element={<ContactUsPage />} />
+                  <Route path="/about" element={<AboutUsPage />} />
+                  <Route path="/terms" element={<TermsPage />} />
+                  <Route path="/privacy" element={<PrivacyPolicyPage />} />
+                  <Route path="/register" element={<RegisterPage />} />
+                  <Route path="/login" element={<LoginPage />} />
+                  <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                  <Route
+                    path="/reset-password/:token"
+                    element={<ResetPasswordPage />}
+                  />
+                  <Route path="/home" element={<HomePage />} />
+                  <Route path="/products" element={<ProductsPage />} />
+                  <Route path="/products/:id" element={<ProductDetails />} />
+                  {/* guests get a cart kept in the browser */}
+                  <Route path="/carts" element={<CartPage />} />
+                  <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+                  <Route path="/unauthorized" element={<UnauthorizedPage />} />
+                  {/* product management (admin and seller roles only) */}
+                  <Route
+                    path="/addProduct"
+                    element={
+                      <RoleRoute allowedRoles={PRODUCT_MANAGER_ROLES}>
+                        <AddProduct />
+                      </RoleRoute>
+                    }
+                  />
+                  <Route
+                    path="/update-product/:id"
+                    element={
+                      <RoleRoute allowedRoles={PRODUCT_MANAGER_ROLES}>
+                        <EditProduct />
+                      </RoleRoute>
+                    }
+                  />
+                  <Route
+                    path="/product-list"
+                    element={
+                      <RoleRoute allowedRoles={PRODUCT_MANAGER_ROLES}>
+                        <ProductListPage />
+                      </RoleRoute>
+                    }
+                  />
+                  {/* private */}
+                  <Route
+                    path="/orders"
+                    element={
+                      <PrivateRoute>
+                        <OrderPage />
+                      </PrivateRoute>
+                    }
+                  />
+                  <Route
+                    path="/checkout"
+                    element={
+                      <PrivateRoute>
+                        <CheckoutPage />
+                      </PrivateRoute>
+                    }
+                  />
+                  <Route
+                    path="/payment/:orderId"
+                    element={
+                      <PrivateRoute>
+                        <PaymentPage />
+                      </PrivateRoute>
+                    }
+                  />
+                  <Route
+                    path="/verify-email"
+                    element={
+                      <PrivateRoute>
+                        <CheckEmailPage />
+                      </PrivateRoute>
+                    }
+                  />
+                  <Route
+                    path="/profile"
+                    element={
+                      <PrivateRoute>
+                        <ProfilePage />
+                      </PrivateRoute>
+                    }
+                  />
+                </Routes>
+              </TwoFactorEnrollmentGuard>
+            </main>
+          </div>
+          <Footer />
+        </CartProvider>
       </AuthProvider>
     </Router>
   );
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import { FaPlus, FaEdit, FaTrashAlt, FaStar } from "react-icons/fa";
+import addressService from "../../services/addressService";
+import AddressDetails from "./AddressDetails";
+import AddressForm from "./AddressForm";
+/**
+ * @description The "Saved Addresses" section of the profile page: lists the
+ * user's shipping addresses and lets them add, edit, delete and pick a default.
+ */
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // `null` = no form open, `"new"` = adding, otherwise the ID of the address being edited.
+  const [editing, setEditing] = useState(null);
+
+  const fetchAddresses = async () => {
+    try {
+      setError(null);
+      setAddresses(await addressService.getAddresses());
+    } catch (err) {
+      setError(err.message || "Failed to load your addresses.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  // Errors are shown inside the form, so they are not caught here.
+  const handleSave = async (address) => {
+    if (editing === "new") {
+      await addressService.createAddress(address);
+    } else {
+      await addressService.updateAddress(editing, address);
+    }
+    setEditing(null);
+    await fetchAddresses();
+  };
+
+  const handleDelete = async (addressId) => {
+    if (!window.confirm("Delete this address?")) return;
+    try {
+      await addressService.deleteAddress(addressId);
+      await fetchAddresses();
+    } catch (err) {
+      setError(err.message || "Failed to delete the address.");
+    }
+  };
+
+  const handleSetDefault = async (addressId) => {
+    try {
+      await addressService.setDefaultAddress(addressId);
+      await fetchAddresses();
+    } catch (err) {
+      setError(err.message || "Failed to change the default address.");
+    }
+  };
+
+  if (loading) return <p>Loading addresses...</p>;
+
+  return (
+    <div>
+      {error && (
+        <div className="alert alert-danger py-2" role="alert">
+          {error}
+        </div>
+      )}
+      {addresses.length === 0 && editing !== "new" && (
+        <p className="text-muted">You have no saved addresses yet.</p>
+      )}
+      {addresses.map((address) =>
+        editing === address.id ? (
+          <div key={address.id} className="card card-body mb-3">
+            <AddressForm
+              initialAddress={address}
+              onSubmit={handleSave}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        ) : (
+          <div key={address.id} className="card card-body mb-3">
+            <div className="d-flex justify-content-between align-items-start">
+              <AddressDetails address={address} />
+              {address.is_default && (
+                <span className="badge bg-success">Default</span>
+              )}
+            </div>
+            <div className="d-flex gap-3 mt-2 small">
+              <button
+                type="button"
+                className="btn btn-link btn-sm p-0"
+                onClick={() => setEditing(address.id)}
+              >
+                <FaEdit className="me-1" />
+                Edit
+              </button>
+              {!address.is_default && (
+                <button
+                  type="button"
+                  className="btn btn-link btn-sm p-0"
+                  onClick={() => handleSetDefault(address.id)}
+                >
+                  <FaStar className="me-1" />
+                  Make default
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn btn-link btn-sm p-0 text-danger"
+                onClick={() => handleDelete(address.id)}
+              >
+                <FaTrashAlt className="me-1" />
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+      {editing === "new" ? (
+        <div className="card card-body">
+          <AddressForm
+            initialAddress={{ is_default: addresses.length === 0 }}
+            onSubmit={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      ) : (
+        <button
+          type="button"
+          className="btn btn-outline-primary btn-sm"
+          onClick={() => setEditing("new")}
+        >
+          <FaPlus className="me-1" />
+          Add a new address
+        </button>
+      )}
+    </div>
+  );
+};
+export default AddressBook;
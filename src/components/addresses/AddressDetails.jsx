@@ -0,0 +1,25 @@
+import React from "react";
+/**
+ * @description Renders a shipping address the way it is printed on a parcel.
+ * Used by the address book, the checkout selector and the order history.
+ * @param {object} props
+ * @param {object} props.address - `{ name, phone, line1, line2, city, state, pincode }`.
+ */
+const AddressDetails = ({ address }) => (
+  <address className="mb-0">
+    <strong>{address.name}</strong>
+    <br />
+    {address.line1}
+    {address.line2 && (
+      <>
+        <br />
+        {address.line2}
+      </>
+    )}
+    <br />
+    {address.city}, {address.state} - {address.pincode}
+    <br />
+    <small className="text-muted">Phone: {address.phone}</small>
+  </address>
+);
+export default AddressDetails;
@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import {
+  INDIAN_STATES,
+  normalizePhone,
+  validateAddress,
+} from "../../utils/validation";
+
+// The values of an empty form.
+const EMPTY_ADDRESS = {
+  name: "",
+  phone: "",
+  line1: "",
+  line2: "",
+  city: "",
+  state: "",
+  pincode: "",
+  is_default: false,
+};
+
+/**
+ * @description Form to add or edit a shipping address. Fields are validated
+ * before submitting; field errors sent back by the backend (`error.data.errors`)
+ * are shown under the matching input as well.
+ * @param {object} props
+ * @param {object} [props.initialAddress] - The address being edited.
+ * @param {(address: object) => Promise<void>} props.onSubmit - Saves the address.
+ * @param {() => void} [props.onCancel] - Closes the form without saving.
+ * @param {string} [props.submitLabel="Save Address"]
+ */
+const AddressForm = ({
+  initialAddress,
+  onSubmit,
+  onCancel,
+  submitLabel = "Save Address",
+}) => {
+  const [address, setAddress] = useState({ ...EMPTY_ADDRESS, ...initialAddress });
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setAddress({ ...address, [name]: type === "checkbox" ? checked : value });
+    // The error of a field disappears as soon as the user edits it.
+    if (errors[name]) {
+      setErrors({ ...errors, [name]: undefined });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const fieldErrors = validateAddress(address);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+    setSaving(true);
+    try {
+      await onSubmit({ ...address, phone: normalizePhone(address.phone) });
+    } catch (error) {
+      setErrors(error.data?.errors || {});
+      setFormError(error.message || "Failed to save the address.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * @description Renders a labelled text input with its error message.
+   */
+  const renderInput = (name, label, props = {}) => (
+    <div className="mb-2">
+      <label htmlFor={`address-${name}`} className="form-label small mb-1">
+        {label}
+      </label>
+      <input
+        id={`address-${name}`}
+        name={name}
+        className={`form-control ${errors[name] ? "is-invalid" : ""}`}
+        value={address[name]}
+        onChange={handleChange}
+        {...props}
+      />
+      {errors[name] && <div className="invalid-feedback">{errors[name]}</div>}
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="text-start" noValidate>
+      {formError && (
+        <div className="alert alert-danger py-2" role="alert">
+          {formError}
+        </div>
+      )}
+      {renderInput("name", "Full name", { autoComplete: "name" })}
+      {renderInput("phone", "Mobile number", {
+        type: "tel",
+        autoComplete: "tel",
+        placeholder: "10-digit mobile number",
+      })}
+      {renderInput("line1", "Address line 1", {
+        autoComplete: "address-line1",
+        placeholder: "House no., building, street",
+      })}
+      {renderInput("line2", "Address line 2 (optional)", {
+        autoComplete: "address-line2",
+        placeholder: "Area, landmark",
+      })}
+      <div className="row g-2">
+        <div className="col-sm-6">
+          {renderInput("city", "City", { autoComplete: "address-level2" })}
+        </div>
+        <div className="col-sm-6">
+          {renderInput("pincode", "PIN code", {
+            inputMode: "numeric",
+            maxLength: 6,
+            autoComplete: "postal-code",
+          })}
+        </div>
+      </div>
+      <div className="mb-2">
+        <label htmlFor="address-state" className="form-label small mb-1">
+          State
+        </label>
+        <select
+          id="address-state"
+          name="state"
+          className={`form-select ${errors.state ? "is-invalid" : ""}`}
+          value={address.state}
+          onChange={handleChange}
+        >
+          <option value="">Choose a state</option>
+          {INDIAN_STATES.map((state) => (
+            <option key={state} value={state}>
+              {state}
+            </option>
+          ))}
+        </select>
+        {errors.state && <div className="invalid-feedback">{errors.state}</div>}
+      </div>
+      <div className="form-check mb-3">
+        <input
+          id="address-default"
+          name="is_default"
+          type="checkbox"
+          className="form-check-input"
+          checked={address.is_default}
+          onChange={handleChange}
+        />
+        <label htmlFor="address-default" className="form-check-label small">
+          Use as my default address
+        </label>
+      </div>
+      <div className="d-flex gap-2">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            className="btn btn-outline-secondary"
+            onClick={onCancel}
+            disabled={saving}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+export default AddressForm;
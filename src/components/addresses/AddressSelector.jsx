@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { FaPlus } from "react-icons/fa";
+import addressService from "../../services/addressService";
+import AddressDetails from "./AddressDetails";
+import AddressForm from "./AddressForm";
+/**
+ * @description Lets the user choose where an order is shipped. The address chosen
+ * before (e.g. restored after a refresh) or else the default address is preselected,
+ * and a new address can be added without leaving the page.
+ * @param {object} props
+ * @param {number|null} props.selectedId - The ID of the chosen address.
+ * @param {(address: object|null) => void} props.onSelect - Called with the chosen address.
+ */
+const AddressSelector = ({ selectedId, onSelect }) => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [adding, setAdding] = useState(false);
+  // The parent may pass a new callback on each render; the load effect uses the latest one.
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+  const selectedIdRef = useRef(selectedId);
+  selectedIdRef.current = selectedId;
+
+  useEffect(() => {
+    addressService
+      .getAddresses()
+      .then((list) => {
+        setAddresses(list);
+        // Keep the chosen address if it still exists, else preselect the
+        // default one (it is always listed first).
+        onSelectRef.current(
+          list.find((address) => address.id === selectedIdRef.current) ||
+            list.find((address) => address.is_default) ||
+            list[0] ||
+            null
+        );
+        setAdding(list.length === 0);
+      })
+      .catch((err) => setError(err.message || "Failed to load your addresses."))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Errors are shown inside the form, so they are not caught here.
+  const handleAdd = async (address) => {
+    const saved = await addressService.createAddress(address);
+    setAddresses(await addressService.getAddresses());
+    setAdding(false);
+    onSelect(saved);
+  };
+
+  if (loading) return <p className="small text-muted">Loading addresses...</p>;
+  if (error) return <div className="alert alert-danger py-2">{error}</div>;
+
+  return (
+    <div>
+      {addresses.map((address) => (
+        <label
+          key={address.id}
+          className={`card card-body mb-2 d-flex flex-row gap-2 ${
+            selectedId === address.id ? "border-primary" : ""
+          }`}
+          style={{ cursor: "pointer" }}
+        >
+          <input
+            type="radio"
+            name="shipping-address"
+            className="form-check-input mt-1"
+            checked={selectedId === address.id}
+            onChange={() => onSelect(address)}
+          />
+          <div className="small">
+            <AddressDetails address={address} />
+          </div>
+        </label>
+      ))}
+      {adding ? (
+        <div className="card card-body mb-2">
+          <AddressForm
+            initialAddress={{ is_default: addresses.length === 0 }}
+            onSubmit={handleAdd}
+            onCancel={addresses.length > 0 ? () => setAdding(false) : undefined}
+            submitLabel="Save and use this address"
+          />
+        </div>
+      ) : (
+        <div className="d-flex justify-content-between">
+          <button
+            type="button"
+            className="btn btn-link btn-sm p-0"
+            onClick={() => setAdding(true)}
+          >
+            <FaPlus className="me-1" />
+            Add a new address
+          </button>
+          <Link to="/profile" className="btn btn-link btn-sm p-0">
+            Manage addresses
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+export default AddressSelector;
@@ -0,0 +1,54 @@
+import React, { useContext } from "react";
+import { Link } from "react-router-dom";
+import CartContext from "../../context/CartContext";
+
+/**
+ * @description Tells a user who just logged in what happened to the cart they
+ * built as a guest: how many units were moved into their cart, and which items
+ * could not be (fully) added and why.
+ */
+const CartMergeSummary = () => {
+  const { mergeSummary, dismissMergeSummary } = useContext(CartContext);
+  if (!mergeSummary) return null;
+
+  const { merged, skipped } = mergeSummary;
+  const mergedUnits = merged.reduce((count, item) => count + item.quantity, 0);
+
+  return (
+    <div className="container mt-3">
+      <div
+        className={`alert ${skipped.length > 0 ? "alert-warning" : "alert-success"} alert-dismissible`}
+        role="status"
+      >
+        {mergedUnits > 0 ? (
+          <>
+            We added {mergedUnits} {mergedUnits === 1 ? "item" : "items"} from
+            your guest cart to <Link to="/carts">your cart</Link>.
+          </>
+        ) : (
+          "None of the items in your guest cart could be added to your cart."
+        )}
+        {skipped.length > 0 && (
+          <ul className="mb-0 mt-2">
+            {skipped.map((item) => (
+              <li key={item.name}>
+                <strong>{item.name}</strong>:{" "}
+                {item.added > 0
+                  ? `${item.added} of ${item.requested} added`
+                  : "not added"}{" "}
+                ({item.reason})
+              </li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="button"
+          className="btn-close"
+          aria-label="Close"
+          onClick={dismissMergeSummary}
+        ></button>
+      </div>
+    </div>
+  );
+};
+export default CartMergeSummary;
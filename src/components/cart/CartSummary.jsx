@@ -0,0 +1,108 @@
+import React, { useContext } from "react";
+import CartContext from "../../context/CartContext";
+import PromoCodeForm from "./PromoCodeForm";
+import ShippingOptions from "./ShippingOptions";
+
+// Why standard delivery costs nothing, as shown next to "Free".
+const FREE_SHIPPING_REASONS = {
+  promo_code: "promo code",
+  threshold: "order value",
+};
+
+/**
+ * @description The GST of the goods: the taxable value and one line per tax
+ * (CGST + SGST inside Maharashtra, IGST elsewhere, plain GST until the state is known).
+ * @param {object} props
+ * @param {object} props.tax - The result of `calculateGst`.
+ */
+const TaxBreakdown = ({ tax }) => (
+  <div className="small text-muted px-3 pt-2">
+    <div className="d-flex justify-content-between">
+      <span>Taxable value</span>
+      <span>₹{tax.taxable_value.toFixed(2)}</span>
+    </div>
+    {tax.lines.map((line) => (
+      <div className="d-flex justify-content-between" key={line.label}>
+        <span>{line.label}</span>
+        <span>₹{line.amount.toFixed(2)}</span>
+      </div>
+    ))}
+    {tax.intra_state === null && (
+      <div>CGST + SGST or IGST is shown once the delivery state is known.</div>
+    )}
+  </div>
+);
+
+/**
+ * @description The price breakdown of the cart: subtotal, the promo code discount,
+ * shipping, GST and the total, followed by the GST breakdown, the delivery options
+ * and the promo code box.
+ * @param {object} props
+ * @param {boolean} [props.editable=true] - Show the delivery options and the promo
+ * code box (the checkout review only shows the amounts).
+ */
+const CartSummary = ({ editable = true }) => {
+  const { cart, subtotal, discount, total, shippingQuote, tax } =
+    useContext(CartContext);
+  const coupon = cart?.coupon;
+
+  return (
+    <>
+      <ul className="list-group list-group-flush">
+        <li className="list-group-item d-flex justify-content-between">
+          <span>Subtotal:</span>
+          <strong>₹{subtotal.toFixed(2)}</strong>
+        </li>
+        {/* Only shown while a code takes something off. */}
+        {discount > 0 && (
+          <li className="list-group-item d-flex justify-content-between text-success">
+            <span>Discount ({coupon.code}):</span>
+            <span>−₹{discount.toFixed(2)}</span>
+          </li>
+        )}
+        <li className="list-group-item d-flex justify-content-between">
+          <span>
+            Shipping:
+            {shippingQuote && (
+              <small className="d-block text-muted">{shippingQuote.label}</small>
+            )}
+          </span>
+          {/* No quote until there is a PIN code to ship to. */}
+          {!shippingQuote ? (
+            <span className="text-muted small">Calculated at checkout</span>
+          ) : shippingQuote.amount === 0 ? (
+            <span className="text-success">
+              Free
+              {shippingQuote.free_reason && (
+                <small className="d-block text-muted text-end">
+                  ({FREE_SHIPPING_REASONS[shippingQuote.free_reason]})
+                </small>
+              )}
+            </span>
+          ) : (
+            <span>₹{shippingQuote.amount.toFixed(2)}</span>
+          )}
+        </li>
+        {/* GST on products priced without it is added; the rest is in the prices. */}
+        {tax?.added_tax > 0 && (
+          <li className="list-group-item d-flex justify-content-between">
+            <span>GST:</span>
+            <span>₹{tax.added_tax.toFixed(2)}</span>
+          </li>
+        )}
+        <li className="list-group-item d-flex justify-content-between fw-bold">
+          <span>Total:</span>
+          <span>₹{total.toFixed(2)}</span>
+        </li>
+      </ul>
+      {tax && <TaxBreakdown tax={tax} />}
+      {editable && (
+        <>
+          <ShippingOptions />
+          <PromoCodeForm />
+        </>
+      )}
+    </>
+  );
+};
+export default CartSummary;
@@ -0,0 +1,108 @@
+import React, { useContext, useState } from "react";
+import { FaTag, FaTimes } from "react-icons/fa";
+import CartContext from "../../context/CartContext";
+
+/**
+ * @description The promo code box of the cart summary: a field to apply a code
+ * or, once one is applied, the code with a button to remove it. A refused code
+ * shows the reason given by the backend (expired, minimum not reached, ...).
+ */
+const PromoCodeForm = () => {
+  const { cart, applyCoupon, removeCoupon, isGuestCart } = useContext(CartContext);
+  const [code, setCode] = useState("");
+  const [status, setStatus] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const coupon = cart?.coupon;
+
+  // Promo codes belong to an account.
+  if (isGuestCart) {
+    return (
+      <p className="text-muted small mt-3 mb-0">
+        <FaTag className="me-1" />
+        Have a promo code? Log in to use it.
+      </p>
+    );
+  }
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setStatus(null);
+    try {
+      const message = await applyCoupon(code);
+      setStatus({ type: "success", text: message });
+      setCode("");
+    } catch (err) {
+      setStatus({ type: "danger", text: err.message || "Could not apply the code." });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setSubmitting(true);
+    setStatus(null);
+    try {
+      await removeCoupon();
+    } catch (err) {
+      setStatus({ type: "danger", text: err.message || "Could not remove the code." });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      {coupon ? (
+        <div className="d-flex justify-content-between align-items-start">
+          <div>
+            <span className={`badge ${coupon.valid ? "bg-success" : "bg-secondary"}`}>
+              <FaTag className="me-1" />
+              {coupon.code}
+            </span>
+            {coupon.description && (
+              <small className="d-block text-muted mt-1">{coupon.description}</small>
+            )}
+            {/* The cart changed and the code no longer applies. */}
+            {!coupon.valid && (
+              <small className="d-block text-danger mt-1">{coupon.reason}</small>
+            )}
+          </div>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-secondary"
+            onClick={handleRemove}
+            disabled={submitting}
+            aria-label={`Remove promo code ${coupon.code}`}
+          >
+            <FaTimes />
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleApply} className="input-group input-group-sm">
+          <input
+            type="text"
+            className="form-control text-uppercase"
+            placeholder="Promo code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            aria-label="Promo code"
+          />
+          <button
+            type="submit"
+            className="btn btn-outline-primary"
+            disabled={submitting || !code.trim()}
+          >
+            {submitting ? "Applying..." : "Apply"}
+          </button>
+        </form>
+      )}
+      {status && (
+        <small className={`d-block text-${status.type} mt-1`} role="status">
+          {status.text}
+        </small>
+      )}
+    </div>
+  );
+};
+export default PromoCodeForm;
@@ -0,0 +1,122 @@
+import React, { useContext, useState } from "react";
+import { FaTruck } from "react-icons/fa";
+import CartContext from "../../context/CartContext";
+import { validatePincode } from "../../utils/validation";
+import {
+  SHIPPING_METHODS,
+  describeShippingOption,
+  getFreeShippingShortfall,
+} from "../../utils/shipping";
+
+/**
+ * @description The delivery part of the cart summary: the methods that reach the
+ * PIN code (standard, express where available, and click & collect at the store)
+ * with their cost and delivery time, and how much more ships the cart free. On the cart page a PIN code can be
+ * typed for an estimate; at checkout the PIN code of the chosen address is used.
+ * @param {object} props
+ * @param {boolean} [props.pincodeForm=true] - Show the PIN code field.
+ * @param {(method: string) => void} [props.onSelectMethod] - Called with the picked
+ * method instead of setting it in CartContext (the checkout keeps its own choice).
+ */
+const ShippingOptions = ({ pincodeForm = true, onSelectMethod }) => {
+  const {
+    cart,
+    shippingRules,
+    shippingDestination,
+    setShippingDestination,
+    shippingOptions,
+    shippingQuote,
+    setShippingMethod,
+    subtotal,
+    discount,
+  } = useContext(CartContext);
+  const [pincode, setPincode] = useState(shippingDestination?.pincode || "");
+  const [pincodeError, setPincodeError] = useState(null);
+
+  // Without the rules the summary cannot quote; checkout still works out the cost.
+  if (!shippingRules) return null;
+
+  const handleEstimate = (e) => {
+    e.preventDefault();
+    const error = validatePincode(pincode);
+    setPincodeError(error);
+    // The state is not known from a PIN code alone, so the GST is not split yet.
+    if (!error) setShippingDestination({ pincode: pincode.trim(), state: null });
+  };
+
+  const shortfall = getFreeShippingShortfall(shippingRules, subtotal - discount);
+
+  return (
+    <div className="mt-3">
+      <h6 className="mb-2">
+        <FaTruck className="me-2" />
+        Delivery
+      </h6>
+      {pincodeForm && (
+        <form onSubmit={handleEstimate} className="mb-2">
+          <div className="input-group input-group-sm">
+            <input
+              type="text"
+              inputMode="numeric"
+              className={`form-control ${pincodeError ? "is-invalid" : ""}`}
+              placeholder="PIN code"
+              maxLength={6}
+              value={pincode}
+              onChange={(e) => setPincode(e.target.value)}
+              aria-label="PIN code for the shipping estimate"
+            />
+            <button type="submit" className="btn btn-outline-primary">
+              Check
+            </button>
+          </div>
+          {pincodeError && (
+            <small className="d-block text-danger mt-1">{pincodeError}</small>
+          )}
+        </form>
+      )}
+      {shippingOptions.length > 0 && (
+        <>
+          {shippingOptions.map((option) => (
+            <div className="form-check" key={option.method}>
+              <input
+                type="radio"
+                className="form-check-input"
+                name="shippingMethod"
+                id={`shipping-${option.method}`}
+                checked={shippingQuote?.method === option.method}
+                onChange={() => (onSelectMethod || setShippingMethod)(option.method)}
+              />
+              <label
+                className="form-check-label d-flex justify-content-between small"
+                htmlFor={`shipping-${option.method}`}
+              >
+                <span>
+                  {option.label}
+                  <span className="d-block text-muted">
+                    {describeShippingOption(option)}
+                  </span>
+                </span>
+                <span>{option.amount === 0 ? "Free" : `₹${option.amount.toFixed(2)}`}</span>
+              </label>
+            </div>
+          ))}
+          {/* Only standard delivery reaches some PIN codes. */}
+          {!shippingOptions.some(
+            (option) => option.method === SHIPPING_METHODS.EXPRESS
+          ) && (
+            <small className="d-block text-muted mt-1">
+              Express delivery is not available to this PIN code.
+            </small>
+          )}
+        </>
+      )}
+      {/* The threshold does not matter once a promo code ships the cart free. */}
+      {shortfall > 0 && !cart?.coupon?.free_shipping && (
+        <small className="d-block text-success mt-1">
+          Add ₹{shortfall.toFixed(2)} more for free standard delivery.
+        </small>
+      )}
+    </div>
+  );
+};
+export default ShippingOptions;
@@ -0,0 +1,30 @@
+import React, { useContext } from "react";
+import { Link } from "react-router-dom";
+import AuthContext from "../../context/AuthContext";
+import AddressSelector from "../addresses/AddressSelector";
+
+/**
+ * @description Checkout step 1: where the order ships. A saved address is picked
+ * or a new one entered; orders also need a confirmed email address.
+ * @param {object} props
+ * @param {number|null} props.selectedId - The ID of the chosen address.
+ * @param {(address: object|null) => void} props.onSelect
+ */
+const AddressStep = ({ selectedId, onSelect }) => {
+  const { isEmailVerified } = useContext(AuthContext);
+  return (
+    <>
+      <h5 className="mb-3">Shipping address</h5>
+      <AddressSelector selectedId={selectedId} onSelect={onSelect} />
+      {!isEmailVerified && (
+        <div className="alert alert-warning py-2 mt-3" role="alert">
+          Please verify your email address before placing an order.{" "}
+          <Link to="/verify-email" state={{ from: "/checkout" }}>
+            Resend the link
+          </Link>
+        </div>
+      )}
+    </>
+  );
+};
+export default AddressStep;
@@ -0,0 +1,35 @@
+import React from "react";
+import { FaCheck } from "react-icons/fa";
+
+/**
+ * @description The progress bar of the checkout: one button per step. Done steps
+ * show a tick and can be reopened; a step opens only once every step before it is valid.
+ * @param {object} props
+ * @param {Array<{ id: string, label: string }>} props.steps
+ * @param {number} props.current - Index of the step on screen.
+ * @param {(index: number) => boolean} props.canOpen - Whether a step may be opened.
+ * @param {(index: number) => void} props.onSelect - Called with the index of a clicked step.
+ */
+const CheckoutStepper = ({ steps, current, canOpen, onSelect }) => (
+  <ol className="nav nav-pills nav-fill gap-2 mb-4" aria-label="Checkout steps">
+    {steps.map((step, index) => (
+      <li className="nav-item" key={step.id}>
+        <button
+          type="button"
+          className={`nav-link w-100 ${index === current ? "active" : "border"}`}
+          onClick={() => onSelect(index)}
+          disabled={index !== current && !canOpen(index)}
+          aria-current={index === current ? "step" : undefined}
+        >
+          {index < current ? (
+            <FaCheck className="me-2" />
+          ) : (
+            <span className="me-2">{index + 1}.</span>
+          )}
+          {step.label}
+        </button>
+      </li>
+    ))}
+  </ol>
+);
+export default CheckoutStepper;
@@ -0,0 +1,64 @@
+import React, { useContext } from "react";
+import CartContext from "../../context/CartContext";
+import AddressDetails from "../addresses/AddressDetails";
+import ShippingOptions from "../cart/ShippingOptions";
+import PickupSlotPicker from "./PickupSlotPicker";
+import { SHIPPING_METHODS } from "../../utils/shipping";
+
+/**
+ * @description Checkout step 2: how the order travels. The methods and prices
+ * follow the PIN code of the chosen address; click & collect books a pickup slot
+ * at the store instead.
+ * @param {object} props
+ * @param {object|null} props.address - The chosen address.
+ * @param {(method: string) => void} props.onSelectMethod
+ * @param {Array<object>} props.pickupSlots - The slots that can still be booked.
+ * @param {string|null} props.pickupSlot - The id of the booked slot.
+ * @param {(slotId: string) => void} props.onSelectPickupSlot
+ */
+const DeliveryStep = ({
+  address,
+  onSelectMethod,
+  pickupSlots,
+  pickupSlot,
+  onSelectPickupSlot,
+}) => {
+  const { shippingRules, shippingQuote } = useContext(CartContext);
+  const store = shippingRules?.store_pickup?.store;
+  const pickup = shippingQuote?.method === SHIPPING_METHODS.PICKUP;
+  return (
+    <>
+      <h5 className="mb-3">Delivery method</h5>
+      {address && !pickup && (
+        <div className="small mb-3">
+          <span className="text-muted">Shipping to</span>
+          <AddressDetails address={address} />
+        </div>
+      )}
+      {shippingRules ? (
+        <ShippingOptions pincodeForm={false} onSelectMethod={onSelectMethod} />
+      ) : (
+        <p className="text-muted">
+          Delivery options could not be loaded. Please try again in a moment.
+        </p>
+      )}
+      {pickup && store && (
+        <div className="mt-3">
+          <div className="small mb-3">
+            <span className="text-muted">Collect at</span>
+            <strong className="d-block">{store.name}</strong>
+            {store.address}
+            <span className="d-block">{store.phone}</span>
+          </div>
+          <h6 className="mb-2">Pickup slot</h6>
+          <PickupSlotPicker
+            slots={pickupSlots}
+            selected={pickupSlot}
+            onSelect={onSelectPickupSlot}
+          />
+        </div>
+      )}
+    </>
+  );
+};
+export default DeliveryStep;
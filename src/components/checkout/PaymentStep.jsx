@@ -0,0 +1,43 @@
+import React from "react";
+import { PAYMENT_METHODS } from "../../utils/payments";
+
+/**
+ * @description Checkout step 3: how the order will be paid.
+ * @param {object} props
+ * @param {string|null} props.selected - The id of the chosen method.
+ * @param {(method: string) => void} props.onSelect
+ * @param {Object<string, string|null>} [props.unavailable] - Why a method cannot be
+ * chosen for this order, by method id (e.g. cash on delivery above its limit).
+ */
+const PaymentStep = ({ selected, onSelect, unavailable = {} }) => (
+  <>
+    <h5 className="mb-3">Payment method</h5>
+    {PAYMENT_METHODS.map((method) => {
+      const reason = unavailable[method.id];
+      return (
+        <label
+          key={method.id}
+          className={`card card-body mb-2 d-flex flex-row gap-2 ${
+            selected === method.id ? "border-primary" : ""
+          } ${reason ? "text-muted" : ""}`}
+          style={{ cursor: reason ? "not-allowed" : "pointer" }}
+        >
+          <input
+            type="radio"
+            name="payment-method"
+            className="form-check-input mt-1"
+            checked={selected === method.id}
+            disabled={Boolean(reason)}
+            onChange={() => onSelect(method.id)}
+          />
+          <span>
+            <strong>{method.label}</strong>
+            <small className="d-block text-muted">{method.description}</small>
+            {reason && <small className="d-block text-danger">{reason}</small>}
+          </span>
+        </label>
+      );
+    })}
+  </>
+);
+export default PaymentStep;
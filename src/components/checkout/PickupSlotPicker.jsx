@@ -0,0 +1,59 @@
+import React from "react";
+
+/**
+ * @description Lists the click & collect slots that can still be booked, day by day.
+ * @param {object} props
+ * @param {Array<object>} props.slots - From `getPickupSlots`.
+ * @param {string|null} props.selected - The id of the booked slot.
+ * @param {(slotId: string) => void} props.onSelect
+ */
+const PickupSlotPicker = ({ slots, selected, onSelect }) => {
+  if (slots.length === 0) {
+    return (
+      <p className="text-muted small">
+        No pickup slots are open in the next few days. Please choose delivery instead.
+      </p>
+    );
+  }
+  // Slots of the same day share a row.
+  const days = [];
+  slots.forEach((slot) => {
+    const last = days[days.length - 1];
+    if (last?.day === slot.day) {
+      last.slots.push(slot);
+    } else {
+      days.push({ day: slot.day, slots: [slot] });
+    }
+  });
+
+  return (
+    <div role="radiogroup" aria-label="Pickup slot">
+      {days.map(({ day, slots: daySlots }) => (
+        <div key={day} className="d-flex flex-wrap align-items-center gap-2 mb-2">
+          <span className="small fw-semibold" style={{ width: "6.5rem" }}>
+            {day}
+          </span>
+          {daySlots.map((slot) => (
+            <React.Fragment key={slot.id}>
+              <input
+                type="radio"
+                className="btn-check"
+                name="pickup-slot"
+                id={`pickup-slot-${slot.id}`}
+                checked={selected === slot.id}
+                onChange={() => onSelect(slot.id)}
+              />
+              <label
+                className="btn btn-sm btn-outline-primary"
+                htmlFor={`pickup-slot-${slot.id}`}
+              >
+                {slot.time}
+              </label>
+            </React.Fragment>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+export default PickupSlotPicker;
@@ -0,0 +1,86 @@
+import React, { useContext } from "react";
+import CartContext from "../../context/CartContext";
+import AddressDetails from "../addresses/AddressDetails";
+import CartSummary from "../cart/CartSummary";
+import { SHIPPING_METHODS, describeShippingOption } from "../../utils/shipping";
+import { findPaymentMethod } from "../../utils/payments";
+
+/**
+ * @description A heading of the review with a link back to the step that made the choice.
+ * @param {object} props
+ * @param {string} props.title
+ * @param {() => void} props.onEdit
+ */
+const SectionTitle = ({ title, onEdit }) => (
+  <div className="d-flex justify-content-between align-items-baseline">
+    <h6 className="mb-1">{title}</h6>
+    <button type="button" className="btn btn-link btn-sm p-0" onClick={onEdit}>
+      Change
+    </button>
+  </div>
+);
+
+/**
+ * @description Checkout step 4: everything the order will be, item by item, with
+ * a link back to each choice. The order is only placed from here.
+ * @param {object} props
+ * @param {object} props.address - The chosen address.
+ * @param {string} props.paymentMethod - The id of the chosen payment method.
+ * @param {object|null} props.pickupSlot - The booked slot, for click & collect.
+ * @param {(stepIndex: number) => void} props.onEdit - Opens an earlier step.
+ */
+const ReviewStep = ({ address, paymentMethod, pickupSlot, onEdit }) => {
+  const { cart, shippingQuote } = useContext(CartContext);
+  const payment = findPaymentMethod(paymentMethod);
+
+  return (
+    <>
+      <h5 className="mb-3">Review your order</h5>
+      <ul className="list-group mb-3">
+        {cart.items.map((item) => (
+          <li
+            key={item.id}
+            className="list-group-item d-flex justify-content-between align-items-center"
+          >
+            <span>
+              {item.product.name}
+              <small className="text-muted ms-2">
+                {item.quantity} × ₹{Number(item.product.price).toFixed(2)}
+              </small>
+            </span>
+            <span>₹{(item.quantity * item.product.price).toFixed(2)}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="row g-3 mb-3 small">
+        <div className="col-md-4">
+          <SectionTitle
+            title={
+              shippingQuote?.method === SHIPPING_METHODS.PICKUP ? "Billing address" : "Ship to"
+            }
+            onEdit={() => onEdit(0)}
+          />
+          <AddressDetails address={address} />
+        </div>
+        <div className="col-md-4">
+          <SectionTitle title="Delivery" onEdit={() => onEdit(1)} />
+          {shippingQuote && (
+            <>
+              {shippingQuote.label}
+              <span className="d-block text-muted">
+                {describeShippingOption(shippingQuote)}
+              </span>
+              {pickupSlot && <span className="d-block text-muted">{pickupSlot.label}</span>}
+            </>
+          )}
+        </div>
+        <div className="col-md-4">
+          <SectionTitle title="Payment" onEdit={() => onEdit(2)} />
+          {payment?.label}
+        </div>
+      </div>
+      <CartSummary editable={false} />
+    </>
+  );
+};
+export default ReviewStep;
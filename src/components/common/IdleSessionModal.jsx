@@ -0,0 +1,120 @@
+import React, { useContext, useState } from "react";
+import { FaHourglassHalf } from "react-icons/fa";
+import AuthContext from "../../context/AuthContext";
+import useIdleTimer from "../../hooks/useIdleTimer";
+
+/**
+ * @description Reads a numeric environment variable, falling back when it is missing or invalid.
+ * @param {string|undefined} value - The raw value from `import.meta.env`.
+ * @param {number} fallback
+ * @returns {number}
+ */
+const readNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === "" || Number.isNaN(parsed)
+    ? fallback
+    : parsed;
+};
+
+// Minutes without activity before the session ends (0 turns the policy off).
+const IDLE_TIMEOUT_MS =
+  readNumber(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES, 30) * 60 * 1000;
+// How long before that the warning with the countdown is shown.
+const IDLE_WARNING_MS =
+  readNumber(import.meta.env.VITE_IDLE_WARNING_SECONDS, 60) * 1000;
+
+/**
+ * @description Formats a duration as m:ss for the countdown.
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * @description Inactivity policy of the store: while a user is logged in and does
+ * nothing for `VITE_IDLE_TIMEOUT_MINUTES`, a countdown modal appears
+ * `VITE_IDLE_WARNING_SECONDS` before the session ends. Open forms keep their
+ * drafts (see `useFormDraft`), so nothing typed is lost.
+ */
+const IdleSessionModal = () => {
+  const { currentUser, refreshSession, logoutAuth, endIdleSession } =
+    useContext(AuthContext);
+  const [staying, setStaying] = useState(false);
+  const { isWarning, remainingMs, reset } = useIdleTimer({
+    enabled: Boolean(currentUser) && IDLE_TIMEOUT_MS > 0,
+    timeoutMs: IDLE_TIMEOUT_MS,
+    warningMs: Math.min(IDLE_WARNING_MS, IDLE_TIMEOUT_MS),
+    onIdle: endIdleSession,
+  });
+
+  // Renews the token, so the session is good for its full lifetime again.
+  const handleStaySignedIn = async () => {
+    setStaying(true);
+    try {
+      await refreshSession();
+      reset();
+    } catch {
+      // refreshSession already logged the user out.
+    } finally {
+      setStaying(false);
+    }
+  };
+
+  if (!isWarning) return null;
+
+  return (
+    <>
+      <div
+        className="modal d-block"
+        tabIndex="-1"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="idle-session-title"
+      >
+        <div className="modal-dialog modal-dialog-centered">
+          <div className="modal-content text-center">
+            <div className="modal-body p-4">
+              <FaHourglassHalf size={40} className="text-warning mb-3" />
+              <h4 id="idle-session-title" className="fw-bold">
+                Are you still there?
+              </h4>
+              <p className="text-muted mb-1">
+                You have been inactive for a while. For your security you will
+                be logged out in
+              </p>
+              <p className="display-6 fw-bold" aria-live="polite">
+                {formatCountdown(remainingMs)}
+              </p>
+            </div>
+            <div className="modal-footer justify-content-center">
+              <button
+                type="button"
+                className="btn btn-outline-secondary rounded-pill"
+                onClick={logoutAuth}
+                disabled={staying}
+              >
+                Log out
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary rounded-pill"
+                onClick={handleStaySignedIn}
+                disabled={staying}
+                autoFocus
+              >
+                {staying ? "Renewing session..." : "Stay signed in"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+};
+export default IdleSessionModal;
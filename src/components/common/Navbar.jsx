@@ -16,6 +16,8 @@ import { Link } from "react-router-dom";
 // This stores authentication-related data (like currentUser and logout function)
 // so multiple components can access it without prop drilling.
 import AuthContext from "../../context/AuthContext";
+// Importing CartContext: the shared cart drives the item badge and subtotal.
+import CartContext from "../../context/CartContext";
 // Import Bootstrap CSS for ready-made styling (colors, spacing, responsiveness, etc.)
 import "bootstrap/dist/css/bootstrap.min.css";
 // Import Bootstrap JavaScript (needed for toggling navbar, dropdowns, modals, etc.)
@@ -24,16 +26,16 @@ import "bootstrap/dist/js/bootstrap.bundle.min.js";
 // Each icon is a React component that renders an SVG.
 import {
   FaShoppingCart, // Cart icon
-  FaUser, // User/person icon
   FaHistory, // History/clock icon
   FaSignOutAlt, // Logout icon
   FaPlusSquare, // Add (+) icon
 } from "react-icons/fa";
 // Importing custom CSS file for navbar-specific styles and animations.
 import "../../styles/Navbar.css";
-
-const adminEmails = import.meta.env.VITE_APP_ADMIN_EMAILS?.split(",") || [];
-// const email = "sangram4812@gmail.com";
+// Role names shared with the route guards (roles come from the JWT claims).
+import { PRODUCT_MANAGER_ROLES } from "../../utils/roles";
+// Profile picture (or initial) of the logged-in user.
+import UserAvatar from "./UserAvatar";
 // ================================
 // Navbar Component
 // ================================
@@ -41,10 +43,16 @@ const adminEmails = import.meta.env.VITE_APP_ADMIN_EMAILS?.split(",") || [];
 // In React, a function that returns JSX is a functional component.
 const Navbar = () => {
   // useContext hook:
-  // We extract `currentUser` and `logout` from AuthContext.
+  // We extract `currentUser`, `hasRole` and `logout` from AuthContext.
   // - currentUser stores the logged-in user’s details.
+  // - hasRole checks the roles read from the user's JWT claims.
   // - logout is a function that clears authentication and logs the user out.
-  const { currentUser, logoutAuth } = useContext(AuthContext);
+  const { currentUser, hasRole, logoutAuth } = useContext(AuthContext);
+  // From CartContext: the number of units in the cart and their total price.
+  // Both update as soon as any page changes the cart.
+  const { itemCount, subtotal } = useContext(CartContext);
+  // Admins and sellers see the product management entries.
+  const canManageProducts = hasRole(...PRODUCT_MANAGER_ROLES);
   // useRef hook:
   // Creates a reference object (`navRef`) that points to a DOM element.
   // Initially, navRef.current = null. Later, it will point to the <nav> element.
@@ -134,14 +142,41 @@ const Navbar = () => {
                 Products
               </Link>
             </li>
+            {/* Cart link (guests have a cart too) */}
+            <li className="nav-item">
+              <Link
+                className="nav-link nav-link-pro d-flex align-items-center text-font"
+                to="/carts"
+              >
+                <span className="cart-icon-wrapper me-2">
+                  <FaShoppingCart className="icon-pro" />
+                  {/* Live quantity badge (hidden while the cart is empty). */}
+                  {itemCount > 0 && (
+                    <span
+                      className="cart-badge badge rounded-pill bg-danger"
+                      aria-label={`${itemCount} items in cart`}
+                    >
+                      {itemCount > 99 ? "99+" : itemCount}
+                    </span>
+                  )}
+                </span>
+                Cart
+                {/* Subtotal of the cart, next to the link text. */}
+                {itemCount > 0 && (
+                  <span className="cart-subtotal ms-2">
+                    ₹{subtotal.toFixed(2)}
+                  </span>
+                )}
+              </Link>
+            </li>
             {/* Conditional Rendering:
                 If user is logged in (currentUser exists), show logged-in menu.
                 Else, show login/register buttons. */}
             {currentUser ? (
               <>
-                {/* Check if current user is admin (email === "sanu@gmail.com").
-                    If yes, show "Add Product" link. */}
-                {adminEmails.includes(currentUser.email) && (
+                {/* Check if current user may manage products (admin or seller role).
+                    If yes, show the "ProductList" link. */}
+                {canManageProducts && (
                   <li className="nav-item">
                     <Link
                       className="nav-link nav-link-pro d-flex align-items-center text-font"
@@ -152,15 +187,6 @@ const Navbar = () => {
                     </Link>
                   </li>
                 )}
-                {/* Cart link */}
-                <li className="nav-item">
-                  <Link
-                    className="nav-link nav-link-pro d-flex align-items-center text-font"
-                    to="/carts"
-                  >
-                    <FaShoppingCart className="me-2 icon-pro" /> Cart
-                  </Link>
-                </li>
                 {/* Order history link */}
                 <li className="nav-item">
                   <Link
@@ -196,8 +222,9 @@ const Navbar = () => {
                     data-bs-toggle="dropdown" // Bootstrap JS makes it dropdown
                     aria-expanded="false" // Default collapsed
                   >
-                    <FaUser className="me-2 icon-pro" /> Hello,{" "}
-                    {currentUser.email} {/* Shows user’s email */}
+                    <UserAvatar user={currentUser} size={28} className="me-2" />{" "}
+                    Hello, {currentUser.name || currentUser.email}{" "}
+                    {/* Shows the user's name (the email until a name is set) */}
                   </a>
                   {/* Dropdown menu items */}
                   <ul
@@ -213,6 +240,17 @@ const Navbar = () => {
                         Profile
                       </Link>
                     </li>
+                    {/* Shortcut to the product form for admins and sellers */}
+                    {canManageProducts && (
+                      <li>
+                        <Link
+                          className="dropdown-item dropdown-item-pro text-font"
+                          to="/addProduct"
+                        >
+                          Add Product
+                        </Link>
+                      </li>
+                    )}
                     <li>
                       {/* Divider line inside dropdown */}
                       <hr className="dropdown-divider" />
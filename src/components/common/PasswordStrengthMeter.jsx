@@ -0,0 +1,43 @@
+import React from "react";
+import {
+  getPasswordStrength,
+  MIN_PASSWORD_LENGTH,
+} from "../../utils/passwordStrength";
+/**
+ * @description A small Bootstrap progress bar that rates a password while it is typed,
+ * with hints for what is still missing.
+ * @param {object} props
+ * @param {string} props.password - The password being typed.
+ */
+const PasswordStrengthMeter = ({ password }) => {
+  // Nothing to rate yet.
+  if (!password) return null;
+  const { score, label, variant, checks } = getPasswordStrength(password);
+  // The hints shown for every rule the password does not meet yet.
+  const hints = [
+    !checks.length && `at least ${MIN_PASSWORD_LENGTH} characters`,
+    !checks.mixedCase && "upper and lower case letters",
+    !checks.number && "a number",
+    !checks.symbol && "a symbol",
+  ].filter(Boolean);
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="progress" style={{ height: "6px" }}>
+        <div
+          className={`progress-bar bg-${variant}`}
+          role="progressbar"
+          style={{ width: `${Math.max(score, 1) * 25}%` }}
+          aria-valuenow={score}
+          aria-valuemin={0}
+          aria-valuemax={4}
+          aria-label="Password strength"
+        ></div>
+      </div>
+      <small className={`text-${variant}`}>Strength: {label}</small>
+      {hints.length > 0 && (
+        <small className="d-block text-muted">Add {hints.join(", ")}.</small>
+      )}
+    </div>
+  );
+};
+export default PasswordStrengthMeter;
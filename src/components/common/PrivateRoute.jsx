@@ -1,13 +1,39 @@
-import React from "react";
-import { Navigate } from "react-router-dom";
+import React, { useContext, useEffect } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import AuthContext from "../../context/AuthContext";
+import { isSessionExpired } from "../../utils/token";
+/**
+ * @description Route guard for screens that need a logged-in user.
+ * The session comes from AuthContext (not straight from the session store), and the
+ * requested location is passed to the login page so the user returns to it.
+ * @param {object} props
+ * @param {React.ReactNode} props.children - The protected screen.
+ */
 const PrivateRoute = ({ children }) => {
-  // Retrieve the token from local storage
-  const token = localStorage.getItem("accessToken");
-  // Check for token existence and validity
-  // You can add more robust checks here (e.g., JWT expiration check)
-  if (!token) {
-    // If no token exists, redirect to the login page
-    return <Navigate to="/login" replace />;
+  const { currentUser, refreshSession } = useContext(AuthContext);
+  // The page the user asked for, e.g. `/orders` or a deep link.
+  const location = useLocation();
+  // A session that ran out (e.g. the laptop slept through the refresh timer).
+  const expired = Boolean(currentUser) && isSessionExpired(currentUser);
+  useEffect(() => {
+    if (expired) {
+      // AuthContext logs the user out (and keeps the location) if this fails.
+      refreshSession().catch(() => {});
+    }
+  }, [expired, refreshSession]);
+  if (!currentUser) {
+    // If no session exists, redirect to the login page and remember where we were going
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  if (expired) {
+    // Wait for the silent refresh instead of flashing the protected screen.
+    return (
+      <div className="d-flex justify-content-center my-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Restoring your session...</span>
+        </div>
+      </div>
+    );
   }
   return children;
 };
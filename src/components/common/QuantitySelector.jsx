@@ -0,0 +1,87 @@
+import React from "react";
+import { FaMinus, FaPlus } from "react-icons/fa";
+import { getOrderLimit, describeOrderLimit } from "../../utils/stock";
+/**
+ * @description A −/+ quantity control that never goes past what can be ordered:
+ * the product's stock and its maximum per order, minus the units already in the cart.
+ * A hint tells the shopper why + stopped working.
+ * @param {object} props
+ * @param {object} props.product - Carries `stock` and, optionally, `max_order_quantity`.
+ * @param {number} props.value - The quantity shown.
+ * @param {(quantity: number) => void} props.onChange - Called with the new quantity.
+ * @param {number} [props.inCart=0] - Units of the product already in the cart (when
+ * choosing how many more to add).
+ * @param {number} [props.min=1] - The lowest quantity.
+ * @param {"sm"|"lg"} [props.size] - Bootstrap size of the control.
+ * @param {boolean} [props.disabled]
+ */
+const QuantitySelector = ({
+  product,
+  value,
+  onChange,
+  inCart = 0,
+  min = 1,
+  size,
+  disabled = false,
+}) => {
+  const max = Math.max(0, getOrderLimit(product) - inCart);
+  // Nothing left to choose from: out of stock, or the cart already holds the limit.
+  const unavailable = max < min;
+  /**
+   * Keeps a quantity between `min` and `max`.
+   * @param {number} quantity
+   * @returns {number}
+   */
+  const clamp = (quantity) => Math.min(Math.max(quantity, min), max);
+  const handleInput = (e) => {
+    const quantity = parseInt(e.target.value, 10);
+    // An empty or invalid entry is ignored until it becomes a number.
+    if (!Number.isNaN(quantity)) onChange(clamp(quantity));
+  };
+  return (
+    <div>
+      <div
+        className={`input-group${size ? ` input-group-${size}` : ""}`}
+        style={{ width: size === "sm" ? "7.5rem" : "9rem" }}
+      >
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={() => onChange(clamp(value - 1))}
+          disabled={disabled || unavailable || value <= min}
+          aria-label="Decrease quantity"
+        >
+          <FaMinus />
+        </button>
+        <input
+          type="number"
+          className="form-control text-center px-1"
+          value={value}
+          min={min}
+          max={max}
+          onChange={handleInput}
+          disabled={disabled || unavailable}
+          aria-label={`Quantity of ${product.name}`}
+        />
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={() => onChange(clamp(value + 1))}
+          disabled={disabled || unavailable || value >= max}
+          aria-label="Increase quantity"
+        >
+          <FaPlus />
+        </button>
+      </div>
+      {/* Why the quantity cannot go higher. */}
+      {(unavailable || value >= max) && (
+        <small className="d-block text-muted mt-1">
+          {inCart > 0 && unavailable
+            ? `All available units are in your cart (${describeOrderLimit(product).toLowerCase()})`
+            : describeOrderLimit(product)}
+        </small>
+      )}
+    </div>
+  );
+};
+export default QuantitySelector;
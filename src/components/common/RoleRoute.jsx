@@ -0,0 +1,27 @@
+import React, { useContext } from "react";
+import { Navigate } from "react-router-dom";
+import AuthContext from "../../context/AuthContext";
+import PrivateRoute from "./PrivateRoute";
+/**
+ * @description Route guard for screens that need a specific role (e.g. product management).
+ * - Guests and expired sessions are handled by `PrivateRoute` (login, then back here).
+ * - Logged-in users without one of `allowedRoles` are sent to the "access denied" page.
+ * @param {object} props
+ * @param {string[]} props.allowedRoles - Any one of these roles grants access.
+ * @param {React.ReactNode} props.children - The protected screen.
+ */
+const RoleRoute = ({ allowedRoles, children }) => {
+  // Roles come from the JWT claims, decoded once by AuthContext.
+  const { hasRole } = useContext(AuthContext);
+  return (
+    <PrivateRoute>
+      {hasRole(...allowedRoles) ? (
+        children
+      ) : (
+        // Logged in, but not allowed: never render the protected screen.
+        <Navigate to="/unauthorized" replace />
+      )}
+    </PrivateRoute>
+  );
+};
+export default RoleRoute;
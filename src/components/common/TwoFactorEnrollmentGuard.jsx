@@ -0,0 +1,32 @@
+import React, { useContext } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import AuthContext from "../../context/AuthContext";
+
+// Pages an admin may still open before enrolling (the profile holds the setup).
+const ALLOWED_PATHS = ["/profile", "/terms", "/privacy"];
+
+/**
+ * @description Forces admins to enroll in two-factor authentication: until they
+ * have, every page sends them to the setup on their profile. Everyone else (and
+ * guests) passes straight through.
+ * @param {object} props
+ * @param {React.ReactNode} props.children - The routes of the app.
+ */
+const TwoFactorEnrollmentGuard = ({ children }) => {
+  const { twoFactorEnrollmentRequired } = useContext(AuthContext);
+  const location = useLocation();
+  const allowed =
+    ALLOWED_PATHS.includes(location.pathname) ||
+    location.pathname.startsWith("/verify-email");
+  if (twoFactorEnrollmentRequired && !allowed) {
+    return (
+      <Navigate
+        to="/profile"
+        replace
+        state={{ twoFactorRequired: true, from: location }}
+      />
+    );
+  }
+  return children;
+};
+export default TwoFactorEnrollmentGuard;
@@ -0,0 +1,33 @@
+import React from "react";
+/**
+ * @description Shows the user's profile picture, or the first letter of their
+ * name (or email) in a coloured circle when no picture was uploaded.
+ * @param {object} props
+ * @param {object} props.user - The session user (`avatar_url`, `name`, `email`).
+ * @param {number} [props.size=32] - Width and height in pixels.
+ * @param {string} [props.className] - Extra classes, e.g. spacing.
+ */
+const UserAvatar = ({ user, size = 32, className = "" }) => {
+  const label = user?.name || user?.email || "";
+  const style = { width: size, height: size };
+  if (user?.avatar_url) {
+    return (
+      <img
+        src={user.avatar_url}
+        alt={label}
+        className={`rounded-circle object-fit-cover ${className}`}
+        style={style}
+      />
+    );
+  }
+  return (
+    <span
+      className={`rounded-circle d-inline-flex align-items-center justify-content-center fw-bold text-white ${className}`}
+      style={{ ...style, backgroundColor: "#974c1a", fontSize: size * 0.45 }}
+      aria-hidden="true"
+    >
+      {label.charAt(0).toUpperCase() || "?"}
+    </span>
+  );
+};
+export default UserAvatar;
@@ -0,0 +1,82 @@
+import React from "react";
+import { format } from "date-fns";
+import { FaStore, FaTruck } from "react-icons/fa";
+import { CASH_ON_DELIVERY, PAYMENT_STATUSES } from "../../utils/payments";
+import { PICKUP_STATUSES } from "../../utils/pickup";
+import { describeDeliveryDays } from "../../utils/shipping";
+
+/**
+ * @description How an order reaches the shopper (home delivery or click & collect)
+ * and what they have to do: the pickup slot, code and counter, or the cash to
+ * keep ready for the courier.
+ * @param {object} props
+ * @param {object} props.order
+ */
+const OrderFulfilment = ({ order }) => {
+  // Orders placed before delivery methods have nothing to show.
+  if (!order.shipping || order.status === "canceled") return null;
+  const amount = `₹${parseFloat(order.total_amount).toFixed(2)}`;
+  const cashDue =
+    order.payment?.method === CASH_ON_DELIVERY &&
+    order.payment.status === PAYMENT_STATUSES.PENDING;
+  const { pickup } = order;
+
+  if (pickup) {
+    return (
+      <div className="alert alert-light border mb-4">
+        <h6 className="fw-bold mb-2 d-flex align-items-center">
+          <FaStore className="me-2" />
+          Click &amp; collect
+          {pickup.status === PICKUP_STATUSES.READY && (
+            <span className="badge bg-success ms-2">Ready for pickup</span>
+          )}
+          {pickup.status === PICKUP_STATUSES.COLLECTED && (
+            <span className="badge bg-secondary ms-2">Collected</span>
+          )}
+        </h6>
+        <p className="mb-2 small">
+          <strong>{pickup.store.name}</strong>
+          <span className="d-block">{pickup.store.address}</span>
+          <span className="d-block">{pickup.store.phone}</span>
+        </p>
+        {pickup.status !== PICKUP_STATUSES.COLLECTED && (
+          <>
+            <p className="mb-2 small">
+              Pickup slot: <strong>{pickup.slot.label}</strong>
+              <span className="d-block">
+                Pickup code: <strong className="fs-5 font-monospace">{pickup.code}</strong>
+              </span>
+            </p>
+            <p className="mb-0 small text-muted">
+              {pickup.status === PICKUP_STATUSES.READY
+                ? `Your order is packed and waiting at the counter since ${format(
+                    new Date(pickup.ready_at),
+                    "d MMM, HH:mm"
+                  )}.`
+                : "We will let you know as soon as your order is packed."}{" "}
+              Show the pickup code and a photo ID at the counter.
+              {cashDue && ` Pay ${amount} in cash when you collect.`} Orders not collected
+              by {format(new Date(pickup.collect_by), "d MMM")} go back on the shelf.
+            </p>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="alert alert-light border mb-4">
+      <h6 className="fw-bold mb-2 d-flex align-items-center">
+        <FaTruck className="me-2" />
+        Home delivery
+      </h6>
+      <p className="mb-0 small text-muted">
+        {order.shipping.label}, usually {describeDeliveryDays(order.shipping.delivery_days)}{" "}
+        after the order ships.
+        {cashDue &&
+          ` Cash on delivery: please keep ${amount} ready for the courier; exact change helps.`}
+      </p>
+    </div>
+  );
+};
+export default OrderFulfilment;
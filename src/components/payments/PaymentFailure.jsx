@@ -0,0 +1,31 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { FaTimesCircle } from "react-icons/fa";
+
+/**
+ * @description The payment screen after the gateway declined the payment (or its
+ * signature did not check out). The order stays placed, so it can be paid again.
+ * @param {object} props
+ * @param {string|null} props.reason - What went wrong.
+ * @param {() => void} props.onRetry - Opens the gateway again.
+ * @param {boolean} props.busy - A new attempt is starting.
+ */
+const PaymentFailure = ({ reason, onRetry, busy }) => (
+  <div className="text-center">
+    <FaTimesCircle size={48} className="text-danger mb-3" />
+    <h4 className="fw-bold">Payment failed</h4>
+    <p className="text-muted mb-1">{reason || "The payment could not be completed."}</p>
+    <p className="small text-muted">
+      Your order is saved. If any money left your account, it is returned by your bank.
+    </p>
+    <div className="d-flex justify-content-center gap-2 mt-4">
+      <button type="button" className="btn btn-primary" onClick={onRetry} disabled={busy}>
+        {busy ? "Opening the payment..." : "Try again"}
+      </button>
+      <Link to="/orders" className="btn btn-outline-secondary">
+        Pay later
+      </Link>
+    </div>
+  </div>
+);
+export default PaymentFailure;
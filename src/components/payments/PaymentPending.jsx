@@ -0,0 +1,46 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { FaHourglassHalf } from "react-icons/fa";
+
+/**
+ * @description The payment screen while the bank has not confirmed the payment
+ * yet (e.g. a UPI request that was not approved). The shopper can check again or
+ * start a new attempt, which replaces this one.
+ * @param {object} props
+ * @param {() => void} props.onCheckStatus
+ * @param {() => void} props.onRetry
+ * @param {boolean} props.busy - A check or a new attempt is running.
+ * @param {string|null} props.notice - The result of the last check.
+ */
+const PaymentPending = ({ onCheckStatus, onRetry, busy, notice }) => (
+  <div className="text-center">
+    <FaHourglassHalf size={48} className="text-warning mb-3" />
+    <h4 className="fw-bold">Payment pending</h4>
+    <p className="text-muted">
+      Your bank has not confirmed the payment yet. This usually takes a few minutes.
+    </p>
+    {notice && <p className="small text-muted">{notice}</p>}
+    <div className="d-flex justify-content-center flex-wrap gap-2 mt-4">
+      <button
+        type="button"
+        className="btn btn-primary"
+        onClick={onCheckStatus}
+        disabled={busy}
+      >
+        Check status
+      </button>
+      <button
+        type="button"
+        className="btn btn-outline-primary"
+        onClick={onRetry}
+        disabled={busy}
+      >
+        Pay again
+      </button>
+      <Link to="/orders" className="btn btn-outline-secondary">
+        View my orders
+      </Link>
+    </div>
+  </div>
+);
+export default PaymentPending;
@@ -0,0 +1,31 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { FaCheckCircle } from "react-icons/fa";
+
+/**
+ * @description The payment screen once the backend confirmed the payment.
+ * @param {object} props
+ * @param {object} props.order
+ * @param {object} props.payment - The order's payment: `{ payment_id, paid_at, ... }`.
+ */
+const PaymentSuccess = ({ order, payment }) => (
+  <div className="text-center">
+    <FaCheckCircle size={48} className="text-success mb-3" />
+    <h4 className="fw-bold">Payment successful</h4>
+    <p className="text-muted mb-1">
+      We received ₹{parseFloat(order.total_amount).toFixed(2)} for order #{order.id}.
+    </p>
+    {payment.payment_id && (
+      <p className="small text-muted">Payment reference: {payment.payment_id}</p>
+    )}
+    <div className="d-flex justify-content-center gap-2 mt-4">
+      <Link to="/orders" className="btn btn-primary">
+        View my orders
+      </Link>
+      <Link to="/products" className="btn btn-outline-secondary">
+        Continue shopping
+      </Link>
+    </div>
+  </div>
+);
+export default PaymentSuccess;
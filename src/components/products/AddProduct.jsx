@@ -4,38 +4,46 @@
  * into a Base64 string before submission to the backend service.
  */
 // Import necessary React hooks and functions.
-import React, { useState, useContext } from "react";
+import React, { useState } from "react";
 // useNavigate is a hook from React Router used for programmatic navigation.
 import { useNavigate } from "react-router-dom";
 // Imports an external service layer function for API interaction (creating the product).
 import productService from "../../services/productService";
-// Imports the Authentication Context to access the current user's token for authorization.
-import AuthContext from "../../context/AuthContext";
+// Keeps the typed values as a draft, e.g. when the session ends for inactivity.
+import useFormDraft from "../../hooks/useFormDraft";
+// The GST slabs offered in the rate field.
+import { GST_RATES, DEFAULT_GST_RATE } from "../../utils/gst";
 // Imports the necessary CSS for styling (Bootstrap framework).
 import "bootstrap/dist/css/bootstrap.min.css";
 // Imports custom styling specific to this component.
 import "../../styles/AddProduct.css";
+// The values of the empty form.
+const EMPTY_PRODUCT = {
+  name: "", // Product name (string)
+  description: "", // Product description (string)
+  price: "", // Product price (string, will be converted to number later)
+  stock: "", // Product stock quantity (string, will be converted to number later)
+  max_order_quantity: "", // Optional limit of units per order (empty: no limit)
+  weight_grams: "", // Optional shipping weight of one unit in grams
+  hsn_code: "", // HSN code for the GST invoice
+  gst_rate: String(DEFAULT_GST_RATE), // GST slab in percent
+  price_includes_tax: "true", // Whether the price includes GST ("true" / "false")
+};
 /**
  * 'const AddProduct = () => { ... }' defines the main functional component.
  */
 const AddProduct = () => {
   // 'const navigate = useNavigate();' initializes the navigation function from React Router.
   const navigate = useNavigate();
-  // Destructures 'currentUser' from the AuthContext using the useContext hook.
-  // This user object should contain the authorization token required for the API call.
-  const { currentUser } = useContext(AuthContext);
   // This state now manages the text-based form data
   /**
-   * 'const [formData, setFormData] = useState({ ... });' initializes state for all text inputs.
+   * 'const [formData, setFormData, draft] = useFormDraft(...);' works like useState for all text inputs,
+   * but the values are also saved as a draft and restored when the user comes back.
    * 'formData': Holds the current values of the form fields.
    * 'setFormData': The function to update this state.
+   * 'draft': `restored` (the form started from a draft) and `clearDraft()`.
    */
-  const [formData, setFormData] = useState({
-    name: "", // Product name (string)
-    description: "", // Product description (string)
-    price: "", // Product price (string, will be converted to number later)
-    stock: "", // Product stock quantity (string, will be converted to number later)
-  });
+  const [formData, setFormData, draft] = useFormDraft("addProduct", EMPTY_PRODUCT);
   // This new state holds the selected file object
   /**
    * 'const [image_url, setImageFile] = useState(null);' initializes state to hold the file object itself.
@@ -112,13 +120,12 @@ const AddProduct = () => {
       };
       try {
         // Call the service function to send data to the backend API.
-        const newProduct = await productService.createProduct(
-          productData,
-          // Pass the user's token (or authentication key) for API authorization.
-          currentUser.token
-        );
+        // The shared API client attaches the user's token for authorization.
+        const newProduct = await productService.createProduct(productData);
         // Check if the API call returned a product successfully.
         if (newProduct) {
+          // The product is saved, so the draft is no longer needed.
+          draft.clearDraft();
           setMessage("Product created successfully!");
           // Use setTimeout for a delayed, controlled navigation after success.
           setTimeout(() => {
@@ -126,9 +133,8 @@ const AddProduct = () => {
           }, 2000);
         }
       } catch (error) {
-        // Handle API errors. Attempt to get a specific message from the error response structure.
-        const errorMessage =
-          error.response?.data?.message || "An unexpected error occurred.";
+        // Handle API errors. The service layer already extracted the backend message.
+        const errorMessage = error.message || "An unexpected error occurred.";
         setMessage(`Error: ${errorMessage}`);
       } finally {
         // Ensure the loading state is reset regardless of success or failure.
@@ -162,6 +168,24 @@ const AddProduct = () => {
                 <h2 className="card-title text-center mb-4 product-form-title">
                   Add New Product 🛍️
                 </h2>
+                {/* Notice shown when unsaved values from an earlier visit were restored. */}
+                {draft.restored && (
+                  <div className="alert alert-info d-flex justify-content-between align-items-center">
+                    <span>
+                      We restored your unsaved changes. Please select the image again.
+                    </span>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-secondary"
+                      onClick={() => {
+                        draft.clearDraft();
+                        setFormData(EMPTY_PRODUCT, { persist: false });
+                      }}
+                    >
+                      Discard
+                    </button>
+                  </div>
+                )}
                 {/* The main form element, tied to the handleSubmit function. */}
                 <form onSubmit={handleSubmit} className="product-form">
                   <div className="row">
@@ -242,6 +266,91 @@ const AddProduct = () => {
                       />
                     </div>
                   </div>
+                  <div className="row">
+                    {/* Optional maximum per order (empty: only the stock limits an order) */}
+                    <div className="col-md-6 mb-3 form-group">
+                      <label htmlFor="max_order_quantity" className="form-label">
+                        Max per order <span className="text-muted">(optional)</span>
+                      </label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        id="max_order_quantity"
+                        name="max_order_quantity"
+                        min="1"
+                        step="1"
+                        value={formData.max_order_quantity ?? ""}
+                        onChange={handleChange}
+                      />
+                    </div>
+                    {/* Optional shipping weight (empty: the shipping rules' default weight) */}
+                    <div className="col-md-6 mb-3 form-group">
+                      <label htmlFor="weight_grams" className="form-label">
+                        Shipping weight (g) <span className="text-muted">(optional)</span>
+                      </label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        id="weight_grams"
+                        name="weight_grams"
+                        min="1"
+                        step="1"
+                        value={formData.weight_grams ?? ""}
+                        onChange={handleChange}
+                      />
+                    </div>
+                  </div>
+                  {/* GST: HSN code, rate, and whether the price above includes the tax */}
+                  <div className="row">
+                    <div className="col-md-4 mb-3 form-group">
+                      <label htmlFor="hsn_code" className="form-label">
+                        HSN code
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        className="form-control"
+                        id="hsn_code"
+                        name="hsn_code"
+                        maxLength={8}
+                        value={formData.hsn_code ?? ""}
+                        onChange={handleChange}
+                      />
+                    </div>
+                    <div className="col-md-4 mb-3 form-group">
+                      <label htmlFor="gst_rate" className="form-label">
+                        GST rate
+                      </label>
+                      <select
+                        className="form-select"
+                        id="gst_rate"
+                        name="gst_rate"
+                        value={formData.gst_rate ?? DEFAULT_GST_RATE}
+                        onChange={handleChange}
+                      >
+                        {GST_RATES.map((rate) => (
+                          <option key={rate} value={rate}>
+                            {rate}%
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="col-md-4 mb-3 form-group">
+                      <label htmlFor="price_includes_tax" className="form-label">
+                        Price entered
+                      </label>
+                      <select
+                        className="form-select"
+                        id="price_includes_tax"
+                        name="price_includes_tax"
+                        value={formData.price_includes_tax ?? "true"}
+                        onChange={handleChange}
+                      >
+                        <option value="true">Including GST</option>
+                        <option value="false">Excluding GST</option>
+                      </select>
+                    </div>
+                  </div>
                   {/* Submit Button */}
                   <button
                     type="submit"
@@ -4,12 +4,12 @@
 import React, { useState, useEffect } from "react";
 // This line imports `useParams` to get parameters from the URL, and `useNavigate` for programmatic navigation.
 import { useParams, useNavigate } from "react-router-dom";
-// This line imports the `useContext` hook to access a context value.
-import { useContext } from "react";
 // This line imports the `productService` object, which contains all the API call functions for products.
 import productService from "../../services/productService";
-// This line imports the `AuthContext` to access the current user's authentication data.
-import AuthContext from "../../context/AuthContext";
+// Keeps the typed values as a draft, e.g. when the session ends for inactivity.
+import useFormDraft from "../../hooks/useFormDraft";
+// The GST slabs offered in the rate field.
+import { GST_RATES, DEFAULT_GST_RATE } from "../../utils/gst";
 // This is a commented-out line that would import Bootstrap CSS.
 // import 'bootstrap/dist/css/bootstrap.min.css';
 /**
@@ -23,15 +23,19 @@ const EditProduct = () => {
   const { id } = useParams();
   // `useNavigate` is initialized here to get the navigation function.
   const navigate = useNavigate();
-  // `useContext` is used to get the `currentUser` object from `AuthContext`.
-  const { currentUser } = useContext(AuthContext);
-  // We use the `useState` hook to manage the form data.
+  // We use the `useFormDraft` hook to manage the form data: it works like `useState`,
+  // but unsaved changes are kept as a draft (one per product) and restored on return.
   // The state is an object that mirrors the product's properties.
-  const [formData, setFormData] = useState({
+  const [formData, setFormData, draft] = useFormDraft(`editProduct:${id}`, {
     name: "",
     description: "",
     price: "",
     stock: "",
+    max_order_quantity: "",
+    weight_grams: "",
+    hsn_code: "",
+    gst_rate: String(DEFAULT_GST_RATE),
+    price_includes_tax: "true",
   });
   // This new state holds the selected file object
   /**
@@ -64,13 +68,24 @@ const EditProduct = () => {
         console.log("Response is", response);
         // If the response is valid, we pre-populate the form.
         if (response) {
-          // Set the `formData` state with the fetched data.
-          setFormData({
-            name: response.name,
-            description: response.description,
-            price: response.price,
-            stock: response.stock,
-          });
+          // Set the `formData` state with the fetched data, unless the user's
+          // restored draft should be shown instead. These values are not a draft.
+          if (!draft.restored) {
+            setFormData(
+              {
+                name: response.name,
+                description: response.description,
+                price: response.price,
+                stock: response.stock,
+                max_order_quantity: response.max_order_quantity ?? "",
+                weight_grams: response.weight_grams ?? "",
+                hsn_code: response.hsn_code ?? "",
+                gst_rate: String(response.gst_rate ?? DEFAULT_GST_RATE),
+                price_includes_tax: String(response.price_includes_tax !== false),
+              },
+              { persist: false }
+            );
+          }
           setImageFile({ image_url: response.image_url || "" });
           // Set `loading` to `false` to hide the loading indicator.
           setLoading(false);
@@ -88,7 +103,9 @@ const EditProduct = () => {
     };
     // Call the `fetchProduct` function to initiate the data fetching.
     fetchProduct();
-  }, [id]); // The dependency array `[id]` ensures this effect runs only when the `id` parameter changes.
+    // The effect runs when the `id` parameter changes, and again when the draft is
+    // cleared (saved or discarded), which reloads the product's saved values.
+  }, [id, draft.restored, setFormData]);
   /**
    * @description: Handles changes to the form input fields.
    * Updates the `formData` state with the new value.
@@ -158,11 +175,12 @@ const EditProduct = () => {
         // Call the `updateProduct` service from our `productService`.
         const response = await productService.updateProduct(
           id, // The product ID.
-          productData, // The updated form data.
-          currentUser.token // The user's token for authentication.
+          productData // The updated form data (the token is attached by the API client).
         );
         // Check for a `success` property in the response from the server.
         if (response.success) {
+          // The changes are saved, so the draft is no longer needed.
+          draft.clearDraft();
           // If successful, set a success message.
           setMessage("Product updated successfully!");
           // After a successful update, we use `setTimeout` to redirect the user after 2 seconds.
@@ -175,8 +193,8 @@ const EditProduct = () => {
         }
       } catch (err) {
         console.error("Failed to update product", err);
-        // If the API call fails, get the error message from the Axios error object.
-        setError(err.response?.data?.message || "Failed to update product.");
+        // If the API call fails, use the message normalized by the API client.
+        setError(err.message || "Failed to update product.");
       } finally {
         // The `finally` block runs whether the try or catch block was executed.
         // It ensures `loading` is set to `false`, which re-enables the form.
@@ -229,6 +247,21 @@ const EditProduct = () => {
                 <h2 className="card-title text-center mb-4 product-form-title">
                   Edit Product :shopping_bags:
                 </h2>
+                {/* Notice shown when unsaved changes from an earlier visit were restored. */}
+                {draft.restored && (
+                  <div className="alert alert-info d-flex justify-content-between align-items-center">
+                    <span>
+                      We restored your unsaved changes. Please select the image again.
+                    </span>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-secondary"
+                      onClick={draft.clearDraft}
+                    >
+                      Discard
+                    </button>
+                  </div>
+                )}
                 {/* The main form element, tied to the handleSubmit function. */}
                 <form onSubmit={handleSubmit} className="product-form">
                   <div className="row">
@@ -309,6 +342,91 @@ const EditProduct = () => {
                       />
                     </div>
                   </div>
+                  <div className="row">
+                    {/* Optional maximum per order (empty: only the stock limits an order) */}
+                    <div className="col-md-6 mb-3 form-group">
+                      <label htmlFor="max_order_quantity" className="form-label">
+                        Max per order <span className="text-muted">(optional)</span>
+                      </label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        id="max_order_quantity"
+                        name="max_order_quantity"
+                        min="1"
+                        step="1"
+                        value={formData.max_order_quantity ?? ""}
+                        onChange={handleChange}
+                      />
+                    </div>
+                    {/* Optional shipping weight (empty: the shipping rules' default weight) */}
+                    <div className="col-md-6 mb-3 form-group">
+                      <label htmlFor="weight_grams" className="form-label">
+                        Shipping weight (g) <span className="text-muted">(optional)</span>
+                      </label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        id="weight_grams"
+                        name="weight_grams"
+                        min="1"
+                        step="1"
+                        value={formData.weight_grams ?? ""}
+                        onChange={handleChange}
+                      />
+                    </div>
+                  </div>
+                  {/* GST: HSN code, rate, and whether the price above includes the tax */}
+                  <div className="row">
+                    <div className="col-md-4 mb-3 form-group">
+                      <label htmlFor="hsn_code" className="form-label">
+                        HSN code
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        className="form-control"
+                        id="hsn_code"
+                        name="hsn_code"
+                        maxLength={8}
+                        value={formData.hsn_code ?? ""}
+                        onChange={handleChange}
+                      />
+                    </div>
+                    <div className="col-md-4 mb-3 form-group">
+                      <label htmlFor="gst_rate" className="form-label">
+                        GST rate
+                      </label>
+                      <select
+                        className="form-select"
+                        id="gst_rate"
+                        name="gst_rate"
+                        value={formData.gst_rate ?? DEFAULT_GST_RATE}
+                        onChange={handleChange}
+                      >
+                        {GST_RATES.map((rate) => (
+                          <option key={rate} value={rate}>
+                            {rate}%
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="col-md-4 mb-3 form-group">
+                      <label htmlFor="price_includes_tax" className="form-label">
+                        Price entered
+                      </label>
+                      <select
+                        className="form-select"
+                        id="price_includes_tax"
+                        name="price_includes_tax"
+                        value={formData.price_includes_tax ?? "true"}
+                        onChange={handleChange}
+                      >
+                        <option value="true">Including GST</option>
+                        <option value="false">Excluding GST</option>
+                      </select>
+                    </div>
+                  </div>
                   {/* Submit Button */}
                   <button
                     type="submit"
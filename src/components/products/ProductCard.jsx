@@ -7,19 +7,30 @@
  */
 // Import the core React library.
 import React, {
-  // useState: Hook for adding state to track hover status.
+  // useState: Hook for adding state to track hover status and the chosen quantity.
   useState,
+  // useContext: Hook to read the shared cart.
+  useContext,
 } from "react";
 // Import Link component for routing to the product details page.
 import {
   // Link: Used for client-side navigation.
   Link,
 } from "react-router-dom";
+// Import the shared cart, to know how many units are already in it.
+import CartContext from "../../context/CartContext";
+// Import the shared quantity control (it stops at the stock and per-order limits).
+import QuantitySelector from "../common/QuantitySelector";
+// Import the helper that tells how many units one order may hold.
+import { getOrderLimit } from "../../utils/stock";
+// Import the GST note shown next to the price.
+import { describePriceTax } from "../../utils/gst";
 /**
  * Defines the ProductCard functional component.
  * @param {object} props - The component properties.
  * @param {object} props.product - The product data object to display.
- * @param {function} props.handleAddToCart - Callback function to add the product to the cart.
+ * @param {function} props.handleAddToCart - Callback function to add the product to the cart,
+ * called with the product ID and the chosen quantity.
  * @param {boolean} [props.isFeatured=false] - Flag to apply featured styling/logic.
  * @returns {JSX.Element} The rendered product card.
  */
@@ -33,6 +44,14 @@ const ProductCard = ({
 }) => {
   // State hook to track if the mouse is currently hovering over the card.
   const [isHovered, setIsHovered] = useState(false);
+  // State hook for the number of units to add. Starts at one.
+  const [quantity, setQuantity] = useState(1);
+  // Units of this product already in the cart, and how many more may be added.
+  const { cart } = useContext(CartContext);
+  const inCart =
+    cart?.items.find((item) => (item.productId ?? item.product.id) === product.id)
+      ?.quantity || 0;
+  const available = getOrderLimit(product) - inCart;
   /**
    * Logic to determine the product image URL.
    * Uses the product's image_url if it exists and is not empty.
@@ -146,7 +165,23 @@ const ProductCard = ({
           {product.description}
         </p>
         {/* // Price display, large font size (fs-5), bold, and primary color. */}
-        <p className="card-text fs-5 fw-bold text-primary">{formattedPrice}</p>
+        <p className="card-text fs-5 fw-bold text-primary">
+          {formattedPrice}
+          {/* Whether the price includes GST. */}
+          <small className="fs-6 fw-normal text-muted ms-2">
+            {describePriceTax(product)}
+          </small>
+        </p>
+        {/* // Quantity picker (only while the product is in stock). */}
+        {product.stock > 0 && (
+          <QuantitySelector
+            product={product}
+            value={quantity}
+            onChange={setQuantity}
+            inCart={inCart}
+            size="sm"
+          />
+        )}
       </div>
       {/* Comment indicating the Footer section. */}
       {/* Footer */}
@@ -168,8 +203,14 @@ const ProductCard = ({
           <button
             // Primary button styling. Centers content and sets responsive width.
             className="btn btn-primary d-flex align-items-center justify-content-center w-100 w-sm-auto"
-            // Click handler calls the passed-in function with the product ID.
-            onClick={() => handleAddToCart(product.id)}
+            // Click handler calls the passed-in function with the product ID and quantity,
+            // then starts again from one unit.
+            onClick={async () => {
+              await handleAddToCart(product.id, quantity);
+              setQuantity(1);
+            }}
+            // Disabled when nothing more can be added (the cart already holds the limit).
+            disabled={quantity > available}
           >
             {/* Unicode for a shopping cart icon. */}
             🛒
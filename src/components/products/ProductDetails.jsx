@@ -34,12 +34,16 @@ import {
   // FaLongArrowAltLeft: Icon for the "Back" button.
   FaLongArrowAltLeft,
 } from "react-icons/fa";
-// Import the authentication context to get user state.
-import AuthContext from "../../context/AuthContext";
 // Import the service layer for product-related API calls.
 import productService from "../../services/productService";
-// Import the service layer for cart-related API calls.
-import cartService from "../../services/cartService";
+// Import the cart context, so the Navbar badge follows every addition.
+import CartContext from "../../context/CartContext";
+// Import the shared quantity control (it stops at the stock and per-order limits).
+import QuantitySelector from "../common/QuantitySelector";
+// Import the helper that tells how many units one order may hold.
+import { getOrderLimit } from "../../utils/stock";
+// Import the GST note shown next to the price.
+import { describePriceTax } from "../../utils/gst";
 // Import the local stylesheet for styling this specific page.
 import "../../styles/ProductDetails.css";
 /**
@@ -52,8 +56,8 @@ const ProductDetails = () => {
   const { id } = useParams();
   // Get the function used for navigating between pages.
   const navigate = useNavigate();
-  // Get the 'currentUser' object from the AuthContext.
-  const { currentUser } = useContext(AuthContext);
+  // Get the shared cart and the action that adds a product to it.
+  const { cart, addToCart } = useContext(CartContext);
   // State to hold the fetched product data object. Initialized to null.
   const [product, setProduct] = useState(null);
   // State to track if product data is currently being loaded. Initialized to true.
@@ -62,8 +66,8 @@ const ProductDetails = () => {
   const [error, setError] = useState(null);
   // State to hold temporary feedback messages (e.g., "Added to Cart"). Initialized as an empty string.
   const [message, setMessage] = useState("");
-  // Safely retrieve the authentication token from 'currentUser'.
-  const token = currentUser?.token;
+  // State for the number of units to add. Starts at one.
+  const [quantity, setQuantity] = useState(1);
   /**
    * Effect Hook: Fetches the specific product data based on the URL 'id'.
    */
@@ -93,25 +97,18 @@ const ProductDetails = () => {
    * Function to handle the "Add to Cart" action.
    */
   const handleAddToCart = async () => {
-    // Check 1: If the user is not logged in.
-    if (!currentUser) {
-      // Set a message prompt to log in.
-      setMessage("Please log in to add products to your cart.");
-      // Set a timeout to wait 1 second, then navigate to the login page.
-      setTimeout(() => navigate("/login"), 1000);
-      // Exit the function.
-      return;
-    }
     try {
-      // Await the API call to the 'cartService' to add 1 item.
-      await cartService.addItem(product.id, 1, token);
+      // Add the chosen quantity through the cart context (a guest's cart is kept in the browser).
+      await addToCart(product.id, quantity);
       // Set a success message.
       setMessage("Product added to cart successfully!");
+      // Start again from one unit.
+      setQuantity(1);
       // Set a timeout to wait 1.5 seconds, then navigate to the cart page.
       setTimeout(() => navigate("/carts"), 1500);
     } catch (err) {
-      // Set a failure message if the API call fails.
-      setMessage("Failed to add product to cart. Please try again.");
+      // Set a failure message (e.g. not enough stock) if adding fails.
+      setMessage(err.message || "Failed to add product to cart. Please try again.");
       // Log the error to the console.
       console.error("Add to cart error:", err);
     }
@@ -163,6 +160,11 @@ const ProductDetails = () => {
       </div>
     );
   }
+  // Units of this product already in the cart, and how many more may be added.
+  const inCart =
+    cart?.items.find((item) => (item.productId ?? item.product.id) === product.id)
+      ?.quantity || 0;
+  const available = getOrderLimit(product) - inCart;
   // --- Main Component Rendering ---
   // If no loading or error, return the main product details layout.
   return (
@@ -214,7 +216,13 @@ const ProductDetails = () => {
             {/* // Horizontal rule for visual separation. */}
             <hr className="my-4" />
             {/* // Product price display. */}
-            <h2 className="product-price-pro">₹{product.price}</h2>
+            <h2 className="product-price-pro">
+              ₹{product.price}
+              {/* Whether the price includes GST. */}
+              <small className="fs-6 fw-normal text-muted ms-2">
+                {describePriceTax(product)}
+              </small>
+            </h2>
             {/* // Stock status label. */}
             <p className="product-stock-status-pro">
               Stock: {/* // Conditional rendering for the stock value. */}
@@ -226,7 +234,24 @@ const ProductDetails = () => {
                 <span className="text-danger">Out of Stock</span>
               )}
             </p>
-            {/* // Conditional rendering for the Add to Cart button (only show if stock > 0). */}
+            {/* // Conditional rendering for the quantity and Add to Cart button (only show if stock > 0). */}
+            {product.stock > 0 && (
+              // Quantity picker, limited to what can still be added to the cart.
+              <div className="mb-3">
+                <QuantitySelector
+                  product={product}
+                  value={quantity}
+                  onChange={setQuantity}
+                  inCart={inCart}
+                />
+                {/* Units of this product the cart already holds. */}
+                {inCart > 0 && (
+                  <small className="d-block text-muted mt-1">
+                    {inCart} already in your cart.
+                  </small>
+                )}
+              </div>
+            )}
             {product.stock > 0 && (
               // Add to Cart button.
               <button
@@ -234,8 +259,9 @@ const ProductDetails = () => {
                 className="add-to-cart-btn-pro"
                 // Click handler calls the async function to add the product to the cart.
                 onClick={handleAddToCart}
-                // Disable button if user is not logged in OR if stock is zero.
-                disabled={!currentUser || product.stock === 0}
+                // Disable the button when nothing more can be added (out of stock,
+                // or the cart already holds the limit).
+                disabled={quantity > available}
               >
                 {/* Renders the Shopping Cart icon with right margin. */}
                 <FaShoppingCart className="me-2" />
@@ -0,0 +1,133 @@
+import React, { useContext, useEffect, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { FaDesktop, FaMobileAlt, FaTabletAlt } from "react-icons/fa";
+import AuthContext from "../../context/AuthContext";
+import authService from "../../services/authService";
+import { describeUserAgent } from "../../utils/userAgent";
+
+const DEVICE_ICONS = {
+  Desktop: FaDesktop,
+  Mobile: FaMobileAlt,
+  Tablet: FaTabletAlt,
+};
+
+/**
+ * @description The devices the user is logged in on, each with its browser, IP
+ * and last activity. Other devices can be logged out one by one, or all at once
+ * with "Log out everywhere".
+ */
+const ActiveSessions = () => {
+  // Ending this session has to go through AuthContext; the list itself does not.
+  const { logoutEverywhere } = useContext(AuthContext);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState(null);
+  // The id of the session being revoked, or "all".
+  const [revoking, setRevoking] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (err) {
+      setStatus({ type: "error", text: err.message || "Could not load your sessions." });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    authService
+      .getSessions()
+      .then(setSessions)
+      .catch((err) =>
+        setStatus({ type: "error", text: err.message || "Could not load your sessions." })
+      )
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setRevoking(sessionId);
+    setStatus(null);
+    try {
+      const { message } = await authService.revokeSession(sessionId);
+      setStatus({ type: "success", text: message });
+      await loadSessions();
+    } catch (err) {
+      setStatus({ type: "error", text: err.message || "Could not log the device out." });
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm("Log out on every device, including this one?")) return;
+    setRevoking("all");
+    setStatus(null);
+    try {
+      // Ends this session too: AuthContext takes the user to the login page.
+      await logoutEverywhere();
+    } catch (err) {
+      setStatus({ type: "error", text: err.message || "Could not log you out everywhere." });
+      setRevoking(null);
+    }
+  };
+
+  if (loading) return <p>Loading your sessions...</p>;
+
+  return (
+    <div>
+      {status && (
+        <div className={`status-message ${status.type}`} role="status">
+          {status.text}
+        </div>
+      )}
+      <ul className="session-list">
+        {sessions.map((session) => {
+          const { browser, os, device } = describeUserAgent(session.user_agent);
+          const DeviceIcon = DEVICE_ICONS[device];
+          return (
+            <li key={session.id} className="session-item">
+              <DeviceIcon className="session-icon" aria-label={device} />
+              <div className="session-details">
+                <strong>
+                  {browser} on {os}
+                </strong>
+                {session.current && (
+                  <span className="session-current">This device</span>
+                )}
+                <div className="session-meta">
+                  IP {session.ip} ·{" "}
+                  {session.current
+                    ? "Active now"
+                    : `Last seen ${formatDistanceToNow(new Date(session.last_seen_at), {
+                        addSuffix: true,
+                      })}`}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  className="profile-link-button"
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={revoking !== null}
+                >
+                  {revoking === session.id ? "Logging out..." : "Log out"}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="profile-form">
+        <button
+          type="button"
+          onClick={handleLogoutEverywhere}
+          disabled={revoking !== null}
+        >
+          {revoking === "all" ? "Logging out..." : "Log out everywhere"}
+        </button>
+      </div>
+    </div>
+  );
+};
+export default ActiveSessions;
@@ -0,0 +1,239 @@
+import React, { useContext, useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import AuthContext from "../../context/AuthContext";
+
+/**
+ * @description Lists backup codes with a button to copy them all.
+ * @param {object} props
+ * @param {string[]} props.codes
+ * @param {() => void} props.onDone - Called once the user saved the codes.
+ */
+const BackupCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setCopied(true);
+    } catch {
+      // Clipboard access can be denied; the codes stay on screen to copy by hand.
+    }
+  };
+  return (
+    <div className="two-factor-backup">
+      <p>
+        Save these backup codes somewhere safe. Each one signs you in once if you
+        lose your phone. They will not be shown again.
+      </p>
+      <ul className="two-factor-codes">
+        {codes.map((code) => (
+          <li key={code}>
+            <code>{code}</code>
+          </li>
+        ))}
+      </ul>
+      <div className="profile-form">
+        <button type="button" onClick={handleCopy}>
+          {copied ? "Copied!" : "Copy codes"}
+        </button>
+        <button type="button" onClick={onDone}>
+          I've saved my codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * @description The two-factor section of the profile: enrollment with a locally
+ * rendered QR code (the secret never leaves the browser for a QR service), backup
+ * codes, and turning it off again (not possible for admins).
+ */
+const TwoFactorSettings = () => {
+  const {
+    currentUser,
+    hasRole,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+  } = useContext(AuthContext);
+  // `{ secret, otpauth_url }` while the enrollment is in progress.
+  const [setup, setSetup] = useState(null);
+  // Backup codes to show once, right after they were created.
+  const [backupCodes, setBackupCodes] = useState(null);
+  // "regenerate" or "disable" while one of those forms is open.
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const enabled = currentUser?.two_factor_enabled === true;
+
+  /**
+   * @description Runs one of the API calls of this section with the shared busy/error handling.
+   * @param {() => Promise<void>} task
+   */
+  const run = async (task) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      await task();
+    } catch (err) {
+      setStatus({ type: "error", text: err.message || "Something went wrong." });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closeForms = () => {
+    setAction(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const handleStartSetup = () =>
+    run(async () => {
+      setSetup(await setupTwoFactor());
+      setCode("");
+    });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await enableTwoFactor(code);
+      setSetup(null);
+      setCode("");
+      setBackupCodes(data.backup_codes);
+      setStatus({ type: "success", text: data.message });
+    });
+  };
+
+  const handleAction = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (action === "regenerate") {
+        const data = await regenerateBackupCodes(code);
+        setBackupCodes(data.backup_codes);
+        setStatus({ type: "success", text: data.message });
+      } else {
+        const data = await disableTwoFactor(password, code);
+        setStatus({ type: "success", text: data.message });
+      }
+      closeForms();
+    });
+  };
+
+  return (
+    <div>
+      {status && (
+        <div className={`status-message ${status.type}`} role="status">
+          {status.text}
+        </div>
+      )}
+
+      {backupCodes ? (
+        <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />
+      ) : enabled ? (
+        <>
+          <p>
+            Two-factor authentication is <strong>on</strong>. Logging in asks for
+            a code from your authenticator app.
+          </p>
+          {action ? (
+            <form onSubmit={handleAction} className="profile-form">
+              {action === "disable" && (
+                <label>
+                  Password:
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                  />
+                </label>
+              )}
+              <label>
+                Authentication code or backup code:
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  required
+                />
+              </label>
+              <button type="submit" disabled={busy}>
+                {busy
+                  ? "Please wait..."
+                  : action === "regenerate"
+                    ? "Create new backup codes"
+                    : "Turn off two-factor authentication"}
+              </button>
+              <button type="button" onClick={closeForms} disabled={busy}>
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="profile-form">
+              <button type="button" onClick={() => setAction("regenerate")}>
+                New backup codes
+              </button>
+              {/* Admin accounts must keep two-factor authentication on. */}
+              {!hasRole("admin") && (
+                <button type="button" onClick={() => setAction("disable")}>
+                  Turn off
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="profile-form">
+          <p>
+            Scan this QR code with an authenticator app (Google Authenticator,
+            Authy, 1Password...), then enter the 6-digit code it shows.
+          </p>
+          <div className="two-factor-qr">
+            <QRCodeSVG value={setup.otpauth_url} size={176} />
+          </div>
+          <p className="two-factor-secret">
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+          <label>
+            Authentication code:
+            <input
+              type="text"
+              inputMode="numeric"
+              pattern="[0-9]{6}"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+              autoComplete="one-time-code"
+              required
+            />
+          </label>
+          <button type="submit" disabled={busy}>
+            {busy ? "Verifying..." : "Turn on two-factor authentication"}
+          </button>
+          <button type="button" onClick={() => setSetup(null)} disabled={busy}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <p>
+            Protect your account with a second step at login: a code from an
+            authenticator app on your phone.
+          </p>
+          <div className="profile-form">
+            <button type="button" onClick={handleStartSetup} disabled={busy}>
+              {busy ? "Please wait..." : "Set up two-factor authentication"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+export default TwoFactorSettings;
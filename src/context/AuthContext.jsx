@@ -1,10 +1,27 @@
 // src/context/AuthContext.jsx
 // This context manages the global authentication state for our application.
 // It provides the current user data and functions to log in, log out, and register.
-import React, { createContext, useState, useEffect, useRef } from "react";
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+} from "react";
 import authService from "../services/authService";
-import { useNavigate } from "react-router-dom";
+import sessionStore, { SESSION_MODES } from "../services/sessionStore";
+import { onSessionExpired, setTokenRefresher } from "../services/apiClient";
+import { useNavigate, useLocation } from "react-router-dom";
 import { jwtDecode } from "jwt-decode";
+import { getUserRoles } from "../utils/roles";
+import { isTokenExpired, isSessionExpired, getSessionTimes } from "../utils/token";
+import {
+  SESSION_EVENTS,
+  broadcastSessionEvent,
+  subscribeToSessionEvents,
+  requestSharedSession,
+  withRefreshLock,
+} from "../utils/sessionSync";
 
 // import authService from '../services/auth.service';
 // Why we use createContext:
@@ -16,72 +33,197 @@ const AuthContext = createContext();
 // The provider component wraps our entire application or a part of it,
 // making the authentication state available to all nested components.
 
+// How long before the access token expires we renew it (in seconds).
+// Short-lived tokens are renewed after 80% of their lifetime instead.
+const REFRESH_MARGIN_SECONDS = 60;
+// How often an open tab asks the backend whether its session was revoked elsewhere.
+const SESSION_CHECK_INTERVAL_MS = 2 * 60 * 1000;
+
+/**
+ * Tells why the backend rejected the session, for the message on the login page.
+ * @param {object} error - The `ApiError` of the rejected request.
+ * @returns {string|undefined} "revoked" when the session was ended from another device.
+ */
+const getRejectionReason = (error) =>
+  error?.data?.code === "session_revoked" ? "revoked" : undefined;
+
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
   // Why we use useEffect:
   // We use the effect hook to check for a logged-in user whenever the
   // component mounts. This ensures that if the page is refreshed, the
   // user's session is restored from local storage.
   // Use a ref to store the timeout ID to clear it later.
   // useRef is used here because we need a mutable variable that does NOT trigger a re-render when changed.
-  const logoutTimer = useRef(null);
+  const refreshTimer = useRef(null);
+  // Holds the refresh that is currently running, so parallel callers share one request.
+  const refreshInFlight = useRef(null);
   // Get the navigate function from React Router for redirection.
   const navigate = useNavigate(); // Get the navigate function
-  // Function to handle logout and clear the timer
+  // Keep the current location in a ref: the logout can be triggered from timers and
+  // API listeners registered on mount, which would otherwise see a stale location.
+  const location = useLocation();
+  const locationRef = useRef(location);
+  locationRef.current = location;
+  // The same for `navigate`, so the session handlers below keep one identity for the
+  // whole life of the provider (components list them as effect dependencies).
+  const navigateRef = useRef(navigate);
+  navigateRef.current = navigate;
+  // The refresh timer calls the latest `refreshSession`, which is declared after it.
+  const refreshSessionRef = useRef(null);
   /**
-   * Defines the central logout logic: clears session data and the auto-logout timer.
+   * Clears the scheduled token refresh, if any.
    */
-  const handleLogout = () => {
-    // Calls the service function to clean up local storage (e.g., removing tokens).
-    authService.logout();
-    // Clears the user state, effectively logging the user out in the UI.
-    setCurrentUser(null);
-    // Checks if a timer is currently set.
-    if (logoutTimer.current) {
-      // Clears the scheduled timeout to prevent unexpected execution.
-      clearTimeout(logoutTimer.current);
+  const clearRefreshTimer = useCallback(() => {
+    if (refreshTimer.current) {
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = null;
     }
-    // Programmatically redirects the user to the login page.
-    navigate("/login"); // Redirect to the login page
-  };
+  }, []);
+  // Function to handle logout and clear the timer
+  /**
+   * Defines the central logout logic: clears session data and the refresh timer.
+   * @param {object} [options] - `sessionExpired: true` tells the login page why the user is there
+   * and remembers the current page, so logging in again returns the user to it.
+   * `reason` (e.g. "inactivity") lets the login page explain what happened.
+   */
+  const handleLogout = useCallback(
+    ({ sessionExpired = false, reason } = {}) => {
+      // Calls the service function to clean up local storage (e.g., removing tokens).
+      authService.logout();
+      // Clears the user state, effectively logging the user out in the UI.
+      setCurrentUser(null);
+      // Clears the scheduled refresh to prevent unexpected execution.
+      clearRefreshTimer();
+      // The other open tabs end their session as well.
+      broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+      // Programmatically redirects the user to the login page.
+      navigateRef.current("/login", {
+        state: {
+          sessionExpired,
+          reason,
+          from: sessionExpired ? locationRef.current : undefined,
+        },
+      }); // Redirect to the login page
+    },
+    [clearRefreshTimer]
+  );
   /**
-   * useEffect hook runs once on mount to check for an existing session and set up the auto-logout timer.
+   * Schedules a silent refresh shortly before the session of the given user expires.
+   * @param {object} user - The session user; its token (or, in cookie mode, its
+   * `session_expires_at`) drives the timer.
+   */
+  const scheduleRefresh = useCallback(
+    (user) => {
+      clearRefreshTimer();
+      // Read the expiry from the JWT claims or from the cookie session fields.
+      const { exp, iat = exp } = getSessionTimes(user);
+      // Without a known expiry there is nothing to plan; a 401 still triggers a refresh.
+      if (exp === undefined) return;
+      // Calculate the current time in seconds (standard format for JWT 'exp' claim).
+      const currentTime = Date.now() / 1000;
+      const margin = Math.min(REFRESH_MARGIN_SECONDS, (exp - iat) / 5);
+      // Calculate the time remaining until the refresh in milliseconds.
+      const timeLeft = Math.max(0, (exp - margin - currentTime) * 1000);
+      refreshTimer.current = setTimeout(() => {
+        // Failures are handled (logout) inside refreshSession.
+        refreshSessionRef.current().catch(() => {});
+      }, timeLeft);
+    },
+    [clearRefreshTimer]
+  );
+  /**
+   * Exchanges the refresh token for a new access token and updates the state.
+   * The user is logged out only when this refresh itself fails.
+   * Refresh tokens are single use, so tabs take turns (see `withRefreshLock`):
+   * a tab that waited while another one refreshed adopts the new session instead.
+   * Memoized: PrivateRoute re-runs its expiry effect when this function changes.
+   * @returns {Promise<object>} The refreshed user.
+   */
+  const refreshSession = useCallback(() => {
+    // Reuse the running refresh instead of sending a second request.
+    if (refreshInFlight.current) return refreshInFlight.current;
+    // The session this tab wants to replace.
+    const staleStamp = sessionStore.getSessionStamp();
+    refreshInFlight.current = withRefreshLock(async () => {
+      if (sessionStore.getSessionMode() === SESSION_MODES.SESSION) {
+        // A tab-only session renewed by the previous holder of the lock arrives as a
+        // message: let it in before deciding.
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      const storedUser = sessionStore.getUser();
+      if (
+        storedUser &&
+        sessionStore.getSessionStamp() !== staleStamp &&
+        !isSessionExpired(storedUser)
+      ) {
+        return storedUser;
+      }
+      const user = await authService.refreshAccessToken();
+      // Let the other tabs pick up the new token (and reschedule their own timers).
+      // This happens before the lock is released, so the next tab in line does not
+      // reuse the spent refresh token.
+      broadcastSessionEvent(
+        SESSION_EVENTS.REFRESH,
+        sessionStore.getSharedSession()
+      );
+      return user;
+    })
+      .then((user) => {
+        setCurrentUser(user);
+        scheduleRefresh(user);
+        return user;
+      })
+      .catch((error) => {
+        console.error("Token refresh failed. Logging out.", error);
+        handleLogout({ sessionExpired: true, reason: getRejectionReason(error) });
+        throw error;
+      })
+      .finally(() => {
+        refreshInFlight.current = null;
+      });
+    return refreshInFlight.current;
+  }, [scheduleRefresh, handleLogout]);
+  refreshSessionRef.current = refreshSession;
+  /**
+   * useEffect hook runs once on mount to check for an existing session and set up the refresh timer.
+   * Its dependencies are the memoized session handlers, which never change.
    */
   useEffect(() => {
-    // Retrieve the raw access token string from local storage.
-    const accessToken = localStorage.getItem("accessToken");
-    // Retrieve the user data object from local storage.
-    const user = JSON.parse(localStorage.getItem("user"));
+    // In cookie mode the frontend cannot see the token: ask the backend instead.
+    if (sessionStore.isCookieMode()) {
+      authService
+        .restoreSession()
+        .then((user) => {
+          setCurrentUser(user);
+          if (user) scheduleRefresh(user);
+        })
+        .catch((error) => console.error("Could not restore the session.", error))
+        .finally(() => setLoading(false));
+      return clearRefreshTimer;
+    }
+    // Retrieve the raw access token string from the session store.
+    const accessToken = sessionStore.getAccessToken();
+    // Retrieve the user data object from the session store.
+    const user = sessionStore.getUser();
     // Check for both user data and a valid access token
     // This conditional ensures a session exists before proceeding with validation.
     if (user && user.token && accessToken) {
       try {
-        // Decode the JWT to access the payload claims (synchronous operation).
-        const decodedToken = jwtDecode(accessToken);
-        // Calculate the current time in seconds (standard format for JWT 'exp' claim).
-        const currentTime = Date.now() / 1000; // current time in seconds
-        // Check if the token is already expired
+        // Decode the JWT to make sure it is well formed (throws otherwise).
+        jwtDecode(accessToken);
         // Compares the token's expiration timestamp ('exp') with the current time.
-        if (decodedToken.exp < currentTime) {
-          console.log("Token expired. Logging out...");
-          // If expired, immediately execute the logout sequence.
-          handleLogout();
-        } else {
-          // If the token is valid, set the user state.
-          setCurrentUser(user);
-          // Calculate the time remaining until expiration in milliseconds.
-          const timeLeft = (decodedToken.exp - currentTime) * 1000;
-          console.log(
-            `Token expires in ${Math.round(timeLeft / 1000)} seconds.`
-          );
-          // Set a timeout to automatically log out the user
-          // Schedule the 'handleLogout' function to run precisely when the token expires.
-          logoutTimer.current = setTimeout(() => {
-            console.log("Token expired. Logging out automatically.");
-            handleLogout();
-          }, timeLeft); // The delay is set to the calculated remaining time.
+        if (isTokenExpired(accessToken)) {
+          // Keep rendering nothing until we know whether the session survives.
+          refreshSession()
+            .catch(() => {})
+            .finally(() => setLoading(false));
+          return clearRefreshTimer;
         }
+        // If the token is valid, set the user state and plan the next refresh.
+        setCurrentUser(user);
+        scheduleRefresh(user);
       } catch (error) {
         // Handle malformed or invalid tokens (e.g., if jwtDecode fails).
         console.error("Invalid token. Logging out.", error);
@@ -90,43 +232,319 @@ export const AuthProvider = ({ children }) => {
       }
     } else {
       // If no token or user data is found, ensure the app state is clean (logged out).
-      // This is a safety check for cold starts or manually cleared sessions.
-      handleLogout();
+      // This is a safety check for cold starts or manually cleared sessions; guests
+      // stay on the page they opened, protected routes redirect them by themselves.
+      authService.logout();
+      setCurrentUser(null);
+      // Another open tab may hold a tab-only (sessionStorage) session: carry it over.
+      let cancelled = false;
+      requestSharedSession()
+        .then((session) => {
+          if (cancelled || !session) return undefined;
+          const sharedUser = sessionStore.adoptSharedSession(session);
+          if (isTokenExpired(sharedUser.token)) {
+            return refreshSession().catch(() => {});
+          }
+          setCurrentUser(sharedUser);
+          scheduleRefresh(sharedUser);
+          return undefined;
+        })
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+      return () => {
+        cancelled = true;
+        clearRefreshTimer();
+      };
     }
     // After the initial session check (successful or failed), stop the loading state.
     setLoading(false);
     // Cleanup function to clear the timer when the component unmounts
+    return clearRefreshTimer;
+  }, [clearRefreshTimer, handleLogout, refreshSession, scheduleRefresh]);
+  /**
+   * useEffect hook that connects the context to the shared API client:
+   * - any 401 is retried once after `refreshSession`,
+   * - the "session expired" signal (refresh impossible) ends the session here,
+   *   so the user is never left "logged in" with a token the backend no longer accepts.
+   */
+  useEffect(() => {
+    setTokenRefresher(refreshSession);
+    const unsubscribe = onSessionExpired((error) => {
+      // Several requests can fail at once; only the first one needs to log the user out.
+      if (!sessionStore.getUser()) return;
+      handleLogout({ sessionExpired: true, reason: getRejectionReason(error) });
+    });
+    // Remove the hooks when the provider unmounts.
     return () => {
-      // Ensure the timeout is cleared to prevent memory leaks or delayed execution.
-      if (logoutTimer.current) {
-        clearTimeout(logoutTimer.current);
+      setTokenRefresher(null);
+      unsubscribe();
+    };
+  }, [refreshSession, handleLogout]);
+  /**
+   * useEffect hook that follows the session changes made in the other open tabs.
+   * The other tab already updated the storage, so this tab only re-reads it
+   * (and does not broadcast again). A sessionStorage session comes with the message.
+   */
+  useEffect(
+    () =>
+      subscribeToSessionEvents((type, session) => {
+        if (type === SESSION_EVENTS.REQUEST) {
+          // A newly opened tab asks for the session it cannot read from storage.
+          const sharedSession = sessionStore.getSharedSession();
+          if (sharedSession) {
+            broadcastSessionEvent(SESSION_EVENTS.SHARE, sharedSession);
+          }
+          return;
+        }
+        // Answers to another tab's request (see `requestSharedSession`).
+        if (type === SESSION_EVENTS.SHARE) return;
+        if (type === SESSION_EVENTS.LOGOUT) {
+          // A tab-only session (sessionStorage) ends as well.
+          sessionStore.clearSession();
+          // Protected routes send the user to the login page by themselves.
+          setCurrentUser(null);
+          clearRefreshTimer();
+          return;
+        }
+        // A login applies to every tab; a refresh or profile change only to the tabs
+        // sharing that session (a "Remember me" session in localStorage is kept).
+        if (
+          session &&
+          (type === SESSION_EVENTS.LOGIN ||
+            !sessionStore.getUser() ||
+            sessionStore.getSessionMode() === SESSION_MODES.SESSION)
+        ) {
+          sessionStore.adoptSharedSession(session);
+        }
+        // Tabs with their own sessionStorage session do not see a localStorage change.
+        const storedUser = sessionStore.getUser();
+        if (!storedUser) return;
+        setCurrentUser(storedUser);
+        // A new session (login or refresh) moves the refresh timer of this tab too.
+        if (type !== SESSION_EVENTS.UPDATE) {
+          scheduleRefresh(storedUser);
+        }
+      }),
+    // Both handlers are memoized, so the tab subscribes once.
+    [clearRefreshTimer, scheduleRefresh]
+  );
+  /**
+   * useEffect hook that notices a session revoked from another device (see the
+   * "Security" section of the profile) without waiting for the next API call:
+   * the session is checked when the tab becomes visible again and every few minutes.
+   * A revoked session answers 401, and the API client ends it here.
+   */
+  const isLoggedIn = Boolean(currentUser);
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const checkSession = () => {
+      if (document.visibilityState === "visible") {
+        authService.checkSession().catch(() => {});
       }
     };
-  }, []); // Empty dependency array ensures this effect runs only ONCE on mount.
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+    document.addEventListener("visibilitychange", checkSession);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", checkSession);
+    };
+  }, [isLoggedIn]);
   // Register function that calls the service.
-  const registerAuth = async (email, password_hash) => {
-    await authService.register(email, password_hash);
+  // `consent` records that the user accepted the terms and privacy policy.
+  const registerAuth = async (email, password_hash, consent) => {
+    return authService.register(email, password_hash, consent);
   };
 
-  // Login function that calls the service and updates state.
-  const loginAuth = async (email, password_hash) => {
-    const user = await authService.login(email, password_hash);
+  /**
+   * Shows a freshly stored session everywhere and plans its refresh.
+   * @param {object} user - The session user returned by the service.
+   * @returns {object} The same user.
+   */
+  const startSession = (user) => {
     setCurrentUser(user);
+    scheduleRefresh(user);
+    broadcastSessionEvent(
+      SESSION_EVENTS.LOGIN,
+      sessionStore.getSharedSession()
+    );
     return user;
   };
+  // Login function that calls the service and updates state.
+  // `remember: true` keeps the session after the browser closes (see sessionStore).
+  // Accounts with two-factor authentication are not logged in yet: the caller gets
+  // `{ twoFactorRequired: true, challengeToken }` and finishes with `completeTwoFactorLogin`.
+  const loginAuth = async (email, password_hash, { remember = false } = {}) => {
+    const result = await authService.login(email, password_hash, remember);
+    if (result.twoFactorRequired) return result;
+    return startSession(result);
+  };
+  /**
+   * Second login step: checks the code from the authenticator app (or a backup code).
+   * @param {string} challengeToken - From the `loginAuth` result.
+   * @param {string} code
+   * @param {object} [options] - `{ remember }`, as passed to `loginAuth`.
+   * @returns {Promise<object>} The logged-in user.
+   */
+  const completeTwoFactorLogin = async (
+    challengeToken,
+    code,
+    { remember = false } = {}
+  ) => {
+    const user = await authService.verifyTwoFactorLogin(
+      challengeToken,
+      code,
+      remember
+    );
+    return startSession(user);
+  };
   // Logout function that calls the service and updates state.
   const logoutAuth = () => {
     authService.logout();
     setCurrentUser(null);
+    clearRefreshTimer();
+    broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+  };
+  // Ends the session after the inactivity timeout (see IdleSessionModal).
+  // Like an expired session, the login page brings the user back to this page.
+  const endIdleSession = () =>
+    handleLogout({ sessionExpired: true, reason: "inactivity" });
+  // The roles (customer, admin, seller) read from the JWT claims of the session
+  // (or from the user record in cookie mode).
+  const roles = getUserRoles(currentUser);
+  /**
+   * Checks whether the current user has at least one of the given roles.
+   * @param {...string} allowedRoles - e.g. `hasRole("admin", "seller")`.
+   * @returns {boolean}
+   */
+  const hasRole = (...allowedRoles) =>
+    allowedRoles.some((role) => roles.includes(role));
+  /**
+   * Stores the user returned by a profile endpoint and shows it everywhere (e.g. the Navbar).
+   * @param {object} user - The public user from the API.
+   * @returns {object} The updated session user.
+   */
+  const applyUserUpdate = (user) => {
+    const updatedUser = authService.updateStoredUser(user);
+    setCurrentUser(updatedUser);
+    broadcastSessionEvent(
+      SESSION_EVENTS.UPDATE,
+      sessionStore.getSharedSession()
+    );
+    return updatedUser;
+  };
+  /**
+   * Saves the name, phone and email of the current user.
+   * @param {object} profile - `{ name, email, phone }`.
+   * @returns {Promise<object>} `{ user, message }`; a changed email waits in `user.pending_email`.
+   */
+  const userProfileUpdate = async (profile) => {
+    const data = await authService.updateProfile(profile);
+    return { ...data, user: applyUserUpdate(data.user) };
+  };
+  // Changes the password; the session itself is not affected.
+  const changePassword = (currentPassword, newPassword) =>
+    authService.changePassword(currentPassword, newPassword);
+  /**
+   * Uploads (data URL) or removes (`null`) the profile picture.
+   * @param {string|null} avatarUrl
+   * @returns {Promise<object>} The updated session user.
+   */
+  const updateAvatar = async (avatarUrl) => {
+    const data = avatarUrl
+      ? await authService.updateAvatar(avatarUrl)
+      : await authService.removeAvatar();
+    return applyUserUpdate(data.user);
+  };
+  /**
+   * Confirms an email address from a verification link.
+   * The link may be opened while logged in as someone else, or logged out;
+   * the session is only updated when it belongs to the verified user.
+   * @param {string} token
+   * @returns {Promise<object>} `{ user, message }` from the API.
+   */
+  const confirmEmail = async (token) => {
+    const data = await authService.verifyEmail(token);
+    const storedUser = sessionStore.getUser();
+    if (storedUser && data.user && storedUser.id === data.user.id) {
+      applyUserUpdate(data.user);
+    }
+    return data;
+  };
+  // Whether the email of the current user is confirmed; checkout waits for it.
+  const isEmailVerified = currentUser?.email_verified === true;
+  /**
+   * Sends the verification link again.
+   * @returns {Promise<object>} `{ message, retry_after }` from the API.
+   */
+  const resendVerificationEmail = () => authService.resendVerificationEmail();
+  /**
+   * Reloads the current user from the API, e.g. after the email was verified
+   * on another device.
+   * @returns {Promise<object>} The updated session user.
+   */
+  const reloadCurrentUser = async () => {
+    const data = await authService.getProfile();
+    return applyUserUpdate(data.user);
+  };
+  // Admins must protect their account with two-factor authentication before anything else.
+  const twoFactorEnrollmentRequired =
+    roles.includes("admin") && currentUser?.two_factor_enabled !== true;
+  // Starts the enrollment: `{ secret, otpauth_url }` for the QR code.
+  const setupTwoFactor = () => authService.setupTwoFactor();
+  /**
+   * Turns two-factor authentication on after the first code was confirmed.
+   * @param {string} code
+   * @returns {Promise<object>} `{ user, backup_codes, message }`.
+   */
+  const enableTwoFactor = async (code) => {
+    const data = await authService.enableTwoFactor(code);
+    return { ...data, user: applyUserUpdate(data.user) };
+  };
+  // Replaces the backup codes: `{ backup_codes, message }`.
+  const regenerateBackupCodes = (code) => authService.regenerateBackupCodes(code);
+  /**
+   * Turns two-factor authentication off (the backend refuses this for admins).
+   * @param {string} password
+   * @param {string} code
+   * @returns {Promise<object>} `{ user, message }`.
+   */
+  const disableTwoFactor = async (password, code) => {
+    const data = await authService.disableTwoFactor(password, code);
+    return { ...data, user: applyUserUpdate(data.user) };
+  };
+  /**
+   * "Log out everywhere": ends every session of the user, then this one.
+   * @returns {Promise<void>}
+   */
+  const logoutEverywhere = async () => {
+    await authService.revokeAllSessions();
+    handleLogout({ reason: "everywhere" });
   };
-  // userProfileUpdate = () => {};
   // The value object contains the state and functions we want to expose.
   const authProviderValue = {
     currentUser,
+    roles,
+    hasRole,
     loginAuth,
+    completeTwoFactorLogin,
     logoutAuth,
+    endIdleSession,
     registerAuth,
-    // userProfileUpdate,
+    refreshSession,
+    userProfileUpdate,
+    changePassword,
+    updateAvatar,
+    confirmEmail,
+    isEmailVerified,
+    resendVerificationEmail,
+    reloadCurrentUser,
+    twoFactorEnrollmentRequired,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    logoutEverywhere,
   };
   // The provider makes the 'value' object available to its children.
   return (
@@ -0,0 +1,579 @@
+// src/context/CartContext.jsx
+// This context holds the shopping cart, so the Navbar badge, the product pages and
+// the cart page all read and change the same cart.
+// - Logged in: every action goes through cartService; the cart endpoints answer
+//   with the updated cart, which becomes the new state. Quantity changes and
+//   removals show at once and are sent in the background (see `updateCartItem`).
+// - Guest: the cart is kept in localStorage (guestCartStore) and moved into the
+//   server cart as soon as the visitor logs in or registers.
+import React, { createContext, useContext, useEffect, useRef, useState } from "react";
+import AuthContext from "./AuthContext";
+import cartService from "../services/cartService";
+import productService from "../services/productService";
+import guestCartStore from "../services/guestCartStore";
+import shippingService from "../services/shippingService";
+import { getOrderLimit, describeOrderLimit } from "../utils/stock";
+import { SHIPPING_METHODS, getShippingOptions } from "../utils/shipping";
+import { calculateGst } from "../utils/gst";
+
+const CartContext = createContext();
+
+// How long a line waits for more +/− clicks before its new quantity is sent.
+const UPDATE_DEBOUNCE_MS = 400;
+
+/**
+ * Counts the units in a cart (two of one product count as two).
+ * @param {object|null} cart
+ * @returns {number}
+ */
+const countItems = (cart) =>
+  (cart?.items || []).reduce((count, item) => count + item.quantity, 0);
+
+/**
+ * Adds up the price of every line of a cart.
+ * @param {object|null} cart
+ * @returns {number}
+ */
+const sumItems = (cart) =>
+  (cart?.items || []).reduce(
+    (sum, item) => sum + item.quantity * item.product.price,
+    0
+  );
+
+/**
+ * Adds the lines of a guest cart to the server cart of the user who just logged in.
+ * Quantities are combined with what the server cart already holds and capped by
+ * the current stock (and per-order maximum); whatever does not fit is reported instead.
+ * @param {Array<object>} guestItems - `[{ productId, quantity, product }]`.
+ * @returns {Promise<{ merged: Array<object>, skipped: Array<object> }>}
+ * `merged`: `{ name, quantity }` added; `skipped`: `{ name, requested, added, reason }`.
+ */
+const mergeGuestItems = async (guestItems) => {
+  const merged = [];
+  const skipped = [];
+  // Without the server cart the stock cap is left to the backend, which rejects
+  // (and so reports) the lines that do not fit.
+  const serverItems = await cartService
+    .getCartItems()
+    .then((data) => data?.cart?.items || [])
+    .catch(() => []);
+  // One line at a time, so every line is checked against the cart as it now is.
+  for (const item of guestItems) {
+    const name = item.product?.name || `Product #${item.productId}`;
+    try {
+      // The stored product may be outdated: read the current stock.
+      const product = await productService.getProductById(item.productId);
+      const inCart =
+        serverItems.find(
+          (line) => (line.productId ?? line.product?.id) === product.id
+        )?.quantity || 0;
+      const quantity = Math.min(item.quantity, getOrderLimit(product) - inCart);
+      if (quantity > 0) {
+        await cartService.addItem(product.id, quantity);
+        merged.push({ name: product.name, quantity });
+      }
+      if (quantity < item.quantity) {
+        skipped.push({
+          name: product.name,
+          requested: item.quantity,
+          added: Math.max(quantity, 0),
+          reason: describeOrderLimit(product).toLowerCase(),
+        });
+      }
+    } catch (err) {
+      skipped.push({
+        name,
+        requested: item.quantity,
+        added: 0,
+        reason:
+          err.status === 404
+            ? "no longer available"
+            : err.message || "could not be added",
+      });
+    }
+  }
+  return { merged, skipped };
+};
+
+/**
+ * Finds the lines holding more units than can be ordered now.
+ * @param {object|null} cart - A cart with current product data.
+ * @returns {object} By line id: `{ name, quantity, available, message }`.
+ */
+const findStockIssues = (cart) => {
+  const issues = {};
+  (cart?.items || []).forEach((line) => {
+    const available = getOrderLimit(line.product);
+    if (line.quantity <= available) return;
+    const { name } = line.product;
+    issues[line.id] = {
+      name,
+      quantity: line.quantity,
+      available,
+      message:
+        available === 0
+          ? `${name} is now out of stock.`
+          : `Only ${available} of the ${line.quantity} units of ${name} in your cart can be ordered now (${describeOrderLimit(line.product).toLowerCase()}).`,
+    };
+  });
+  return issues;
+};
+
+export const CartProvider = ({ children }) => {
+  // Logged in, the cart comes from the backend; otherwise it is the guest cart.
+  const { currentUser } = useContext(AuthContext);
+  // The cart on screen: the server cart with the unsent quantity changes applied.
+  const [cart, setCart] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Errors of single lines whose change was rejected, by line id.
+  const [lineErrors, setLineErrors] = useState({});
+  // Lines found holding more than the current stock by the last check, by line id.
+  const [stockIssues, setStockIssues] = useState({});
+  // What happened to the guest cart on the last login (null when there was nothing to merge).
+  const [mergeSummary, setMergeSummary] = useState(null);
+  // The cart as the backend last returned it; failed changes fall back to it.
+  const confirmedCartRef = useRef(null);
+  // Quantity changes not confirmed yet, by line id: `{ quantity, timer }`.
+  // `timer` is set while the change waits for more clicks, null once it is sent.
+  const pendingRef = useRef(new Map());
+  // Cart writes run one after another, so responses arrive in the order they were sent
+  // and the last response always holds the latest cart.
+  const writeQueueRef = useRef(Promise.resolve());
+
+  /**
+   * Applies the unsent quantity changes to a server cart.
+   * @param {object|null} serverCart
+   * @returns {object|null} The cart to show.
+   */
+  const withPending = (serverCart) => {
+    if (!serverCart) return serverCart;
+    const items = serverCart.items
+      .map((line) =>
+        pendingRef.current.has(line.id)
+          ? { ...line, quantity: pendingRef.current.get(line.id).quantity }
+          : line
+      )
+      .filter((line) => line.quantity > 0);
+    return { ...serverCart, items };
+  };
+
+  /**
+   * Adopts a cart returned by the backend, keeping the changes still on their way.
+   * @param {object|null} serverCart
+   */
+  const showServerCart = (serverCart) => {
+    confirmedCartRef.current = serverCart;
+    setCart(withPending(serverCart));
+  };
+
+  /**
+   * Sets or clears the error shown under one line.
+   * @param {number} lineId
+   * @param {string|null} message
+   */
+  const setLineError = (lineId, message) => {
+    setLineErrors((previous) => {
+      if (!message && !(lineId in previous)) return previous;
+      const next = { ...previous };
+      if (message) next[lineId] = message;
+      else delete next[lineId];
+      return next;
+    });
+  };
+
+  /**
+   * Runs a cart write after the ones already queued.
+   * @param {() => Promise<any>} task
+   * @returns {Promise<any>} The result of the task (its error is passed on too).
+   */
+  const enqueueWrite = (task) => {
+    const run = writeQueueRef.current.then(task);
+    writeQueueRef.current = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Loads the cart from the backend. A failure is kept in `error` rather than thrown.
+   * @returns {Promise<object|null>} The cart, or null when it could not be loaded.
+   */
+  const refreshCart = async () => {
+    if (!currentUser) {
+      const guestCart = guestCartStore.getCart();
+      setCart(guestCart);
+      return guestCart;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await cartService.getCartItems();
+      showServerCart(data?.cart ?? null);
+      return data?.cart ?? null;
+    } catch (err) {
+      setError(err.message || "An error occurred while fetching cart items.");
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The shipping rules, loaded once; without them the summary shows no shipping cost.
+  const [shippingRules, setShippingRules] = useState(null);
+  // Where the order ships: `{ pincode, state }` of the chosen address, or only the
+  // PIN code a guest typed. The PIN code prices the delivery, the state splits the GST.
+  const [shippingDestination, setShippingDestination] = useState(null);
+  // The delivery method the shopper picked.
+  const [shippingMethod, setShippingMethod] = useState(SHIPPING_METHODS.STANDARD);
+
+  useEffect(() => {
+    shippingService
+      .getRules()
+      .then(setShippingRules)
+      .catch(() => setShippingRules(null));
+  }, []);
+
+  // Load the cart of whoever logs in, bringing the guest cart along; show the
+  // guest cart again once they log out.
+  // Only the user id matters here: a profile update must not reload the cart.
+  const userId = currentUser?.id;
+  // The user the latest load is for: a load that finishes after a logout or a
+  // switch of user must not overwrite the newer cart.
+  const userIdRef = useRef(userId);
+  userIdRef.current = userId;
+  useEffect(() => {
+    // Changes still waiting belong to the previous user.
+    pendingRef.current.forEach((entry) => clearTimeout(entry.timer));
+    pendingRef.current.clear();
+    confirmedCartRef.current = null;
+    setLineErrors({});
+    setStockIssues({});
+    if (!userId) {
+      setCart(guestCartStore.getCart());
+      setError(null);
+      return;
+    }
+    const loadUserCart = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        // Taken out of storage right away, so nothing is merged twice.
+        const guestItems = guestCartStore.takeItems();
+        const summary =
+          guestItems.length > 0 ? await mergeGuestItems(guestItems) : null;
+        const data = await cartService.getCartItems();
+        if (userIdRef.current !== userId) return;
+        confirmedCartRef.current = data?.cart ?? null;
+        setCart(data?.cart ?? null);
+        if (summary) setMergeSummary(summary);
+      } catch (err) {
+        if (userIdRef.current !== userId) return;
+        setError(err.message || "An error occurred while fetching cart items.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadUserCart();
+  }, [userId]);
+
+  /**
+   * Adds a product to the cart (on top of what is already there).
+   * @param {number} productId
+   * @param {number} [quantity=1]
+   * @returns {Promise<object>} The updated cart.
+   */
+  const addToCart = async (productId, quantity = 1) => {
+    if (!currentUser) {
+      // The guest cart checks the current price and stock before adding.
+      const product = await productService.getProductById(productId);
+      const guestCart = guestCartStore.addItem(product, quantity);
+      setCart(guestCart);
+      return guestCart;
+    }
+    const data = await enqueueWrite(() => cartService.addItem(productId, quantity));
+    showServerCart(data.cart);
+    return data.cart;
+  };
+
+  /**
+   * Sends the latest quantity of a line (zero removes it). When the backend
+   * rejects it, the line goes back to its confirmed quantity and shows the error.
+   * @param {number} cartItemId
+   * @param {number} quantity
+   * @returns {Promise<boolean>} Whether the change was saved.
+   */
+  const sendLineUpdate = (cartItemId, quantity) => {
+    const sentFor = userIdRef.current;
+    // Forgets the change once it is settled, unless a newer one is waiting.
+    const settle = () => {
+      const entry = pendingRef.current.get(cartItemId);
+      if (entry && !entry.timer && entry.quantity === quantity) {
+        pendingRef.current.delete(cartItemId);
+      }
+    };
+    return enqueueWrite(() =>
+      quantity <= 0
+        ? cartService.removeItem(cartItemId)
+        : cartService.updateItem(cartItemId, quantity)
+    ).then(
+      (data) => {
+        if (userIdRef.current !== sentFor) return false;
+        settle();
+        showServerCart(data.cart);
+        return true;
+      },
+      (err) => {
+        if (userIdRef.current !== sentFor) return false;
+        settle();
+        setLineError(
+          cartItemId,
+          err.message ||
+            (quantity <= 0
+              ? "Failed to remove cart item."
+              : "Failed to update cart item.")
+        );
+        setCart(withPending(confirmedCartRef.current));
+        return false;
+      }
+    );
+  };
+
+  /**
+   * Sets the quantity of a cart line; zero or less removes the line.
+   * The new quantity (and the totals) show at once. Quick clicks on the same line
+   * are combined: only the last quantity is sent, once the clicks stop for a moment.
+   * Errors are not thrown; they are shown under the line (see `lineErrors`).
+   * @param {number} cartItemId - The line id (the product id in the guest cart).
+   * @param {number} quantity
+   * @returns {Promise<void>}
+   */
+  const updateCartItem = async (cartItemId, quantity) => {
+    setLineError(cartItemId, null);
+    // A new quantity answers the stock warning of the line; the next check rechecks it.
+    setStockIssues((previous) => {
+      if (!(cartItemId in previous)) return previous;
+      const { [cartItemId]: _resolved, ...rest } = previous;
+      return rest;
+    });
+    if (!currentUser) {
+      try {
+        setCart(guestCartStore.updateItem(cartItemId, quantity));
+      } catch (err) {
+        setLineError(cartItemId, err.message || "Failed to update cart item.");
+      }
+      return;
+    }
+    const previous = pendingRef.current.get(cartItemId);
+    clearTimeout(previous?.timer);
+    if (quantity <= 0) {
+      // A removal is not worth waiting for.
+      pendingRef.current.set(cartItemId, { quantity: 0, timer: null });
+      setCart(withPending(confirmedCartRef.current));
+      await sendLineUpdate(cartItemId, 0);
+      return;
+    }
+    const timer = setTimeout(() => {
+      const entry = pendingRef.current.get(cartItemId);
+      if (entry) entry.timer = null;
+      sendLineUpdate(cartItemId, quantity);
+    }, UPDATE_DEBOUNCE_MS);
+    pendingRef.current.set(cartItemId, { quantity, timer });
+    setCart(withPending(confirmedCartRef.current));
+  };
+
+  /**
+   * Removes a line from the cart (right away on screen, see `updateCartItem`).
+   * @param {number} cartItemId - The line id (the product id in the guest cart).
+   * @returns {Promise<void>}
+   */
+  const removeCartItem = (cartItemId) => updateCartItem(cartItemId, 0);
+
+  /**
+   * Sends the changes still waiting for more clicks and waits for every cart write.
+   * @returns {Promise<boolean>} Whether all of them were saved.
+   */
+  const flushPendingUpdates = async () => {
+    const sends = [];
+    pendingRef.current.forEach((entry, cartItemId) => {
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        sends.push(sendLineUpdate(cartItemId, entry.quantity));
+      }
+    });
+    const results = await Promise.all(sends);
+    await writeQueueRef.current;
+    return results.every(Boolean);
+  };
+
+  /**
+   * Applies a promo code; the backend answers with the cart and its discount.
+   * @param {string} code - The code as typed.
+   * @returns {Promise<string>} The confirmation message.
+   * @throws {Error} With the reason the code was refused.
+   */
+  const applyCoupon = async (code) => {
+    if (!currentUser) {
+      throw new Error("Please log in to use a promo code.");
+    }
+    // Quantities still waiting must count towards the code's conditions.
+    await flushPendingUpdates();
+    const data = await enqueueWrite(() => cartService.applyCoupon(code));
+    showServerCart(data.cart);
+    return data.message;
+  };
+
+  /**
+   * Removes the promo code from the cart.
+   * @returns {Promise<void>}
+   */
+  const removeCoupon = async () => {
+    const data = await enqueueWrite(() => cartService.removeCoupon());
+    showServerCart(data.cart);
+  };
+
+  /**
+   * Checks the cart again against the current stock (e.g. right before checkout):
+   * saves the waiting changes, reloads the cart with fresh product data and
+   * records the lines that hold more than can be ordered now (see `stockIssues`).
+   * @returns {Promise<object>} The issues by line id (empty when all is fine).
+   */
+  const validateCartStock = async () => {
+    if (!currentUser) {
+      const issues = findStockIssues(guestCartStore.getCart());
+      setStockIssues(issues);
+      return issues;
+    }
+    await flushPendingUpdates();
+    const data = await cartService.getCartItems();
+    showServerCart(data?.cart ?? null);
+    const issues = findStockIssues(data?.cart);
+    setStockIssues(issues);
+    return issues;
+  };
+
+  /**
+   * Lowers every line found by `validateCartStock` to what can be ordered now;
+   * lines that ran out of stock are removed.
+   * @returns {Promise<void>}
+   */
+  const applyStockLimits = async () => {
+    const issues = Object.entries(stockIssues);
+    issues.forEach(([lineId, issue]) => {
+      updateCartItem(Number(lineId), issue.available);
+    });
+    await flushPendingUpdates();
+  };
+
+  /**
+   * Places the order; the backend empties the cart once the order is taken.
+   * Quantity changes still on their way are saved first.
+   * @param {number} addressId - The saved address to ship to.
+   * @param {object} [options]
+   * @param {string} [options.paymentMethod] - One of `PAYMENT_METHODS` (see `src/utils/payments.js`).
+   * @param {string|null} [options.pickupSlot] - The booked slot's id, for click & collect.
+   * @returns {Promise<object>} The response carrying the new `order`.
+   */
+  const checkout = async (addressId, { paymentMethod, pickupSlot = null } = {}) => {
+    // Guests log in first; their cart comes along.
+    if (!currentUser) {
+      throw new Error("Please log in to place your order.");
+    }
+    if (!(await flushPendingUpdates())) {
+      throw new Error(
+        "Some changes to your cart could not be saved. Please review your cart."
+      );
+    }
+    // The code and the delivery method shown in the summary go along, so the
+    // order records the same discount and shipping line. A code that stopped applying
+    // (the summary shows no discount for it) is left out rather than failing the order.
+    const coupon = confirmedCartRef.current?.coupon;
+    const couponCode = coupon?.valid ? coupon.code : null;
+    const data = await enqueueWrite(() =>
+      cartService.checkout(addressId, {
+        couponCode,
+        shippingMethod: shippingQuote?.method,
+        paymentMethod,
+        pickupSlot,
+      })
+    );
+    showServerCart(
+      confirmedCartRef.current
+        ? { ...confirmedCartRef.current, items: [], coupon: null }
+        : confirmedCartRef.current
+    );
+    return data;
+  };
+
+  const subtotal = sumItems(cart);
+  // The discount of the applied code, as the backend worked it out for the cart.
+  const discount = cart?.coupon?.valid ? cart.coupon.discount : 0;
+  // Every delivery method to the PIN code, quoted with the same rules as the backend.
+  const shippingOptions =
+    shippingRules && shippingDestination?.pincode && cart?.items?.length > 0
+      ? getShippingOptions(shippingRules, {
+          items: cart.items,
+          pincode: shippingDestination.pincode,
+          amount: subtotal - discount,
+          freeShipping: Boolean(cart.coupon?.free_shipping),
+        })
+      : [];
+  // The chosen method, or standard delivery when it does not reach this PIN code.
+  const shippingQuote =
+    shippingOptions.find((option) => option.method === shippingMethod) ||
+    shippingOptions[0] ||
+    null;
+  // The GST of the goods after the discount (CGST + SGST or IGST once the state is
+  // known). Goods collected at the store are supplied in the store's state.
+  const tax =
+    cart?.items?.length > 0
+      ? calculateGst(cart.items, {
+          discount,
+          shippingState:
+            shippingQuote?.method === SHIPPING_METHODS.PICKUP
+              ? shippingRules.store_pickup.store.state
+              : (shippingDestination?.state ?? null),
+        })
+      : null;
+
+  const cartProviderValue = {
+    cart,
+    itemCount: countItems(cart),
+    subtotal,
+    discount,
+    // Tax on prices entered without GST comes on top; the rest is already in the prices.
+    total:
+      Math.max(0, subtotal - discount) +
+      (tax?.added_tax || 0) +
+      (shippingQuote?.amount || 0),
+    tax,
+    shippingRules,
+    shippingDestination,
+    setShippingDestination,
+    shippingOptions,
+    shippingQuote,
+    setShippingMethod,
+    loading,
+    error,
+    refreshCart,
+    addToCart,
+    updateCartItem,
+    removeCartItem,
+    lineErrors,
+    stockIssues,
+    validateCartStock,
+    applyStockLimits,
+    applyCoupon,
+    removeCoupon,
+    checkout,
+    isGuestCart: !currentUser,
+    mergeSummary,
+    dismissMergeSummary: () => setMergeSummary(null),
+  };
+
+  return (
+    <CartContext.Provider value={cartProviderValue}>
+      {children}
+    </CartContext.Provider>
+  );
+};
+export default CartContext;
@@ -0,0 +1,67 @@
+// src/hooks/useCheckoutState.js
+// Keeps the choices made in the checkout wizard (step, address, delivery,
+// pickup slot, payment) in sessionStorage, so a page refresh lands on the same step with
+// the same choices. Closing the tab forgets them.
+import { useCallback, useContext, useEffect, useState } from "react";
+import AuthContext from "../context/AuthContext";
+
+const STORAGE_PREFIX = "proteinPointCheckout:";
+
+// A checkout that has not started yet.
+export const EMPTY_CHECKOUT = {
+  step: 0,
+  addressId: null,
+  shippingMethod: null,
+  // The booked slot's id, for click & collect.
+  pickupSlot: null,
+  paymentMethod: null,
+};
+
+/**
+ * @description Reads the saved checkout.
+ * @param {string|null} storageKey
+ * @returns {object|null}
+ */
+const readCheckout = (storageKey) => {
+  if (!storageKey) return null;
+  try {
+    return JSON.parse(sessionStorage.getItem(storageKey));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @description The state of the checkout wizard, saved per user.
+ * @returns {[object, (changes: object) => void, () => void]} The state, a function
+ * merging changes into it, and one that forgets it (after the order is placed).
+ */
+const useCheckoutState = () => {
+  const { currentUser } = useContext(AuthContext);
+  const storageKey = currentUser ? `${STORAGE_PREFIX}${currentUser.id}` : null;
+  const [checkout, setCheckout] = useState(() => ({
+    ...EMPTY_CHECKOUT,
+    ...readCheckout(storageKey),
+  }));
+
+  useEffect(() => {
+    // A cleared checkout stays out of storage.
+    if (storageKey && checkout !== EMPTY_CHECKOUT) {
+      sessionStorage.setItem(storageKey, JSON.stringify(checkout));
+    }
+  }, [storageKey, checkout]);
+
+  const updateCheckout = useCallback(
+    (changes) => setCheckout((previous) => ({ ...previous, ...changes })),
+    []
+  );
+
+  const clearCheckout = useCallback(() => {
+    if (storageKey) sessionStorage.removeItem(storageKey);
+    setCheckout(EMPTY_CHECKOUT);
+  }, [storageKey]);
+
+  return [checkout, updateCheckout, clearCheckout];
+};
+
+export default useCheckoutState;
@@ -0,0 +1,66 @@
+// src/hooks/useFormDraft.js
+// Keeps the values of a half-filled form in localStorage, so they can be
+// restored after a reload or after the session ended (e.g. for inactivity).
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
+import AuthContext from "../context/AuthContext";
+
+const DRAFT_PREFIX = "proteinPointDraft:";
+
+/**
+ * @description Reads a saved draft.
+ * @param {string|null} storageKey
+ * @returns {object|null}
+ */
+const readDraft = (storageKey) => {
+  if (!storageKey) return null;
+  try {
+    return JSON.parse(localStorage.getItem(storageKey));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @description Like `useState` for a form's values, but backed by a draft.
+ * Drafts belong to the logged-in user, so another account never sees them.
+ * Nothing is saved until the user changes something.
+ * @param {string} key - Identifies the form, e.g. "addProduct" or "editProduct:12".
+ * @param {object} initialValue - The values used when there is no draft.
+ * @returns {[object, Function, { restored: boolean, clearDraft: () => void }]}
+ * The setter accepts `{ persist: false }` as a second argument for values that
+ * do not come from the user (e.g. data loaded from the API).
+ */
+const useFormDraft = (key, initialValue) => {
+  const { currentUser } = useContext(AuthContext);
+  const owner = currentUser?.id ?? currentUser?.email;
+  const storageKey = owner ? `${DRAFT_PREFIX}${owner}:${key}` : null;
+  const [value, setValue] = useState(() => readDraft(storageKey) || initialValue);
+  // True when the form started from a saved draft.
+  const [restored, setRestored] = useState(() => readDraft(storageKey) !== null);
+  // Whether the user changed the form since it was loaded or cleared.
+  const dirty = useRef(false);
+
+  // Saved on every change (the forms are small), so nothing typed right before
+  // the session ends is lost.
+  useEffect(() => {
+    if (storageKey && dirty.current) {
+      localStorage.setItem(storageKey, JSON.stringify(value));
+    }
+  }, [storageKey, value]);
+
+  const updateValue = useCallback((next, { persist = true } = {}) => {
+    if (persist) dirty.current = true;
+    setValue(next);
+  }, []);
+
+  // Forgets the draft, e.g. after the form was submitted or discarded.
+  const clearDraft = useCallback(() => {
+    dirty.current = false;
+    setRestored(false);
+    if (storageKey) localStorage.removeItem(storageKey);
+  }, [storageKey]);
+
+  return [value, updateValue, { restored, clearDraft }];
+};
+
+export default useFormDraft;
@@ -0,0 +1,90 @@
+// src/hooks/useIdleTimer.js
+// Tracks user inactivity. Activity in any open tab of the store counts,
+// because the time of the last activity is shared through localStorage.
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// The DOM events that count as "the user is still here".
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart", "wheel"];
+// Storage key holding the time of the last activity in any tab.
+const LAST_ACTIVITY_KEY = "proteinPointLastActivity";
+// Mouse moves fire constantly; write the shared timestamp at most this often.
+const ACTIVITY_WRITE_INTERVAL_MS = 5000;
+// How often the remaining time is recomputed.
+const TICK_MS = 1000;
+
+/**
+ * @description Reads the last activity recorded by any tab.
+ * @returns {number} A timestamp in milliseconds (0 when unknown).
+ */
+const readSharedActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+
+/**
+ * @description Counts down to `onIdle` while the user does nothing.
+ * Once the warning period has started, activity no longer resets the timer:
+ * the user has to confirm through `reset` (e.g. a "Stay signed in" button).
+ * @param {object} options
+ * @param {boolean} options.enabled - Track only while true (e.g. while logged in).
+ * @param {number} options.timeoutMs - Inactivity after which `onIdle` runs.
+ * @param {number} options.warningMs - How long before the timeout the warning starts.
+ * @param {() => void} options.onIdle - Called once when the timeout is reached.
+ * @returns {{ isWarning: boolean, remainingMs: number, reset: () => void }}
+ */
+const useIdleTimer = ({ enabled, timeoutMs, warningMs, onIdle }) => {
+  const [remainingMs, setRemainingMs] = useState(timeoutMs);
+  const lastActivity = useRef(Date.now());
+  const lastWrite = useRef(0);
+  const warning = useRef(false);
+  // Always call the latest `onIdle` without restarting the timer.
+  const onIdleRef = useRef(onIdle);
+  onIdleRef.current = onIdle;
+
+  // Records activity in this tab and (throttled) for the other tabs.
+  const markActive = useCallback(() => {
+    const now = Date.now();
+    lastActivity.current = now;
+    if (now - lastWrite.current >= ACTIVITY_WRITE_INTERVAL_MS) {
+      lastWrite.current = now;
+      localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+    }
+  }, []);
+
+  // Restarts the countdown, e.g. after the user chose to stay signed in.
+  const reset = useCallback(() => {
+    warning.current = false;
+    lastWrite.current = 0;
+    markActive();
+    setRemainingMs(timeoutMs);
+  }, [markActive, timeoutMs]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    reset();
+    const handleActivity = () => {
+      if (!warning.current) markActive();
+    };
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, handleActivity, { passive: true })
+    );
+    const interval = setInterval(() => {
+      // Activity in another tab (or "Stay signed in" clicked there) counts too.
+      lastActivity.current = Math.max(lastActivity.current, readSharedActivity());
+      const remaining = timeoutMs - (Date.now() - lastActivity.current);
+      warning.current = remaining <= warningMs;
+      setRemainingMs(Math.max(0, remaining));
+      if (remaining <= 0) {
+        clearInterval(interval);
+        onIdleRef.current();
+      }
+    }, TICK_MS);
+    return () => {
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.removeEventListener(type, handleActivity)
+      );
+    };
+  }, [enabled, timeoutMs, warningMs, markActive, reset]);
+
+  return { isWarning: enabled && remainingMs <= warningMs, remainingMs, reset };
+};
+
+export default useIdleTimer;
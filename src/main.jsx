@@ -4,6 +4,14 @@ import "./index.css";
 import App from "./App.jsx";
 import "bootstrap/dist/css/bootstrap.min.css";
 import "bootstrap/dist/js/bootstrap.bundle.min.js";
+import apiClient from "./services/apiClient";
+
+// Swap the real API for the in-memory mock backend when asked to.
+// The dynamic import keeps the mock code out of production bundles.
+if (import.meta.env.VITE_USE_MOCK_API === "true") {
+  const { installMockBackend } = await import("./mocks/mockBackend");
+  installMockBackend(apiClient);
+}
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
@@ -0,0 +1,51 @@
+// src/mocks/cookies.js
+// Stands in for the browser's cookie jar in cookie session mode. A real backend
+// sets httpOnly cookies that scripts cannot read; the mock keeps them here
+// instead, and only the mock backend ever looks at this storage.
+import { verifyMockToken } from "./jwt";
+
+const STORAGE_KEY = "proteinPointMockCookies";
+
+/**
+ * @description Reads every cookie of the jar.
+ * @returns {object} `{ access_token?, refresh_token? }`.
+ */
+export const readCookies = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * @description Applies "Set-Cookie" changes; a `null` value deletes the cookie.
+ * @param {object} changes
+ */
+export const writeCookies = (changes) => {
+  const cookies = { ...readCookies(), ...changes };
+  Object.keys(cookies).forEach((name) => {
+    if (cookies[name] === null) delete cookies[name];
+  });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(cookies));
+};
+
+/**
+ * @description What a cookie-mode backend does with a new session: the tokens go
+ * into httpOnly cookies and the body only says until when the session is valid.
+ * @param {object} data - A response body whose `user` carries `token` and `refreshToken`.
+ * @returns {object} The body without the tokens.
+ */
+export const moveSessionToCookies = (data) => {
+  const { token, refreshToken, ...user } = data.user;
+  writeCookies({ access_token: token, refresh_token: refreshToken ?? null });
+  const { payload } = verifyMockToken(token);
+  return {
+    ...data,
+    user: {
+      ...user,
+      session_issued_at: payload?.iat,
+      session_expires_at: payload?.exp,
+    },
+  };
+};
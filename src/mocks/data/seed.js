@@ -0,0 +1,291 @@
+// src/mocks/data/seed.js
+// The initial content of the mock database. Product images are the files shipped
+// in `public/`, so the storefront looks the same as with the real catalogue.
+
+// The seeded accounts, one per role. `password_hash` holds the plain password
+// because the frontend sends the password in a field with that name.
+export const seedUsers = [
+  {
+    id: 1,
+    email: "admin@proteinpoint.in",
+    name: "Store Admin",
+    password_hash: "Admin@123",
+    role: "admin",
+    email_verified: true,
+    createdAt: "2025-01-05T10:00:00.000Z",
+  },
+  {
+    id: 2,
+    email: "customer@proteinpoint.in",
+    name: "Riya Patil",
+    password_hash: "Customer@123",
+    role: "customer",
+    email_verified: true,
+    createdAt: "2025-02-11T09:30:00.000Z",
+  },
+  {
+    id: 3,
+    email: "seller@proteinpoint.in",
+    name: "Sahyadri Nutrition",
+    password_hash: "Seller@123",
+    role: "seller",
+    email_verified: true,
+    createdAt: "2025-02-20T12:15:00.000Z",
+  },
+];
+
+// The seeded catalogue. All products belong to the admin account (userId 1),
+// which is what `ProductListPage` filters on.
+export const seedProducts = [
+  {
+    id: 1,
+    category: "whey",
+    name: "Whey Protein – Banana Nut",
+    description:
+      "24g of fast-absorbing whey protein per scoop with a smooth banana nut flavour.",
+    price: 3299,
+    stock: 25,
+    weight_grams: 1100,
+    image_url: "/wheyP_BNN.png",
+  },
+  {
+    id: 2,
+    category: "whey",
+    name: "Whey Protein – Peanut Butter Chocolate",
+    description:
+      "Rich chocolate whey blended with roasted peanut butter for post-workout recovery.",
+    price: 3499,
+    stock: 18,
+    weight_grams: 1100,
+    image_url: "/wheyP_BNPC.png",
+  },
+  {
+    id: 3,
+    category: "whey",
+    name: "Whey Protein – Double Espresso",
+    description:
+      "Coffee-flavoured whey isolate with a shot of caffeine for early training sessions.",
+    price: 3199,
+    stock: 8,
+    weight_grams: 1100,
+    image_url: "/wheyP_DE.png",
+  },
+  {
+    id: 4,
+    category: "whey",
+    name: "Whey Protein Bulk Pack (4 kg)",
+    description: "Our best-selling whey in a value pack for serious lifters.",
+    price: 5999,
+    stock: 5,
+    weight_grams: 4300,
+    // Bulk packs are limited so one order cannot take the whole stock.
+    max_order_quantity: 2,
+    image_url: "/wheyP_bulk.png",
+  },
+  {
+    id: 5,
+    category: "bcaa",
+    name: "BCAA 2:1:1 – Unflavoured",
+    description:
+      "Leucine, isoleucine and valine in the clinically studied 2:1:1 ratio.",
+    price: 1499,
+    stock: 40,
+    weight_grams: 450,
+    image_url: "/BCAA's_.png",
+  },
+  {
+    id: 6,
+    category: "bcaa",
+    name: "BCAA – Watermelon",
+    description: "Refreshing intra-workout BCAA drink with added electrolytes.",
+    price: 1599,
+    stock: 30,
+    weight_grams: 450,
+    image_url: "/BCAA's_01.png",
+  },
+  {
+    id: 7,
+    category: "bcaa",
+    name: "BCAA – Blue Raspberry",
+    description: "Sugar-free BCAA blend to support endurance and recovery.",
+    price: 1699,
+    stock: 0,
+    weight_grams: 450,
+    image_url: "/BCAA's_02.png",
+  },
+  {
+    id: 8,
+    category: "bcaa",
+    name: "Double Charged BCAA + EAA",
+    description:
+      "All nine essential amino acids plus extra BCAAs for complete muscle support.",
+    price: 2199,
+    stock: 12,
+    weight_grams: 550,
+    image_url: "/BCAA's_DC_EAA.png",
+  },
+  {
+    id: 9,
+    category: "creatine",
+    name: "Creatine Monohydrate (250 g)",
+    description: "Micronised creatine monohydrate for strength and power output.",
+    price: 999,
+    stock: 50,
+    weight_grams: 300,
+    image_url: "/creatine_01.png",
+  },
+].map((product) => ({
+  // No per-order limit unless the product sets one.
+  max_order_quantity: null,
+  // Shipping weight of one unit, packaging included.
+  weight_grams: null,
+  // GST: food supplements are HSN 2106 90 99 at 18%, and shelf prices include the tax.
+  hsn_code: "21069099",
+  gst_rate: 18,
+  price_includes_tax: true,
+  ...product,
+  userId: 1,
+  createdAt: "2025-03-01T08:00:00.000Z",
+}));
+
+// The promo codes. `code` is stored upper-case; see `src/utils/coupons.js` for the rules.
+export const seedCoupons = [
+  {
+    code: "WELCOME10",
+    type: "percentage",
+    value: 10,
+    max_discount: 500,
+    min_cart_value: 1000,
+    usage_limit_per_user: 1,
+  },
+  {
+    code: "FLAT300",
+    type: "flat",
+    value: 300,
+    min_cart_value: 2500,
+  },
+  {
+    code: "FREESHIP",
+    type: "free_shipping",
+    min_cart_value: 999,
+  },
+  {
+    code: "BCAA2GET1",
+    type: "buy_x_get_y",
+    buy: 2,
+    get: 1,
+    categories: ["bcaa"],
+  },
+  {
+    code: "CREATINE200",
+    type: "flat",
+    value: 200,
+    product_ids: [9],
+    usage_limit_per_user: 3,
+  },
+  {
+    code: "DIWALI25",
+    type: "percentage",
+    value: 25,
+    expires_at: "2025-11-05T23:59:59.000+05:30",
+  },
+];
+
+// How shipping is charged (see `src/utils/shipping.js`), served by `GET /shipping/rules`.
+// A zone charges `base_rate` up to `base_weight_grams` and `per_additional_kg` for
+// every started kilogram above it. Express costs `express.surcharge` on top of the
+// standard rate; a zone without `express` has standard delivery only.
+export const seedShippingRules = {
+  // Orders worth at least this much (after the promo code discount) ship free by standard delivery.
+  free_shipping_threshold: 1499,
+  // Weight used for products that do not have one.
+  default_item_weight_grams: 500,
+  // A PIN code belongs to the zone with its longest matching prefix.
+  zones: [
+    {
+      id: "kolhapur",
+      name: "Kolhapur",
+      prefixes: ["416"],
+      base_rate: 30,
+      base_weight_grams: 1000,
+      per_additional_kg: 10,
+      delivery_days: [1, 2],
+      express: { surcharge: 50, delivery_days: [1, 1] },
+    },
+    {
+      id: "maharashtra",
+      name: "Maharashtra",
+      prefixes: ["40", "41", "42", "43", "44"],
+      base_rate: 50,
+      base_weight_grams: 1000,
+      per_additional_kg: 20,
+      delivery_days: [2, 4],
+      express: { surcharge: 90, delivery_days: [1, 2] },
+    },
+    {
+      id: "metro",
+      name: "Metro cities",
+      // Delhi, Hyderabad, Bengaluru, Chennai and Kolkata.
+      prefixes: ["11", "50", "56", "60", "70"],
+      base_rate: 70,
+      base_weight_grams: 1000,
+      per_additional_kg: 30,
+      delivery_days: [3, 5],
+      express: { surcharge: 120, delivery_days: [2, 3] },
+    },
+    {
+      id: "remote",
+      name: "North East, Jammu & Kashmir and the islands",
+      prefixes: ["18", "19", "78", "79", "744"],
+      base_rate: 120,
+      base_weight_grams: 1000,
+      per_additional_kg: 50,
+      delivery_days: [6, 10],
+      express: null,
+    },
+  ],
+  // Every PIN code no zone claims.
+  default_zone: {
+    id: "rest_of_india",
+    name: "Rest of India",
+    prefixes: [],
+    base_rate: 80,
+    base_weight_grams: 1000,
+    per_additional_kg: 35,
+    delivery_days: [4, 7],
+    express: { surcharge: 140, delivery_days: [2, 4] },
+  },
+};
+
+// Cash on delivery and click & collect (see `src/utils/payments.js` and `src/utils/pickup.js`).
+export const seedFulfilmentRules = {
+  cash_on_delivery: {
+    // Larger orders are paid online.
+    max_order_value: 5000,
+    // Shipping zones where the couriers do not collect cash.
+    excluded_zones: ["remote"],
+  },
+  store_pickup: {
+    // The counter listed on the contact page.
+    store: {
+      name: "Protein Point Store, Kolhapur",
+      address: "666 B Ward, Opp. Aadarsh Foot Wear, Azad Chowk, Kolhapur, Maharashtra 416002",
+      phone: "+91 9096973298",
+      state: "Maharashtra",
+    },
+    // Slots are offered for this many days, starting today.
+    days_ahead: 5,
+    // A slot must start at least this many hours after the order.
+    lead_hours: 3,
+    // Days the counter is closed (0 = Sunday).
+    closed_weekdays: [0],
+    // Store time.
+    slots: [
+      { start: "10:00", end: "13:00" },
+      { start: "13:00", end: "16:00" },
+      { start: "16:00", end: "20:00" },
+    ],
+    // Orders not collected this many days after their slot go back on the shelf.
+    hold_days: 3,
+  },
+};
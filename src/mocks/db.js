@@ -0,0 +1,108 @@
+// src/mocks/db.js
+// The in-memory database of the mock backend. Handlers read and mutate the
+// object returned by `getDb()`; the adapter calls `saveDb()` after each request.
+import mockSettings from "./settings";
+import {
+  seedUsers,
+  seedProducts,
+  seedCoupons,
+  seedShippingRules,
+  seedFulfilmentRules,
+} from "./data/seed";
+
+const STORAGE_KEY = "proteinPointMockDb";
+
+/**
+ * @description Builds a fresh database from the seed data.
+ * @returns {object}
+ */
+const createSeedState = () => ({
+  users: seedUsers.map((user) => ({ ...user })),
+  products: seedProducts.map((product) => ({ ...product })),
+  // Carts are keyed by user id: { [userId]: { id, userId, items: [] } }.
+  carts: {},
+  orders: [],
+  // Promo codes: [{ code, type, value, ... }] (see `src/utils/coupons.js`).
+  coupons: seedCoupons.map((coupon) => ({ ...coupon })),
+  // Orders placed with a promo code: [{ code, userId, orderId }].
+  couponRedemptions: [],
+  // Payment attempts: [{ id (the gateway order id), orderId, userId, provider, amount (paise),
+  // currency, status, payment_id, error, createdAt }] (see `handlers/payments.js`).
+  payments: [],
+  // Shipping zones and rates (see `src/utils/shipping.js`).
+  shippingRules: structuredClone(seedShippingRules),
+  // Cash on delivery limits and the click & collect counter, served with the shipping rules.
+  fulfilmentRules: structuredClone(seedFulfilmentRules),
+  // Saved shipping addresses: [{ id, userId, name, phone, line1, line2, city, state, pincode, is_default }].
+  addresses: [],
+  // Logged-in devices: [{ id, userId, user_agent, ip, created_at, last_seen_at }].
+  sessions: [],
+  // Issued refresh tokens: [{ token, userId, sessionId, expiresAt }].
+  refreshTokens: [],
+  // Pending password reset links: [{ token, userId, expiresAt }].
+  passwordResets: [],
+  // Pending email confirmations: [{ token, userId, email, expiresAt }].
+  emailVerifications: [],
+  // Logins waiting for the two-factor code: [{ token, userId, expiresAt, attempts }].
+  twoFactorChallenges: [],
+  // Bumped by `mockControls.expireSessions()` to invalidate every issued token.
+  tokenGeneration: 0,
+  // The last id handed out per table.
+  sequences: {
+    users: seedUsers.length,
+    products: seedProducts.length,
+    cartItems: 0,
+    orderItems: 0,
+    addresses: 0,
+    orders: 1000,
+  },
+});
+
+/**
+ * @description Restores the database saved by a previous page load, if any.
+ * @returns {object|null}
+ */
+const loadState = () => {
+  if (!mockSettings.persist) return null;
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    // Tables added after the save was written start out from the seed data.
+    return saved ? { ...createSeedState(), ...JSON.parse(saved) } : null;
+  } catch {
+    return null;
+  }
+};
+
+let state = loadState() || createSeedState();
+
+/**
+ * @description Returns the live database object.
+ * @returns {object}
+ */
+export const getDb = () => state;
+
+/**
+ * @description Persists the database (when persistence is enabled).
+ */
+export const saveDb = () => {
+  if (!mockSettings.persist) return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+/**
+ * @description Throws away every change and goes back to the seed data.
+ */
+export const resetDb = () => {
+  state = createSeedState();
+  saveDb();
+};
+
+/**
+ * @description Hands out the next id of a table.
+ * @param {string} table - A key of `sequences`.
+ * @returns {number}
+ */
+export const nextId = (table) => {
+  state.sequences[table] = (state.sequences[table] || 0) + 1;
+  return state.sequences[table];
+};
@@ -0,0 +1,148 @@
+// src/mocks/handlers/addresses.js
+// Mock of the `/users/addresses` endpoints used by addressService.
+import { nextId } from "../db";
+import { ok, fail } from "../http";
+import { validateAddress, normalizePhone } from "../../utils/validation";
+
+// The fields a client may set on an address.
+const ADDRESS_FIELDS = ["name", "phone", "line1", "line2", "city", "state", "pincode"];
+
+/**
+ * @description Copies and validates the address fields of a request body.
+ * Invalid fields are answered with 400 and `errors` keyed by field.
+ * @param {object} body - The request body.
+ * @returns {object}
+ */
+const readAddressFields = (body) => {
+  const fields = {};
+  ADDRESS_FIELDS.forEach((key) => {
+    fields[key] = String(body[key] ?? "").trim();
+  });
+  fields.phone = normalizePhone(fields.phone);
+  const errors = validateAddress(fields);
+  if (Object.keys(errors).length > 0) {
+    fail(400, "Please correct the highlighted fields.", { errors });
+  }
+  return fields;
+};
+
+/**
+ * @description Returns the addresses of a user, the default one first.
+ * @param {object} db
+ * @param {number} userId
+ * @returns {object[]}
+ */
+export const getUserAddresses = (db, userId) =>
+  db.addresses
+    .filter((address) => address.userId === userId)
+    .sort((a, b) => Number(b.is_default) - Number(a.is_default) || a.id - b.id);
+
+/**
+ * @description Finds an address of the current user or answers 404.
+ * @param {object} db
+ * @param {object} user
+ * @param {string|number} id
+ * @returns {object}
+ */
+export const findAddressOr404 = (db, user, id) => {
+  const address = db.addresses.find(
+    (entry) => entry.id === Number(id) && entry.userId === user.id
+  );
+  if (!address) {
+    fail(404, "Address not found.");
+  }
+  return address;
+};
+
+/**
+ * @description Makes `address` the only default address of its owner.
+ * @param {object} db
+ * @param {object} address
+ */
+const makeDefault = (db, address) => {
+  db.addresses.forEach((entry) => {
+    if (entry.userId === address.userId) {
+      entry.is_default = entry === address;
+    }
+  });
+};
+
+const addressRoutes = [
+  {
+    method: "get",
+    path: "/users/addresses",
+    auth: true,
+    handler: ({ db, user }) =>
+      ok({ success: true, addresses: getUserAddresses(db, user.id) }),
+  },
+  {
+    method: "post",
+    path: "/users/addresses",
+    auth: true,
+    handler: ({ db, body, user }) => {
+      const address = {
+        ...readAddressFields(body),
+        id: nextId("addresses"),
+        userId: user.id,
+        is_default: false,
+      };
+      db.addresses.push(address);
+      // The first address is always the default one.
+      if (body.is_default || getUserAddresses(db, user.id).length === 1) {
+        makeDefault(db, address);
+      }
+      return ok(
+        { success: true, message: "Address saved successfully.", address },
+        201
+      );
+    },
+  },
+  {
+    method: "put",
+    path: "/users/addresses/:id/default",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const address = findAddressOr404(db, user, params.id);
+      makeDefault(db, address);
+      return ok({
+        success: true,
+        message: "Default address updated.",
+        address,
+      });
+    },
+  },
+  {
+    method: "put",
+    path: "/users/addresses/:id",
+    auth: true,
+    handler: ({ db, body, params, user }) => {
+      const address = findAddressOr404(db, user, params.id);
+      Object.assign(address, readAddressFields(body));
+      if (body.is_default) {
+        makeDefault(db, address);
+      }
+      return ok({
+        success: true,
+        message: "Address updated successfully.",
+        address,
+      });
+    },
+  },
+  {
+    method: "delete",
+    path: "/users/addresses/:id",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const address = findAddressOr404(db, user, params.id);
+      db.addresses = db.addresses.filter((entry) => entry !== address);
+      // Another address takes over as the default.
+      const [next] = getUserAddresses(db, user.id);
+      if (address.is_default && next) {
+        makeDefault(db, next);
+      }
+      return ok({ success: true, message: "Address deleted successfully." });
+    },
+  },
+];
+
+export default addressRoutes;
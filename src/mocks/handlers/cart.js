@@ -0,0 +1,402 @@
+// src/mocks/handlers/cart.js
+// Mock of the `/cart` endpoints used by cartService.
+import { nextId } from "../db";
+import { ok, fail } from "../http";
+import { findProductOr404 } from "./products";
+import { serializeOrder } from "./orders";
+import { findAddressOr404 } from "./addresses";
+import { getShippingRules } from "./shipping";
+import { getQuantityError } from "../../utils/stock";
+import { SHIPPING_METHODS, quoteShipping } from "../../utils/shipping";
+import { calculateGst, getGstRate, isPriceTaxInclusive } from "../../utils/gst";
+import {
+  CASH_ON_DELIVERY,
+  PAYMENT_STATUSES,
+  checkCashOnDelivery,
+  findPaymentMethod,
+} from "../../utils/payments";
+import { PICKUP_STATUSES, findPickupSlot } from "../../utils/pickup";
+import {
+  describeCoupon,
+  evaluateCoupon,
+  normalizeCouponCode,
+} from "../../utils/coupons";
+
+/**
+ * @description Returns the cart of a user, creating an empty one on first use.
+ * @param {object} db
+ * @param {number} userId
+ * @returns {object}
+ */
+const getUserCart = (db, userId) => {
+  if (!db.carts[userId]) {
+    db.carts[userId] = { id: userId, userId, items: [] };
+  }
+  return db.carts[userId];
+};
+
+/**
+ * @description The cart lines with their live product records.
+ * Products deleted by an admin silently drop out of the cart.
+ * @param {object} db
+ * @param {object} cart
+ * @returns {Array<object>}
+ */
+const getCartLines = (db, cart) =>
+  cart.items
+    .map((item) => ({
+      id: item.id,
+      productId: item.productId,
+      quantity: item.quantity,
+      product: db.products.find((product) => product.id === item.productId),
+    }))
+    .filter((item) => item.product);
+
+/**
+ * @description Checks a promo code for a user's cart lines.
+ * @param {object} db
+ * @param {number} userId
+ * @param {string} code - Already normalized.
+ * @param {Array<object>} lines
+ * @returns {object} The result of `evaluateCoupon`, plus the coupon record.
+ */
+const checkCoupon = (db, userId, code, lines) => {
+  const coupon = db.coupons.find((entry) => entry.code === code);
+  const timesUsed = db.couponRedemptions.filter(
+    (entry) => entry.code === code && entry.userId === userId
+  ).length;
+  return { ...evaluateCoupon(coupon, { items: lines, timesUsed }), coupon };
+};
+
+/**
+ * @description Builds the `{ id, items: [{ id, quantity, product }], coupon }` shape CartPage renders.
+ * Products are looked up live so price and stock are always current, and the
+ * applied promo code is checked again against the current lines: a code that no
+ * longer applies stays on the cart with `valid: false` and the reason.
+ * @param {object} db
+ * @param {object} cart
+ * @returns {object}
+ */
+const serializeCart = (db, cart) => {
+  const items = getCartLines(db, cart);
+  let coupon = null;
+  if (cart.coupon_code) {
+    const result = checkCoupon(db, cart.userId, cart.coupon_code, items);
+    coupon = {
+      code: cart.coupon_code,
+      description: result.coupon ? describeCoupon(result.coupon) : null,
+      valid: result.valid,
+      reason: result.valid ? null : result.reason,
+      discount: result.valid ? result.discount : 0,
+      free_shipping: result.valid && result.freeShipping,
+    };
+  }
+  return { id: cart.id, userId: cart.userId, items, coupon };
+};
+
+/**
+ * @description Rejects quantities the store cannot fulfil (stock and per-order maximum).
+ * @param {object} product
+ * @param {number} quantity
+ */
+const assertInStock = (product, quantity) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    fail(400, "Quantity must be at least 1.");
+  }
+  const quantityError = getQuantityError(product, quantity);
+  if (quantityError) {
+    fail(400, quantityError);
+  }
+};
+
+/**
+ * @description Finds an item of the cart or answers 404.
+ * @param {object} cart
+ * @param {string|number} itemId
+ * @returns {object}
+ */
+const findCartItemOr404 = (cart, itemId) => {
+  const item = cart.items.find((entry) => entry.id === Number(itemId));
+  if (!item) {
+    fail(404, "Cart item not found.");
+  }
+  return item;
+};
+
+const cartRoutes = [
+  {
+    method: "get",
+    path: "/cart/all",
+    auth: true,
+    handler: ({ db, user }) =>
+      ok({ success: true, cart: serializeCart(db, getUserCart(db, user.id)) }),
+  },
+  {
+    method: "post",
+    path: "/cart/add",
+    auth: true,
+    handler: ({ db, body, user }) => {
+      const product = findProductOr404(db, body.productId);
+      const cart = getUserCart(db, user.id);
+      const quantity = Number(body.quantity ?? 1);
+      const existing = cart.items.find((item) => item.productId === product.id);
+      assertInStock(product, (existing?.quantity || 0) + quantity);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        cart.items.push({ id: nextId("cartItems"), productId: product.id, quantity });
+      }
+      return ok(
+        {
+          success: true,
+          message: "Product added to cart.",
+          cart: serializeCart(db, cart),
+        },
+        201
+      );
+    },
+  },
+  {
+    method: "put",
+    path: "/cart/update/:id",
+    auth: true,
+    handler: ({ db, body, params, user }) => {
+      const cart = getUserCart(db, user.id);
+      const item = findCartItemOr404(cart, params.id);
+      const quantity = Number(body.quantity);
+      assertInStock(findProductOr404(db, item.productId), quantity);
+      item.quantity = quantity;
+      return ok({
+        success: true,
+        message: "Cart item updated.",
+        cart: serializeCart(db, cart),
+      });
+    },
+  },
+  {
+    method: "delete",
+    path: "/cart/remove/:id",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const cart = getUserCart(db, user.id);
+      const item = findCartItemOr404(cart, params.id);
+      cart.items = cart.items.filter((entry) => entry !== item);
+      return ok({
+        success: true,
+        message: "Item removed from cart.",
+        cart: serializeCart(db, cart),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/cart/coupon",
+    auth: true,
+    // Applies a promo code; a code that does not apply now is refused with the reason.
+    handler: ({ db, body, user }) => {
+      const code = normalizeCouponCode(body.code);
+      if (!code) {
+        fail(400, "Please enter a promo code.");
+      }
+      const cart = getUserCart(db, user.id);
+      const result = checkCoupon(db, user.id, code, getCartLines(db, cart));
+      if (!result.valid) {
+        fail(400, result.reason, { code });
+      }
+      cart.coupon_code = code;
+      return ok({
+        success: true,
+        message: `Promo code ${code} applied.`,
+        cart: serializeCart(db, cart),
+      });
+    },
+  },
+  {
+    method: "delete",
+    path: "/cart/coupon",
+    auth: true,
+    handler: ({ db, user }) => {
+      const cart = getUserCart(db, user.id);
+      cart.coupon_code = null;
+      return ok({
+        success: true,
+        message: "Promo code removed.",
+        cart: serializeCart(db, cart),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/cart/checkout",
+    auth: true,
+    handler: ({ db, body, user }) => {
+      const cart = getUserCart(db, user.id);
+      const items = getCartLines(db, cart);
+      if (items.length === 0) {
+        fail(400, "Your cart is empty.");
+      }
+      // Orders are only taken from confirmed email addresses.
+      if (!user.email_verified) {
+        fail(403, "Please verify your email address before placing an order.");
+      }
+      if (!body.address_id) {
+        fail(400, "Please choose a shipping address.");
+      }
+      const address = findAddressOr404(db, user, body.address_id);
+      const paymentMethod = findPaymentMethod(body.payment_method);
+      if (!paymentMethod) {
+        fail(400, "Please choose a payment method.");
+      }
+      // Check every line before touching the stock, so a failure changes nothing.
+      items.forEach((item) => assertInStock(item.product, item.quantity));
+      // The promo code the shopper saw in the summary is checked once more.
+      const couponCode = body.coupon_code ? normalizeCouponCode(body.coupon_code) : null;
+      const couponResult = couponCode
+        ? checkCoupon(db, user.id, couponCode, items)
+        : null;
+      if (couponResult && !couponResult.valid) {
+        fail(400, `Promo code ${couponCode}: ${couponResult.reason}`);
+      }
+      const subtotal = items.reduce(
+        (sum, item) => sum + item.quantity * item.product.price,
+        0
+      );
+      const discount = couponResult?.discount || 0;
+      // So is the delivery method, for the chosen address.
+      const rules = getShippingRules(db);
+      const shippingMethod = body.shipping_method || SHIPPING_METHODS.STANDARD;
+      const shipping = quoteShipping(
+        rules,
+        {
+          items,
+          pincode: address.pincode,
+          amount: subtotal - discount,
+          freeShipping: Boolean(couponResult?.freeShipping),
+        },
+        shippingMethod
+      );
+      if (!shipping) {
+        if (shippingMethod === SHIPPING_METHODS.PICKUP) {
+          fail(400, "Click & collect is not available right now.");
+        }
+        fail(
+          400,
+          Object.values(SHIPPING_METHODS).includes(shippingMethod)
+            ? `${shippingMethod === SHIPPING_METHODS.EXPRESS ? "Express" : "Standard"} delivery is not available to PIN code ${address.pincode}.`
+            : "Please choose a delivery method."
+        );
+      }
+      // Click & collect books a slot that can still be booked.
+      const pickup = shipping.method === SHIPPING_METHODS.PICKUP;
+      const pickupSlot = pickup ? findPickupSlot(rules, body.pickup_slot) : null;
+      if (pickup && !pickupSlot) {
+        fail(
+          400,
+          body.pickup_slot
+            ? "This pickup slot is no longer available. Please choose another one."
+            : "Please choose a pickup slot."
+        );
+      }
+      // GST of the goods: CGST + SGST inside the store's state, IGST to other states.
+      // Goods collected at the store are supplied in the store's state.
+      const tax = calculateGst(items, {
+        discount,
+        shippingState: pickup ? rules.store_pickup.store.state : address.state,
+      });
+      const totalAmount =
+        Math.round((subtotal - discount + tax.added_tax + shipping.amount) * 100) / 100;
+      if (paymentMethod.id === CASH_ON_DELIVERY) {
+        const codError = checkCashOnDelivery(rules, {
+          amount: totalAmount,
+          pincode: address.pincode,
+          shippingMethod: shipping.method,
+        });
+        if (codError) {
+          fail(400, codError);
+        }
+      }
+      const order = {
+        id: nextId("orders"),
+        userId: user.id,
+        status: "pending",
+        createdAt: new Date().toISOString(),
+        // A copy, so editing or deleting the saved address does not change the order.
+        shipping_address: {
+          name: address.name,
+          phone: address.phone,
+          line1: address.line1,
+          line2: address.line2,
+          city: address.city,
+          state: address.state,
+          pincode: address.pincode,
+        },
+        items: items.map((item) => ({
+          id: nextId("orderItems"),
+          productId: item.product.id,
+          quantity: item.quantity,
+          price: item.product.price,
+          // The tax terms of the sale, for the GST breakdown.
+          hsn_code: item.product.hsn_code || "",
+          gst_rate: getGstRate(item.product),
+          price_includes_tax: isPriceTaxInclusive(item.product),
+          // A snapshot, so the order still renders if the product changes later.
+          product: {
+            id: item.product.id,
+            name: item.product.name,
+            image_url: item.product.image_url,
+            price: item.product.price,
+          },
+        })),
+      };
+      order.subtotal = subtotal;
+      order.discount_amount = discount;
+      order.coupon = couponResult
+        ? {
+            code: couponCode,
+            description: describeCoupon(couponResult.coupon),
+            free_shipping: couponResult.freeShipping,
+          }
+        : null;
+      // The shipping line, as quoted: method, zone, weight, cost and why it is free.
+      order.shipping = shipping;
+      order.shipping_amount = shipping.amount;
+      order.tax = tax;
+      // How the order will be paid; the payment itself is still to be made.
+      order.payment = { method: paymentMethod.id, status: PAYMENT_STATUSES.PENDING };
+      order.total_amount = totalAmount;
+      if (pickup) {
+        const { store, hold_days: holdDays } = rules.store_pickup;
+        const collectBy = new Date(pickupSlot.ends_at);
+        collectBy.setDate(collectBy.getDate() + holdDays);
+        order.pickup = {
+          store: { ...store },
+          slot: pickupSlot,
+          // Shown at the counter to collect the order.
+          code: String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, "0"),
+          status: PICKUP_STATUSES.SCHEDULED,
+          ready_at: null,
+          collect_by: collectBy.toISOString(),
+        };
+      }
+      items.forEach((item) => {
+        item.product.stock -= item.quantity;
+      });
+      db.orders.push(order);
+      if (couponResult) {
+        db.couponRedemptions.push({ code: couponCode, userId: user.id, orderId: order.id });
+      }
+      cart.items = [];
+      cart.coupon_code = null;
+      return ok(
+        {
+          success: true,
+          message: "Order placed successfully.",
+          order: serializeOrder(order),
+        },
+        201
+      );
+    },
+  },
+];
+
+export default cartRoutes;
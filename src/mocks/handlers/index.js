@@ -0,0 +1,25 @@
+// src/mocks/handlers/index.js
+// Collects the routes of every mock resource. A route is
+// `{ method, path, auth?, roles?, handler }`; `path` may contain `:params`
+// and `roles` limits an authenticated route to users with one of those roles.
+import userRoutes from "./users";
+import productRoutes from "./products";
+import cartRoutes from "./cart";
+import orderRoutes from "./orders";
+import addressRoutes from "./addresses";
+import sessionRoutes from "./sessions";
+import shippingRoutes from "./shipping";
+import paymentRoutes from "./payments";
+
+const routes = [
+  ...userRoutes,
+  ...sessionRoutes,
+  ...addressRoutes,
+  ...productRoutes,
+  ...cartRoutes,
+  ...shippingRoutes,
+  ...orderRoutes,
+  ...paymentRoutes,
+];
+
+export default routes;
@@ -0,0 +1,77 @@
+// src/mocks/handlers/orders.js
+// Mock of the `/orders` endpoints used by orderService.
+import { ok, fail } from "../http";
+import { PAYMENT_STATUSES } from "../../utils/payments";
+
+/**
+ * @description Returns the public shape of an order (what OrderPage renders).
+ * @param {object} order - The database record.
+ * @returns {object}
+ */
+export const serializeOrder = (order) => ({
+  ...order,
+  items: order.items.map((item) => ({ ...item, product: { ...item.product } })),
+});
+
+const orderRoutes = [
+  {
+    method: "get",
+    path: "/orders/all",
+    auth: true,
+    handler: ({ db, user }) =>
+      ok({
+        success: true,
+        orders: db.orders
+          .filter((order) => order.userId === user.id)
+          // Newest orders first, like the order history expects.
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .map(serializeOrder),
+      }),
+  },
+  {
+    method: "get",
+    path: "/orders/:id",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const order = db.orders.find(
+        (entry) => entry.id === Number(params.id) && entry.userId === user.id
+      );
+      if (!order) {
+        fail(404, "Order not found.");
+      }
+      return ok({ success: true, order: serializeOrder(order) });
+    },
+  },
+  {
+    method: "delete",
+    path: "/orders/delete/:id",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const order = db.orders.find(
+        (entry) => entry.id === Number(params.id) && entry.userId === user.id
+      );
+      if (!order) {
+        fail(404, "Order not found.");
+      }
+      if (order.status !== "canceled") {
+        // Canceling puts the reserved units back on the shelf.
+        order.items.forEach((item) => {
+          const product = db.products.find((entry) => entry.id === item.productId);
+          if (product) product.stock += item.quantity;
+        });
+        order.status = "canceled";
+        // The promo code counts as unused again.
+        db.couponRedemptions = db.couponRedemptions.filter(
+          (entry) => entry.orderId !== order.id
+        );
+        // A paid order is refunded; an unpaid one can no longer be paid.
+        if (order.payment?.status === PAYMENT_STATUSES.PAID) {
+          order.payment = { ...order.payment, status: PAYMENT_STATUSES.REFUNDED };
+        }
+      }
+      return ok({ success: true, message: "Order canceled successfully." });
+    },
+  },
+];
+
+export default orderRoutes;
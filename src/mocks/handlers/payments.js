@@ -0,0 +1,302 @@
+// src/mocks/handlers/payments.js
+// Mock of the `/payments` endpoints used by paymentService, plus a stand-in for
+// the payment gateway itself (`/payments/mock/complete`), so the whole payment
+// flow runs offline. It follows Razorpay's handshake:
+// 1. `POST /payments/create` opens a gateway order for the amount of an order;
+// 2. the shopper pays in the gateway's window, which hands back a payment id and
+//    a signature: HMAC-SHA256 of "<gateway order id>|<payment id>" with the secret;
+// 3. `POST /payments/verify` checks that signature before marking the order paid.
+import { ok, fail } from "../http";
+import { PAYMENT_STATUSES, findPaymentMethod } from "../../utils/payments";
+
+// The mock gateway's credentials. The key id is public; the secret never leaves the backend.
+const MOCK_KEY_ID = "rzp_test_proteinpoint";
+const MOCK_KEY_SECRET = "proteinpoint_mock_secret";
+
+// The gateways the backend can open a payment with.
+const PROVIDERS = ["mock", "razorpay"];
+
+/**
+ * @description Creates a random id with a gateway-style prefix.
+ * @param {string} prefix - e.g. "order" or "pay".
+ * @returns {string} e.g. "order_Mx3k9aB2cD4eF5".
+ */
+const randomId = (prefix) => {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.getRandomValues(new Uint8Array(14));
+  return `${prefix}_${Array.from(bytes, (byte) => alphabet[byte % alphabet.length]).join("")}`;
+};
+
+/**
+ * @description Signs a payment the way the gateway does.
+ * @param {string} gatewayOrderId
+ * @param {string} paymentId
+ * @returns {Promise<string>} The HMAC-SHA256, hex encoded.
+ */
+const signPayment = async (gatewayOrderId, paymentId) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(MOCK_KEY_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(`${gatewayOrderId}|${paymentId}`)
+  );
+  return Array.from(new Uint8Array(signature), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+/**
+ * @description Finds an order of the user or answers 404.
+ * @param {object} db
+ * @param {object} user
+ * @param {string|number} orderId
+ * @returns {object}
+ */
+const findOrderOr404 = (db, user, orderId) => {
+  const order = db.orders.find(
+    (entry) => entry.id === Number(orderId) && entry.userId === user.id
+  );
+  if (!order) {
+    fail(404, "Order not found.");
+  }
+  return order;
+};
+
+/**
+ * @description Finds a payment attempt or answers 404.
+ * @param {object} db
+ * @param {string} gatewayOrderId
+ * @returns {object}
+ */
+const findPaymentOr404 = (db, gatewayOrderId) => {
+  const payment = db.payments.find((entry) => entry.id === gatewayOrderId);
+  if (!payment) {
+    fail(404, "Payment not found.");
+  }
+  return payment;
+};
+
+/**
+ * @description Records a confirmed payment on the order.
+ * @param {object} order
+ * @param {object} payment - The attempt.
+ */
+const markOrderPaid = (order, payment) => {
+  payment.status = PAYMENT_STATUSES.PAID;
+  order.payment = {
+    ...order.payment,
+    status: PAYMENT_STATUSES.PAID,
+    provider: payment.provider,
+    payment_id: payment.payment_id,
+    paid_at: new Date().toISOString(),
+    failure_reason: null,
+  };
+};
+
+/**
+ * @description Records a failed attempt on the order.
+ * @param {object} order
+ * @param {object} payment - The attempt.
+ * @param {string} reason
+ */
+const markOrderFailed = (order, payment, reason) => {
+  payment.status = PAYMENT_STATUSES.FAILED;
+  payment.error = reason;
+  order.payment = {
+    ...order.payment,
+    status: PAYMENT_STATUSES.FAILED,
+    failure_reason: reason,
+  };
+};
+
+/**
+ * @description Settles every payment still waiting for the bank (used by `mockControls`).
+ * @param {object} db
+ * @param {"success"|"failure"} outcome
+ * @returns {number} How many payments were settled.
+ */
+export const settleProcessingPayments = (db, outcome) => {
+  const waiting = db.payments.filter(
+    (payment) => payment.status === PAYMENT_STATUSES.PROCESSING
+  );
+  waiting.forEach((payment) => {
+    const order = db.orders.find((entry) => entry.id === payment.orderId);
+    if (!order) return;
+    if (outcome === "success") {
+      markOrderPaid(order, payment);
+    } else {
+      markOrderFailed(order, payment, "The bank declined the payment.");
+    }
+  });
+  return waiting.length;
+};
+
+const paymentRoutes = [
+  {
+    method: "post",
+    path: "/payments/create",
+    auth: true,
+    // Opens a gateway order for the amount of an order. A new attempt replaces one
+    // that failed or is still unconfirmed.
+    handler: ({ db, body, user }) => {
+      const order = findOrderOr404(db, user, body.order_id);
+      const provider = body.provider || "mock";
+      if (!PROVIDERS.includes(provider)) {
+        fail(400, "This payment provider is not supported.");
+      }
+      if (order.status === "canceled") {
+        fail(400, "This order was canceled.");
+      }
+      // Cash orders (and orders placed before online payments) are not paid here.
+      if (!findPaymentMethod(order.payment?.method)?.online) {
+        fail(400, "This order has no online payment.");
+      }
+      if (order.payment.status === PAYMENT_STATUSES.PAID) {
+        fail(409, "This order is already paid.");
+      }
+      db.payments
+        .filter(
+          (entry) =>
+            entry.orderId === order.id &&
+            [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.PROCESSING].includes(entry.status)
+        )
+        .forEach((entry) => {
+          entry.status = PAYMENT_STATUSES.FAILED;
+          entry.error = "Replaced by a new payment attempt.";
+        });
+      const payment = {
+        id: randomId("order"),
+        orderId: order.id,
+        userId: user.id,
+        provider,
+        // Gateways count in paise.
+        amount: Math.round(Number(order.total_amount) * 100),
+        currency: "INR",
+        status: PAYMENT_STATUSES.PENDING,
+        payment_id: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+      };
+      db.payments.push(payment);
+      order.payment = {
+        ...order.payment,
+        status: PAYMENT_STATUSES.PENDING,
+        attempts: (order.payment.attempts || 0) + 1,
+      };
+      return ok(
+        {
+          success: true,
+          payment: {
+            provider,
+            key_id: MOCK_KEY_ID,
+            provider_order_id: payment.id,
+            amount: payment.amount,
+            currency: payment.currency,
+            order_id: order.id,
+          },
+        },
+        201
+      );
+    },
+  },
+  {
+    method: "post",
+    path: "/payments/mock/complete",
+    auth: true,
+    // The mock gateway: the shopper picks the outcome of the payment.
+    // "success" signs the payment, "failure" declines it, "pending" leaves it
+    // waiting for the bank (see `mockControls.settlePayments`).
+    handler: async ({ db, body, user }) => {
+      const payment = findPaymentOr404(db, body.provider_order_id);
+      if (payment.userId !== user.id) {
+        fail(404, "Payment not found.");
+      }
+      if (payment.status !== PAYMENT_STATUSES.PENDING) {
+        fail(409, "This payment is already complete.");
+      }
+      const order = db.orders.find((entry) => entry.id === payment.orderId);
+      payment.payment_id = randomId("pay");
+      switch (body.outcome) {
+        case "success":
+          // Only the signature proves the payment; `/payments/verify` checks it.
+          return ok({
+            success: true,
+            status: "success",
+            payment_id: payment.payment_id,
+            signature: await signPayment(payment.id, payment.payment_id),
+          });
+        case "failure":
+          return ok({
+            success: false,
+            status: "failed",
+            payment_id: payment.payment_id,
+            error: { code: "BAD_REQUEST_ERROR", description: "Your bank declined the payment." },
+          });
+        case "pending":
+          payment.status = PAYMENT_STATUSES.PROCESSING;
+          order.payment = { ...order.payment, status: PAYMENT_STATUSES.PROCESSING };
+          return ok({ success: true, status: "pending", payment_id: payment.payment_id });
+        default:
+          return fail(400, "Unknown payment outcome.");
+      }
+    },
+  },
+  {
+    method: "post",
+    path: "/payments/verify",
+    auth: true,
+    // Checks the gateway's signature before the order counts as paid.
+    handler: async ({ db, body, user }) => {
+      const order = findOrderOr404(db, user, body.order_id);
+      const payment = findPaymentOr404(db, body.provider_order_id);
+      if (payment.orderId !== order.id) {
+        fail(400, "This payment belongs to another order.");
+      }
+      if (payment.status === PAYMENT_STATUSES.PAID) {
+        return ok({ success: true, message: "Payment already confirmed.", payment: order.payment });
+      }
+      const expected = await signPayment(payment.id, String(body.payment_id));
+      if (!body.signature || body.signature !== expected) {
+        markOrderFailed(order, payment, "The payment could not be verified.");
+        fail(400, "The payment could not be verified. No money was taken for this order.", {
+          payment: order.payment,
+        });
+      }
+      payment.payment_id = body.payment_id;
+      markOrderPaid(order, payment);
+      return ok({ success: true, message: "Payment confirmed.", payment: order.payment });
+    },
+  },
+  {
+    method: "post",
+    path: "/payments/failure",
+    auth: true,
+    // The gateway window reported a failed payment.
+    handler: ({ db, body, user }) => {
+      const order = findOrderOr404(db, user, body.order_id);
+      const payment = findPaymentOr404(db, body.provider_order_id);
+      if (payment.orderId !== order.id) {
+        fail(400, "This payment belongs to another order.");
+      }
+      if (payment.status !== PAYMENT_STATUSES.PAID) {
+        markOrderFailed(order, payment, body.reason || "The payment failed.");
+      }
+      return ok({ success: true, payment: order.payment });
+    },
+  },
+  {
+    method: "get",
+    path: "/payments/status/:orderId",
+    auth: true,
+    handler: ({ db, params, user }) =>
+      ok({ success: true, payment: findOrderOr404(db, user, params.orderId).payment }),
+  },
+];
+
+export default paymentRoutes;
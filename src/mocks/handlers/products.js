@@ -0,0 +1,185 @@
+// src/mocks/handlers/products.js
+// Mock of the `/products` endpoints used by productService.
+import { nextId } from "../db";
+import { ok, fail } from "../http";
+import { GST_RATES, DEFAULT_GST_RATE } from "../../utils/gst";
+
+/**
+ * @description Finds a product or answers 404.
+ * @param {object} db
+ * @param {string|number} id
+ * @returns {object}
+ */
+export const findProductOr404 = (db, id) => {
+  const product = db.products.find((item) => item.id === Number(id));
+  if (!product) {
+    fail(404, "Product not found.");
+  }
+  return product;
+};
+
+/**
+ * @description Copies the editable fields of a product form into a record.
+ * The forms send numbers as strings, so they are converted here.
+ * @param {object} body - The request body.
+ * @returns {object}
+ */
+const readProductFields = (body) => {
+  const fields = {};
+  ["name", "description", "image_url", "category"].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.hsn_code !== undefined) fields.hsn_code = String(body.hsn_code ?? "").trim();
+  ["price", "stock", "gst_rate"].forEach((key) => {
+    if (body[key] !== undefined && body[key] !== "") fields[key] = Number(body[key]);
+  });
+  // Optional: an empty field removes the per-order limit, or the weight (the
+  // shipping rules then use their default weight).
+  ["max_order_quantity", "weight_grams"].forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] === "" || body[key] === null ? null : Number(body[key]);
+    }
+  });
+  // The forms send the choice as "true" / "false".
+  if (body.price_includes_tax !== undefined) {
+    fields.price_includes_tax =
+      body.price_includes_tax === true || body.price_includes_tax === "true";
+  }
+  return fields;
+};
+
+/**
+ * @description Rejects a per-order maximum that is not a whole number of at least 1.
+ * @param {object} fields - The fields read by `readProductFields`.
+ */
+const assertValidOrderLimit = ({ max_order_quantity: limit }) => {
+  if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit >= 1)) {
+    fail(400, "The maximum per order must be a whole number of at least 1.");
+  }
+};
+
+/**
+ * @description Rejects a shipping weight that is not a whole number of grams above 0.
+ * @param {object} fields - The fields read by `readProductFields`.
+ */
+const assertValidWeight = ({ weight_grams: weight }) => {
+  if (weight !== undefined && weight !== null && !(Number.isInteger(weight) && weight >= 1)) {
+    fail(400, "The shipping weight must be a whole number of grams.");
+  }
+};
+
+/**
+ * @description Rejects a GST rate outside the slabs and an HSN code that is not
+ * 4, 6 or 8 digits (an empty code is allowed).
+ * @param {object} fields - The fields read by `readProductFields`.
+ */
+const assertValidTaxFields = ({ gst_rate: rate, hsn_code: hsnCode }) => {
+  if (rate !== undefined && !GST_RATES.includes(rate)) {
+    fail(400, `The GST rate must be one of ${GST_RATES.join(", ")} percent.`);
+  }
+  if (hsnCode && !/^\d{4}(\d{2}){0,2}$/.test(hsnCode)) {
+    fail(400, "The HSN code must have 4, 6 or 8 digits.");
+  }
+};
+
+// Roles allowed to call the product management endpoints.
+const MANAGER_ROLES = ["admin", "seller"];
+
+/**
+ * @description Makes sure the current user may change this product.
+ * Admins may change any product, sellers only their own.
+ * @param {object} product
+ * @param {object} user
+ */
+const assertOwner = (product, user) => {
+  if (user.role !== "admin" && product.userId !== user.id) {
+    fail(403, "You are not allowed to modify this product.");
+  }
+};
+
+const productRoutes = [
+  {
+    method: "get",
+    path: "/products/all",
+    handler: ({ db }) =>
+      ok({
+        success: true,
+        message: "Products fetched successfully.",
+        products: db.products,
+      }),
+  },
+  {
+    method: "get",
+    path: "/products/:id",
+    handler: ({ db, params }) =>
+      ok({ success: true, product: findProductOr404(db, params.id) }),
+  },
+  {
+    method: "post",
+    path: "/products/create",
+    auth: true,
+    roles: MANAGER_ROLES,
+    handler: ({ db, body, user }) => {
+      const fields = readProductFields(body);
+      if (!fields.name || Number.isNaN(fields.price)) {
+        fail(400, "Product name and a valid price are required.");
+      }
+      assertValidOrderLimit(fields);
+      assertValidWeight(fields);
+      assertValidTaxFields(fields);
+      const product = {
+        description: "",
+        stock: 0,
+        max_order_quantity: null,
+        weight_grams: null,
+        hsn_code: "",
+        gst_rate: DEFAULT_GST_RATE,
+        price_includes_tax: true,
+        image_url: "",
+        ...fields,
+        id: nextId("products"),
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+      };
+      db.products.push(product);
+      return ok(
+        { success: true, message: "Product created successfully.", product },
+        201
+      );
+    },
+  },
+  {
+    method: "put",
+    path: "/products/update/:id",
+    auth: true,
+    roles: MANAGER_ROLES,
+    handler: ({ db, body, params, user }) => {
+      const product = findProductOr404(db, params.id);
+      assertOwner(product, user);
+      const fields = readProductFields(body);
+      assertValidOrderLimit(fields);
+      assertValidWeight(fields);
+      assertValidTaxFields(fields);
+      Object.assign(product, fields);
+      return ok({
+        success: true,
+        message: "Product updated successfully.",
+        product,
+      });
+    },
+  },
+  {
+    method: "delete",
+    path: "/products/delete/:id",
+    auth: true,
+    roles: MANAGER_ROLES,
+    handler: ({ db, params, user }) => {
+      const product = findProductOr404(db, params.id);
+      assertOwner(product, user);
+      db.products = db.products.filter((item) => item.id !== product.id);
+      return ok({ success: true, message: "Product deleted successfully." });
+    },
+  },
+];
+
+export default productRoutes;
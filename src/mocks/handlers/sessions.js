@@ -0,0 +1,107 @@
+// src/mocks/handlers/sessions.js
+// Mock of the `/users/sessions` endpoints: every login creates a session (one per
+// device), which the user can see and revoke. Access tokens carry the session id
+// in a `sid` claim, so a revoked session stops working right away.
+import { ok, fail } from "../http";
+
+/**
+ * @description Starts a session for a new login.
+ * The mock has no network, so the browser's user agent and a made-up IP are recorded.
+ * @param {object} db
+ * @param {object} user
+ * @returns {object} The session record.
+ */
+export const createSession = (db, user) => {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    user_agent: globalThis.navigator?.userAgent || "Unknown",
+    // An address from the documentation range (203.0.113.0/24).
+    ip: `203.0.113.${1 + Math.floor(Math.random() * 254)}`,
+    created_at: now,
+    last_seen_at: now,
+  };
+  db.sessions.push(session);
+  return session;
+};
+
+/**
+ * @description Finds a live session and records that it was just used.
+ * @param {object} db
+ * @param {string} sessionId
+ * @returns {object|undefined} The session, or undefined when it was revoked.
+ */
+export const touchSession = (db, sessionId) => {
+  const session = db.sessions.find((entry) => entry.id === sessionId);
+  if (session) session.last_seen_at = new Date().toISOString();
+  return session;
+};
+
+/**
+ * @description Ends sessions: their refresh tokens and access tokens are rejected
+ * from the next request on.
+ * @param {object} db
+ * @param {(session: object) => boolean} predicate - Which sessions to end.
+ */
+export const revokeSessions = (db, predicate) => {
+  const revokedIds = db.sessions.filter(predicate).map((session) => session.id);
+  db.sessions = db.sessions.filter((session) => !revokedIds.includes(session.id));
+  // The refresh tokens are flagged rather than deleted, so a refresh can tell the
+  // device why it was logged out.
+  db.refreshTokens.forEach((entry) => {
+    if (revokedIds.includes(entry.sessionId)) entry.revoked = true;
+  });
+};
+
+const sessionRoutes = [
+  {
+    method: "get",
+    path: "/users/sessions",
+    auth: true,
+    handler: ({ db, user, tokenPayload }) => {
+      const sessions = db.sessions
+        .filter((session) => session.userId === user.id)
+        .sort((a, b) => b.last_seen_at.localeCompare(a.last_seen_at))
+        .map((session) => ({
+          id: session.id,
+          user_agent: session.user_agent,
+          ip: session.ip,
+          created_at: session.created_at,
+          last_seen_at: session.last_seen_at,
+          current: session.id === tokenPayload.sid,
+        }));
+      return ok({ success: true, sessions });
+    },
+  },
+  {
+    method: "delete",
+    path: "/users/sessions/:id",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const session = db.sessions.find(
+        (entry) => entry.id === params.id && entry.userId === user.id
+      );
+      if (!session) {
+        fail(404, "Session not found.");
+      }
+      revokeSessions(db, (entry) => entry === session);
+      return ok({ success: true, message: "The device has been logged out." });
+    },
+  },
+  {
+    method: "delete",
+    path: "/users/sessions",
+    auth: true,
+    // "Log out everywhere", this device included.
+    handler: ({ db, user }) => {
+      revokeSessions(db, (entry) => entry.userId === user.id);
+      return ok({
+        success: true,
+        message: "You have been logged out on every device.",
+      });
+    },
+  },
+];
+
+export default sessionRoutes;
@@ -0,0 +1,22 @@
+// src/mocks/handlers/shipping.js
+// Mock of the `/shipping` endpoints used by shippingService.
+import { ok } from "../http";
+
+/**
+ * @description The rules quotes are made with: the shipping zones and rates, plus
+ * the cash on delivery limits and the click & collect counter (kept in their own table).
+ * @param {object} db
+ * @returns {object}
+ */
+export const getShippingRules = (db) => ({ ...db.shippingRules, ...db.fulfilmentRules });
+
+const shippingRoutes = [
+  {
+    method: "get",
+    path: "/shipping/rules",
+    // Public: guests see shipping estimates too.
+    handler: ({ db }) => ok({ success: true, rules: getShippingRules(db) }),
+  },
+];
+
+export default shippingRoutes;
@@ -0,0 +1,610 @@
+// src/mocks/handlers/users.js
+// Mock of the `/users` endpoints used by authService.
+import { nextId } from "../db";
+import { ok, fail, toPublicUser } from "../http";
+import { signMockToken } from "../jwt";
+import { generateTotpSecret, buildOtpAuthUrl, verifyTotp } from "../totp";
+import { createSession, touchSession, revokeSessions } from "./sessions";
+import mockSettings from "../settings";
+import { MIN_PASSWORD_LENGTH } from "../../utils/passwordStrength";
+import { validateEmail } from "../../utils/validation";
+
+// How long a password reset link stays valid.
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000;
+// How long an email verification link stays valid.
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+// How long a user has to wait before another verification email is sent.
+const EMAIL_VERIFICATION_COOLDOWN_SECONDS = 60;
+// How long the second login step may take, and how many codes may be tried.
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+// How many single-use backup codes are handed out at once.
+const BACKUP_CODE_COUNT = 10;
+// The name shown next to the account in authenticator apps.
+const TOTP_ISSUER = "Protein Point";
+// The largest avatar accepted, measured on the Base64 data URL.
+const MAX_AVATAR_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * @description Finds a user by email, ignoring case.
+ * @param {object} db
+ * @param {string} email
+ * @returns {object|undefined}
+ */
+const findUserByEmail = (db, email) =>
+  db.users.find(
+    (user) => user.email.toLowerCase() === String(email || "").toLowerCase()
+  );
+
+/**
+ * @description Issues a new access token and refresh token pair for a user.
+ * @param {object} db
+ * @param {object} user
+ * @param {object} [session] - The device session being renewed; a login starts a new one.
+ * @returns {object} The public user with `token` and `refreshToken`.
+ */
+const issueSession = (db, user, session = createSession(db, user)) => {
+  const token = signMockToken({
+    sub: user.id,
+    email: user.email,
+    role: user.role,
+    gen: db.tokenGeneration,
+    sid: session.id,
+  });
+  const refreshToken = crypto.randomUUID();
+  db.refreshTokens.push({
+    token: refreshToken,
+    userId: user.id,
+    sessionId: session.id,
+    expiresAt: Date.now() + mockSettings.refreshTtlSeconds * 1000,
+  });
+  return { ...toPublicUser(user), token, refreshToken };
+};
+
+/**
+ * @description Creates a verification link for `email` and "sends" it.
+ * The mock has no mail server: the link is logged instead.
+ * @param {object} db
+ * @param {object} user
+ * @param {string} email - The address to confirm.
+ */
+const sendEmailVerification = (db, user, email) => {
+  // Only the newest link of a user stays valid.
+  db.emailVerifications = db.emailVerifications.filter(
+    (entry) => entry.userId !== user.id
+  );
+  const token = crypto.randomUUID();
+  db.emailVerifications.push({
+    token,
+    userId: user.id,
+    email,
+    sentAt: Date.now(),
+    expiresAt: Date.now() + EMAIL_VERIFICATION_TTL_MS,
+  });
+  console.info(
+    `[mock email] Verification link for ${email}: ${window.location.origin}/verify-email/${token}`
+  );
+};
+
+/**
+ * @description Creates a fresh set of single-use backup codes, e.g. "3f9a-c21b".
+ * @returns {string[]}
+ */
+const generateBackupCodes = () =>
+  Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = Array.from(crypto.getRandomValues(new Uint8Array(4)), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+/**
+ * @description Checks the second factor of an enrolled user: a code from the
+ * authenticator app, or one of the backup codes (which is used up).
+ * @param {object} user
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const checkSecondFactor = async (user, code) => {
+  if (await verifyTotp(user.two_factor_secret, code)) return true;
+  const backupCode = String(code || "").trim().toLowerCase();
+  const index = (user.backup_codes || []).indexOf(backupCode);
+  if (index === -1) return false;
+  user.backup_codes.splice(index, 1);
+  return true;
+};
+
+const userRoutes = [
+  {
+    method: "post",
+    path: "/users/register",
+    handler: ({ db, body }) => {
+      const { email, password_hash } = body;
+      // Field-level problems are sent back in `errors`, keyed by field.
+      const errors = {};
+      const emailError = validateEmail(email);
+      if (emailError) errors.email = emailError;
+      if (String(password_hash || "").length < MIN_PASSWORD_LENGTH) {
+        errors.password_hash = `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+      }
+      if (body.accepted_terms !== true) {
+        errors.accepted_terms = "You must accept the terms and privacy policy.";
+      }
+      if (Object.keys(errors).length > 0) {
+        fail(400, "Please correct the highlighted fields.", { errors });
+      }
+      if (findUserByEmail(db, email)) {
+        fail(409, "email already exist", {
+          errors: { email: "An account with this email already exists." },
+        });
+      }
+      const now = new Date().toISOString();
+      const user = {
+        id: nextId("users"),
+        email,
+        password_hash,
+        // Self-registered accounts are always customers.
+        role: "customer",
+        // The account works right away, but orders wait for a confirmed address.
+        email_verified: false,
+        terms_accepted_at: now,
+        createdAt: now,
+      };
+      db.users.push(user);
+      sendEmailVerification(db, user, email);
+      return ok(
+        {
+          success: true,
+          message: `User registered successfully. We've sent a verification link to ${email}.`,
+          user: toPublicUser(user),
+        },
+        201
+      );
+    },
+  },
+  {
+    method: "post",
+    path: "/users/login",
+    handler: ({ db, body }) => {
+      const user = findUserByEmail(db, body.email);
+      if (!user || user.password_hash !== body.password_hash) {
+        fail(401, "Invalid email or password.");
+      }
+      // Enrolled accounts get no session yet, only a challenge for the second step.
+      if (user.two_factor_enabled) {
+        const challengeToken = crypto.randomUUID();
+        db.twoFactorChallenges = db.twoFactorChallenges.filter(
+          (entry) => entry.userId !== user.id
+        );
+        db.twoFactorChallenges.push({
+          token: challengeToken,
+          userId: user.id,
+          expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS,
+          attempts: 0,
+        });
+        return ok({
+          success: true,
+          message: "Enter the code from your authenticator app.",
+          two_factor_required: true,
+          challenge_token: challengeToken,
+        });
+      }
+      return ok({
+        success: true,
+        message: "Login successful.",
+        user: issueSession(db, user),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/login/2fa",
+    handler: async ({ db, body }) => {
+      const challenge = db.twoFactorChallenges.find(
+        (entry) => entry.token === body.challenge_token
+      );
+      if (!challenge || challenge.expiresAt <= Date.now()) {
+        fail(401, "This login attempt has expired. Please log in again.");
+      }
+      const user = db.users.find((entry) => entry.id === challenge.userId);
+      if (!user || !(await checkSecondFactor(user, body.code))) {
+        // Too many wrong codes end the attempt: the password has to be entered again.
+        challenge.attempts += 1;
+        if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+          db.twoFactorChallenges = db.twoFactorChallenges.filter(
+            (entry) => entry !== challenge
+          );
+          fail(401, "Too many invalid codes. Please log in again.");
+        }
+        fail(400, "Invalid authentication code.");
+      }
+      db.twoFactorChallenges = db.twoFactorChallenges.filter(
+        (entry) => entry !== challenge
+      );
+      return ok({
+        success: true,
+        message: "Login successful.",
+        user: issueSession(db, user),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/refresh-token",
+    handler: ({ db, body, cookies }) => {
+      // Cookie sessions send the refresh token as a cookie instead of in the body.
+      const refreshToken = body.refreshToken || cookies.refresh_token;
+      const stored = db.refreshTokens.find(
+        (entry) => entry.token === refreshToken
+      );
+      // Refresh tokens are single use: the old one is always dropped (rotation).
+      db.refreshTokens = db.refreshTokens.filter((entry) => entry !== stored);
+      if (stored?.revoked) {
+        fail(401, "This session has been revoked.", { code: "session_revoked" });
+      }
+      if (!stored || stored.expiresAt <= Date.now()) {
+        fail(401, "Refresh token is invalid or expired.");
+      }
+      const user = db.users.find((entry) => entry.id === stored.userId);
+      if (!user) {
+        fail(401, "User no longer exists.");
+      }
+      // The refresh continues the same device session, unless it was revoked.
+      const session = touchSession(db, stored.sessionId);
+      if (!session) {
+        fail(401, "This session has been revoked.", { code: "session_revoked" });
+      }
+      return ok({
+        success: true,
+        message: "Token refreshed.",
+        user: issueSession(db, user, session),
+      });
+    },
+  },
+  {
+    method: "get",
+    path: "/users/session",
+    auth: true,
+    // Lets a client that cannot read its token (cookie mode) find out who is logged in.
+    handler: ({ user, tokenPayload }) =>
+      ok({
+        success: true,
+        user: {
+          ...toPublicUser(user),
+          session_issued_at: tokenPayload.iat,
+          session_expires_at: tokenPayload.exp,
+        },
+      }),
+  },
+  {
+    method: "post",
+    path: "/users/logout",
+    handler: ({ db, body, cookies }) => {
+      // The session of this device ends, together with its refresh token.
+      const refreshToken = body.refreshToken || cookies.refresh_token;
+      const stored = db.refreshTokens.find((entry) => entry.token === refreshToken);
+      if (stored) {
+        revokeSessions(db, (session) => session.id === stored.sessionId);
+        db.refreshTokens = db.refreshTokens.filter((entry) => entry !== stored);
+      }
+      return {
+        ...ok({ success: true, message: "Logged out." }),
+        clearCookies: true,
+      };
+    },
+  },
+  {
+    method: "post",
+    path: "/users/forgot-password",
+    handler: ({ db, body }) => {
+      if (!body.email) {
+        fail(400, "Email is required.");
+      }
+      const user = findUserByEmail(db, body.email);
+      if (user) {
+        // Only the newest link of a user stays valid.
+        db.passwordResets = db.passwordResets.filter(
+          (entry) => entry.userId !== user.id
+        );
+        const token = crypto.randomUUID();
+        db.passwordResets.push({
+          token,
+          userId: user.id,
+          expiresAt: Date.now() + PASSWORD_RESET_TTL_MS,
+        });
+        // The mock has no mail server: the link is logged instead.
+        console.info(
+          `[mock email] Password reset link for ${user.email}: ${window.location.origin}/reset-password/${token}`
+        );
+      }
+      // Same answer for unknown emails, so the endpoint does not reveal accounts.
+      return ok({
+        success: true,
+        message: "If an account exists for that email, we've sent a reset link.",
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/reset-password/:token",
+    handler: ({ db, body, params }) => {
+      const reset = db.passwordResets.find(
+        (entry) => entry.token === params.token
+      );
+      if (!reset || reset.expiresAt <= Date.now()) {
+        fail(400, "This reset link is invalid or has expired.", {
+          code: "invalid_reset_token",
+        });
+      }
+      const password = String(body.password_hash || "");
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        fail(
+          400,
+          `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+        );
+      }
+      const user = db.users.find((entry) => entry.id === reset.userId);
+      if (!user) {
+        fail(400, "This reset link is invalid or has expired.", {
+          code: "invalid_reset_token",
+        });
+      }
+      user.password_hash = password;
+      // Reset links are single use, and a new password signs out other devices.
+      db.passwordResets = db.passwordResets.filter((entry) => entry !== reset);
+      revokeSessions(db, (session) => session.userId === user.id);
+      db.refreshTokens = db.refreshTokens.filter(
+        (entry) => entry.userId !== user.id
+      );
+      return ok({
+        success: true,
+        message: "Your password has been reset. You can now log in.",
+      });
+    },
+  },
+  {
+    method: "put",
+    path: "/users/profile-update",
+    auth: true,
+    handler: ({ db, body, user }) => {
+      if (body.name !== undefined) {
+        const name = String(body.name).trim();
+        if (!name) {
+          fail(400, "Name cannot be empty.");
+        }
+        user.name = name;
+      }
+      if (body.phone !== undefined) {
+        user.phone = String(body.phone).replace(/[\s-]/g, "");
+      }
+      let message = "Profile updated successfully.";
+      if (body.email && body.email.toLowerCase() !== user.email.toLowerCase()) {
+        if (findUserByEmail(db, body.email)) {
+          fail(409, "email already exist");
+        }
+        // The new address is only used once its owner confirms it.
+        user.pending_email = body.email;
+        sendEmailVerification(db, user, body.email);
+        message = `Profile updated. We've sent a verification link to ${body.email}.`;
+      }
+      return ok({ success: true, message, user: toPublicUser(user) });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/verify-email/:token",
+    handler: ({ db, params }) => {
+      const verification = db.emailVerifications.find(
+        (entry) => entry.token === params.token
+      );
+      if (!verification || verification.expiresAt <= Date.now()) {
+        fail(400, "This verification link is invalid or has expired.");
+      }
+      const user = db.users.find((entry) => entry.id === verification.userId);
+      if (!user) {
+        fail(400, "This verification link is invalid or has expired.");
+      }
+      // Someone else may have taken the address since the link was sent.
+      const owner = findUserByEmail(db, verification.email);
+      if (owner && owner !== user) {
+        fail(409, "email already exist");
+      }
+      user.email = verification.email;
+      user.email_verified = true;
+      delete user.pending_email;
+      db.emailVerifications = db.emailVerifications.filter(
+        (entry) => entry !== verification
+      );
+      return ok({
+        success: true,
+        message: "Your email address has been verified.",
+        user: toPublicUser(user),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/resend-verification",
+    auth: true,
+    handler: ({ db, user }) => {
+      // A changed email waits for confirmation even when the current one is verified.
+      const email = user.pending_email || (!user.email_verified && user.email);
+      if (!email) {
+        fail(400, "Your email address is already verified.");
+      }
+      const previous = db.emailVerifications.find(
+        (entry) => entry.userId === user.id
+      );
+      const waitSeconds = previous?.sentAt
+        ? Math.ceil(
+            (previous.sentAt + EMAIL_VERIFICATION_COOLDOWN_SECONDS * 1000 - Date.now()) /
+              1000
+          )
+        : 0;
+      if (waitSeconds > 0) {
+        fail(429, `Please wait ${waitSeconds} seconds before requesting another email.`, {
+          retry_after: waitSeconds,
+        });
+      }
+      sendEmailVerification(db, user, email);
+      return ok({
+        success: true,
+        message: `We've sent a new verification link to ${email}.`,
+        retry_after: EMAIL_VERIFICATION_COOLDOWN_SECONDS,
+      });
+    },
+  },
+  {
+    method: "get",
+    path: "/users/profile",
+    auth: true,
+    handler: ({ user }) =>
+      ok({ success: true, user: toPublicUser(user) }),
+  },
+  {
+    method: "put",
+    path: "/users/change-password",
+    auth: true,
+    handler: ({ body, user }) => {
+      // 400 rather than 401: the session itself is fine, only the form is wrong.
+      if (user.password_hash !== body.current_password) {
+        fail(400, "Your current password is incorrect.");
+      }
+      const password = String(body.new_password || "");
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        fail(
+          400,
+          `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+        );
+      }
+      if (password === user.password_hash) {
+        fail(400, "The new password must be different from the current one.");
+      }
+      user.password_hash = password;
+      return ok({ success: true, message: "Password changed successfully." });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/2fa/setup",
+    auth: true,
+    handler: ({ user }) => {
+      if (user.two_factor_enabled) {
+        fail(400, "Two-factor authentication is already enabled.");
+      }
+      // The secret only becomes active once a code generated from it is confirmed.
+      user.two_factor_pending_secret = generateTotpSecret();
+      return ok({
+        success: true,
+        secret: user.two_factor_pending_secret,
+        otpauth_url: buildOtpAuthUrl(
+          user.two_factor_pending_secret,
+          user.email,
+          TOTP_ISSUER
+        ),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/2fa/enable",
+    auth: true,
+    handler: async ({ body, user }) => {
+      if (!user.two_factor_pending_secret) {
+        fail(400, "Please start the two-factor setup first.");
+      }
+      if (!(await verifyTotp(user.two_factor_pending_secret, body.code))) {
+        fail(400, "Invalid authentication code.");
+      }
+      user.two_factor_secret = user.two_factor_pending_secret;
+      user.two_factor_enabled = true;
+      user.backup_codes = generateBackupCodes();
+      delete user.two_factor_pending_secret;
+      return ok({
+        success: true,
+        message: "Two-factor authentication is now enabled.",
+        // Shown once: only the user keeps a copy.
+        backup_codes: [...user.backup_codes],
+        user: toPublicUser(user),
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/2fa/backup-codes",
+    auth: true,
+    handler: async ({ body, user }) => {
+      if (!user.two_factor_enabled) {
+        fail(400, "Two-factor authentication is not enabled.");
+      }
+      if (!(await checkSecondFactor(user, body.code))) {
+        fail(400, "Invalid authentication code.");
+      }
+      user.backup_codes = generateBackupCodes();
+      return ok({
+        success: true,
+        message: "New backup codes created. The old ones no longer work.",
+        backup_codes: [...user.backup_codes],
+      });
+    },
+  },
+  {
+    method: "post",
+    path: "/users/2fa/disable",
+    auth: true,
+    handler: async ({ body, user }) => {
+      if (user.role === "admin") {
+        fail(403, "Two-factor authentication is required for admin accounts.");
+      }
+      if (user.password_hash !== body.password_hash) {
+        fail(400, "Your password is incorrect.");
+      }
+      if (!(await checkSecondFactor(user, body.code))) {
+        fail(400, "Invalid authentication code.");
+      }
+      user.two_factor_enabled = false;
+      delete user.two_factor_secret;
+      delete user.backup_codes;
+      return ok({
+        success: true,
+        message: "Two-factor authentication has been turned off.",
+        user: toPublicUser(user),
+      });
+    },
+  },
+  {
+    method: "put",
+    path: "/users/avatar",
+    auth: true,
+    handler: ({ body, user }) => {
+      const avatar = String(body.avatar_url || "");
+      if (!avatar.startsWith("data:image/")) {
+        fail(400, "Please upload an image file.");
+      }
+      if (avatar.length > MAX_AVATAR_LENGTH) {
+        fail(413, "The image is too large.");
+      }
+      user.avatar_url = avatar;
+      return ok({
+        success: true,
+        message: "Profile picture updated.",
+        user: toPublicUser(user),
+      });
+    },
+  },
+  {
+    method: "delete",
+    path: "/users/avatar",
+    auth: true,
+    handler: ({ user }) => {
+      delete user.avatar_url;
+      return ok({
+        success: true,
+        message: "Profile picture removed.",
+        user: toPublicUser(user),
+      });
+    },
+  },
+];
+
+export default userRoutes;
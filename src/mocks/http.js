@@ -0,0 +1,56 @@
+// src/mocks/http.js
+// Small helpers shared by the mock route handlers.
+
+/**
+ * @description Thrown by a handler to answer with an error status.
+ * The adapter turns it into the same kind of failure axios produces for a real server.
+ */
+export class MockHttpError extends Error {
+  /**
+   * @param {number} status - The HTTP status code.
+   * @param {string} message - Sent as `data.message`, like the real backend does.
+   * @param {object} [extra] - Additional fields merged into the response body.
+   */
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/**
+ * @description Builds a successful response.
+ * @param {object} data - The response body.
+ * @param {number} [status=200]
+ * @returns {{ status: number, data: object }}
+ */
+export const ok = (data, status = 200) => ({ status, data });
+
+/**
+ * @description Shorthand to throw a `MockHttpError`.
+ * @param {number} status
+ * @param {string} message
+ * @param {object} [extra]
+ */
+export const fail = (status, message, extra) => {
+  throw new MockHttpError(status, message, extra);
+};
+
+// Fields of a user record that must never leave the mock backend.
+const PRIVATE_USER_FIELDS = [
+  "password_hash",
+  "two_factor_secret",
+  "two_factor_pending_secret",
+  "backup_codes",
+];
+
+/**
+ * @description Strips private fields from a user record before sending it to the frontend.
+ * @param {object} user - The database record.
+ * @returns {object}
+ */
+export const toPublicUser = (user) => {
+  const publicFields = { ...user };
+  PRIVATE_USER_FIELDS.forEach((field) => delete publicFields[field]);
+  return publicFields;
+};
@@ -0,0 +1,67 @@
+// src/mocks/jwt.js
+// Issues and checks the tokens of the mock backend. They are real JWTs in shape
+// (header.payload.signature) so `jwtDecode` in AuthContext reads them exactly like
+// the ones from the real API, but the signature is a fixed marker, not a real HMAC.
+import mockSettings from "./settings";
+
+const MOCK_SIGNATURE = "mock-signature";
+
+/**
+ * @description Encodes an object as a base64url JSON segment.
+ * @param {object} value
+ * @returns {string}
+ */
+const encodeSegment = (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+/**
+ * @description Decodes a base64url JSON segment back into an object.
+ * @param {string} segment
+ * @returns {object}
+ */
+const decodeSegment = (segment) => {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+/**
+ * @description Creates a signed-looking access token for a mock user.
+ * @param {object} claims - Extra claims, at least `sub` (the user id).
+ * @param {number} [ttlSeconds] - Lifetime of the token; defaults to the mock settings.
+ * @returns {string} The encoded token.
+ */
+export const signMockToken = (claims, ttlSeconds = mockSettings.tokenTtlSeconds) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = { alg: "HS256", typ: "JWT" };
+  const payload = { ...claims, iat: issuedAt, exp: issuedAt + ttlSeconds };
+  return `${encodeSegment(header)}.${encodeSegment(payload)}.${MOCK_SIGNATURE}`;
+};
+
+/**
+ * @description Decodes and checks a token issued by `signMockToken`.
+ * @param {string} token - The raw token from the Authorization header.
+ * @param {number} [generation=0] - Tokens from an older generation (see `mockControls.expireSessions`) are treated as expired.
+ * @returns {{ payload: object|null, reason: string|null }} The claims, or the reason the token was rejected.
+ */
+export const verifyMockToken = (token, generation = 0) => {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3 || parts[2] !== MOCK_SIGNATURE) {
+    return { payload: null, reason: "Invalid token." };
+  }
+  let payload;
+  try {
+    payload = decodeSegment(parts[1]);
+  } catch {
+    return { payload: null, reason: "Invalid token." };
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp <= now || (payload.gen ?? 0) < generation) {
+    return { payload: null, reason: "Token expired." };
+  }
+  return { payload, reason: null };
+};
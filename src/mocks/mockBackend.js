@@ -0,0 +1,311 @@
+// src/mocks/mockBackend.js
+// A local stand-in for the Protein Point API. It plugs into the shared
+// `apiClient` as an axios adapter, so services, interceptors and components run
+// unchanged; only the network call is replaced by the handlers in `./handlers`.
+//
+// Enable it with `VITE_USE_MOCK_API=true` (see `.env.example`). While it is
+// active, `window.__proteinPointMock` exposes `mockControls` for manual testing.
+import { AxiosError } from "axios";
+import routes from "./handlers";
+import { getDb, saveDb, resetDb } from "./db";
+import { verifyMockToken } from "./jwt";
+import { currentTotp } from "./totp";
+import { readCookies, writeCookies, moveSessionToCookies } from "./cookies";
+import { touchSession } from "./handlers/sessions";
+import { settleProcessingPayments } from "./handlers/payments";
+import { PICKUP_STATUSES } from "../utils/pickup";
+import { CASH_ON_DELIVERY, PAYMENT_STATUSES } from "../utils/payments";
+import { MockHttpError } from "./http";
+import mockSettings from "./settings";
+
+// A one-shot failure queued through `mockControls.failNextRequest`.
+let queuedFailure = null;
+
+/**
+ * @description Matches a route path such as `/cart/update/:id` against a request path.
+ * @param {string} pattern - The route path.
+ * @param {string} path - The request path without query string.
+ * @returns {object|null} The extracted params, or null when the path does not match.
+ */
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split("/").filter(Boolean);
+  const pathParts = path.split("/").filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+  const params = {};
+  for (let index = 0; index < patternParts.length; index += 1) {
+    const expected = patternParts[index];
+    const actual = decodeURIComponent(pathParts[index]);
+    if (expected.startsWith(":")) {
+      params[expected.slice(1)] = actual;
+    } else if (expected !== actual) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * @description Waits for the configured latency, with +/- 50% jitter.
+ * @returns {Promise<void>}
+ */
+const simulateLatency = () => {
+  const base = mockSettings.latencyMs;
+  const delay = base > 0 ? base * (0.5 + Math.random()) : 0;
+  return new Promise((resolve) => setTimeout(resolve, delay));
+};
+
+/**
+ * @description Splits the request URL into a path and query parameters.
+ * @param {object} config - The axios request config.
+ * @returns {{ path: string, query: object }}
+ */
+const parseUrl = (config) => {
+  const [rawPath, search = ""] = (config.url || "").split("?");
+  // Absolute URLs (not used by the services today) are reduced to their path.
+  const path = /^https?:\/\//.test(rawPath) ? new URL(rawPath).pathname : rawPath;
+  const query = { ...Object.fromEntries(new URLSearchParams(search)), ...config.params };
+  return { path, query };
+};
+
+/**
+ * @description Reads the JSON body that axios already serialized.
+ * @param {object} config
+ * @returns {object}
+ */
+const parseBody = (config) => {
+  if (!config.data) return {};
+  if (typeof config.data !== "string") return config.data;
+  try {
+    return JSON.parse(config.data);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * @description Resolves the user behind the Authorization header of a request,
+ * or behind the access token cookie in cookie session mode.
+ * @param {object} db
+ * @param {object} config
+ * @param {object} cookies - The cookies sent with the request.
+ * @returns {object} The user record.
+ */
+const authenticate = (db, config, cookies) => {
+  const header = config.headers?.Authorization || config.headers?.authorization;
+  const token = header?.startsWith("Bearer ")
+    ? header.slice(7)
+    : cookies.access_token;
+  if (!token) {
+    throw new MockHttpError(401, "Not authorized, no token.");
+  }
+  const { payload, reason } = verifyMockToken(token, db.tokenGeneration);
+  if (!payload) {
+    throw new MockHttpError(401, reason);
+  }
+  const user = db.users.find((entry) => entry.id === payload.sub);
+  if (!user) {
+    throw new MockHttpError(401, "User no longer exists.");
+  }
+  // A revoked device session rejects its tokens at once, even unexpired ones.
+  if (payload.sid && !touchSession(db, payload.sid)) {
+    throw new MockHttpError(401, "This session has been revoked.", {
+      code: "session_revoked",
+    });
+  }
+  return { user, tokenPayload: payload };
+};
+
+/**
+ * @description Runs the matching route and returns `{ status, data }`.
+ * @param {object} config - The axios request config.
+ * @returns {{ status: number, data: object }}
+ */
+const handleRequest = async (config) => {
+  const method = (config.method || "get").toLowerCase();
+  const { path, query } = parseUrl(config);
+
+  if (queuedFailure && (!queuedFailure.path || path.startsWith(queuedFailure.path))) {
+    const failure = queuedFailure;
+    queuedFailure = null;
+    throw new MockHttpError(failure.status, failure.message);
+  }
+  if (mockSettings.errorRate > 0 && Math.random() < mockSettings.errorRate) {
+    throw new MockHttpError(500, "Simulated server error. Please try again.");
+  }
+
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const params = matchPath(route.path, path);
+    if (!params) continue;
+    const db = getDb();
+    // `withCredentials` is how the cookie session mode talks to the backend.
+    const cookies = config.withCredentials ? readCookies() : {};
+    const context = {
+      db,
+      params,
+      query,
+      body: parseBody(config),
+      cookies,
+      user: null,
+    };
+    if (route.auth) {
+      Object.assign(context, authenticate(db, config, cookies));
+      if (route.roles && !route.roles.includes(context.user.role)) {
+        throw new MockHttpError(403, "You do not have permission to do this.");
+      }
+    }
+    const result = await route.handler(context);
+    saveDb();
+    if (config.withCredentials) {
+      // Handlers set `clearCookies` to end a cookie session (logout).
+      if (result.clearCookies) {
+        writeCookies({ access_token: null, refresh_token: null });
+      }
+      // New sessions are handed out as cookies instead of in the body.
+      if (result.data?.user?.token) {
+        return { ...result, data: moveSessionToCookies(result.data) };
+      }
+    }
+    return result;
+  }
+  throw new MockHttpError(404, `No mock route for ${method.toUpperCase()} ${path}.`);
+};
+
+/**
+ * @description The axios adapter: answers the request from the mock handlers.
+ * @param {object} config - The axios request config.
+ * @returns {Promise<object>} An axios response, or a rejected `AxiosError`.
+ */
+const mockAdapter = async (config) => {
+  await simulateLatency();
+  let status;
+  let data;
+  try {
+    ({ status, data } = await handleRequest(config));
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) {
+      // A bug in a handler should look like a server crash, not break the app.
+      console.error("Mock backend handler failed:", error);
+    }
+    status = error.status || 500;
+    data = { success: false, message: error.message, ...(error.extra || {}) };
+  }
+  // The handlers share objects with the database; send copies like a real network would.
+  const response = {
+    data: JSON.parse(JSON.stringify(data)),
+    status,
+    statusText: status < 400 ? "OK" : "Error",
+    headers: { "content-type": "application/json" },
+    config,
+    request: {},
+  };
+  if (status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+};
+
+/**
+ * @description Runtime controls to simulate latency, errors and token expiry.
+ */
+export const mockControls = {
+  /** @param {number} ms - Average response delay. */
+  setLatency: (ms) => {
+    mockSettings.latencyMs = ms;
+  },
+  /** @param {number} rate - Probability (0..1) of a simulated 500 on any request. */
+  setErrorRate: (rate) => {
+    mockSettings.errorRate = rate;
+  },
+  /** @param {number} seconds - Lifetime of tokens issued from now on. */
+  setTokenTtl: (seconds) => {
+    mockSettings.tokenTtlSeconds = seconds;
+  },
+  /**
+   * @description Makes the next request (optionally only one under `path`) fail.
+   * @param {{ status?: number, message?: string, path?: string }} [failure]
+   */
+  failNextRequest: ({ status = 500, message = "Simulated failure.", path } = {}) => {
+    queuedFailure = { status, message, path };
+  },
+  /** @description Invalidates every access token issued so far, like a JWT expiring. */
+  expireSessions: () => {
+    getDb().tokenGeneration += 1;
+    saveDb();
+  },
+  /** @description Invalidates every refresh token, so the next refresh fails. */
+  revokeRefreshTokens: () => {
+    getDb().refreshTokens = [];
+    saveDb();
+  },
+  /**
+   * @description The current two-factor code of an account (enrolled or in setup),
+   * so the second login step can be tested without an authenticator app.
+   * @param {string} email
+   * @returns {Promise<string|null>}
+   */
+  getTotpCode: (email) => {
+    const user = getDb().users.find((entry) => entry.email === email);
+    const secret = user?.two_factor_secret || user?.two_factor_pending_secret;
+    return secret ? currentTotp(secret) : Promise.resolve(null);
+  },
+  /**
+   * @description Settles the payments left "processing" by the mock gateway, like
+   * the bank confirming or declining them later.
+   * @param {"success"|"failure"} [outcome="success"]
+   * @returns {number} How many payments were settled.
+   */
+  settlePayments: (outcome = "success") => {
+    const settled = settleProcessingPayments(getDb(), outcome);
+    saveDb();
+    return settled;
+  },
+  /**
+   * @description Moves a click & collect order on, as the store staff would: packed
+   * and waiting at the counter ("ready"), or handed over ("collected").
+   * @param {number} orderId
+   * @param {"ready"|"collected"} [status="ready"]
+   * @returns {boolean} False when there is no such click & collect order.
+   */
+  setPickupStatus: (orderId, status = PICKUP_STATUSES.READY) => {
+    const order = getDb().orders.find((entry) => entry.id === Number(orderId));
+    if (!order?.pickup) return false;
+    order.pickup.status = status;
+    if (status === PICKUP_STATUSES.READY) {
+      order.pickup.ready_at = new Date().toISOString();
+    }
+    // Cash is taken at the counter.
+    if (status === PICKUP_STATUSES.COLLECTED && order.payment?.method === CASH_ON_DELIVERY) {
+      order.payment = {
+        ...order.payment,
+        status: PAYMENT_STATUSES.PAID,
+        paid_at: new Date().toISOString(),
+      };
+    }
+    saveDb();
+    return true;
+  },
+  /** @description Restores the seed data. */
+  reset: () => {
+    queuedFailure = null;
+    resetDb();
+  },
+};
+
+/**
+ * @description Routes every request of `client` to the mock backend.
+ * @param {import("axios").AxiosInstance} client - The shared API client.
+ */
+export const installMockBackend = (client) => {
+  client.defaults.adapter = mockAdapter;
+  window.__proteinPointMock = mockControls;
+  console.info(
+    "Mock backend enabled. Demo accounts: admin@proteinpoint.in / Admin@123, seller@proteinpoint.in / Seller@123, customer@proteinpoint.in / Customer@123."
+  );
+};
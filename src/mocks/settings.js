@@ -0,0 +1,34 @@
+// src/mocks/settings.js
+// Runtime knobs of the mock backend. The defaults come from the Vite environment
+// and can be changed at runtime through `mockControls` (see mockBackend.js).
+
+/**
+ * @description Reads a numeric environment variable, falling back when it is missing or invalid.
+ * @param {string|undefined} value - The raw value from `import.meta.env`.
+ * @param {number} fallback - The value used when `value` is not a number.
+ * @returns {number}
+ */
+const readNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === "" || Number.isNaN(parsed)
+    ? fallback
+    : parsed;
+};
+
+const mockSettings = {
+  // Average delay (ms) added to every response. Each response gets +/- 50% jitter.
+  latencyMs: readNumber(import.meta.env.VITE_MOCK_LATENCY_MS, 300),
+  // Probability (0..1) that any request fails with a simulated 500.
+  errorRate: readNumber(import.meta.env.VITE_MOCK_ERROR_RATE, 0),
+  // Lifetime of the access tokens issued by the mock `/users/login` endpoint.
+  tokenTtlSeconds: readNumber(import.meta.env.VITE_MOCK_TOKEN_TTL_SECONDS, 3600),
+  // Lifetime of the refresh tokens (default: 7 days).
+  refreshTtlSeconds: readNumber(
+    import.meta.env.VITE_MOCK_REFRESH_TTL_SECONDS,
+    7 * 24 * 3600
+  ),
+  // Keep the mock database in localStorage so registrations and orders survive reloads.
+  persist: import.meta.env.VITE_MOCK_PERSIST !== "false",
+};
+
+export default mockSettings;
@@ -0,0 +1,114 @@
+// src/mocks/totp.js
+// Time-based one-time passwords (RFC 6238) for the two-factor login of the mock
+// backend. The codes are real, so any authenticator app works against the mock.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+// Codes change every 30 seconds and have 6 digits, the defaults of authenticator apps.
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * @description Encodes bytes as base32 (the format authenticator apps expect for secrets).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const encodeBase32 = (bytes) => {
+  let bits = "";
+  bytes.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+/**
+ * @description Decodes a base32 secret, ignoring spaces, padding and case.
+ * @param {string} secret
+ * @returns {Uint8Array}
+ */
+const decodeBase32 = (secret) => {
+  const bits = secret
+    .toUpperCase()
+    .replace(/[\s=]/g, "")
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * @description Creates a random 160-bit secret.
+ * @returns {string} The secret in base32.
+ */
+export const generateTotpSecret = () =>
+  encodeBase32(crypto.getRandomValues(new Uint8Array(20)));
+
+/**
+ * @description Builds the `otpauth://` URL that authenticator apps read from the QR code.
+ * @param {string} secret
+ * @param {string} account - Shown in the app, usually the email.
+ * @param {string} issuer - The name of the service.
+ * @returns {string}
+ */
+export const buildOtpAuthUrl = (secret, account, issuer) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+/**
+ * @description Computes the code of one time step (HOTP with HMAC-SHA1).
+ * @param {string} secret - The base32 secret.
+ * @param {number} counter - The time step.
+ * @returns {Promise<string>}
+ */
+const generateCode = async (secret, counter) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    decodeBase32(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"]
+  );
+  // The counter as an 8-byte big-endian number.
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter % 2 ** 32);
+  const hmac = new Uint8Array(await crypto.subtle.sign("HMAC", key, message));
+  // Dynamic truncation: the last nibble picks 4 bytes of the HMAC.
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * @description Checks a code, accepting the previous and next time step for clock drift.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code typed by the user.
+ * @returns {Promise<boolean>}
+ */
+export const verifyTotp = async (secret, code) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return false;
+  const counter = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (const drift of [-1, 0, 1]) {
+    if ((await generateCode(secret, counter + drift)) === normalized) return true;
+  }
+  return false;
+};
+
+/**
+ * @description The current code of a secret (used by `mockControls` for manual testing).
+ * @param {string} secret
+ * @returns {Promise<string>}
+ */
+export const currentTotp = (secret) =>
+  generateCode(secret, Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS));
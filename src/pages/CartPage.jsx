@@ -2,142 +2,119 @@
  * @fileoverview CartPage Component
  *
  * This file defines the React component for the shopping cart page.
- * It manages state, interacts with the cart API service, and displays items.
+ * It reads the cart from CartContext, changes it through the context's actions, and displays items.
  */
 // Import the core React library.
 import React, {
-  // useState: Hook to manage data that changes (like cart items).
+  // useState: Hook to manage data that changes (like error messages).
   useState,
-  // useEffect: Hook to run code after rendering (like fetching data).
-  useEffect,
-  // useContext: Hook to access shared data (like user info).
+  // useContext: Hook to access shared data (like user info and the cart).
   useContext,
 } from "react";
 // Import the hook to move between different pages in the application.
 import {
   // useNavigate: Hook that provides the navigation function.
   useNavigate,
+  // Link: Navigates without reloading the page.
+  Link,
 } from "react-router-dom";
 // Import the shared authentication context.
 import AuthContext from "../context/AuthContext";
+// Import the shared cart context (the Navbar badge reads the same cart).
+import CartContext from "../context/CartContext";
+// Import the shared quantity control (it stops at the stock and per-order limits).
+import QuantitySelector from "../components/common/QuantitySelector";
+// Import the price breakdown with the promo code box.
+import CartSummary from "../components/cart/CartSummary";
+// Import the GST note shown next to each price.
+import { describePriceTax } from "../utils/gst";
 // Import icons for the UI.
 import {
   // FaShoppingCart: Icon for the shopping cart.
   FaShoppingCart,
   // FaTrashAlt: Icon for deleting an item.
   FaTrashAlt,
-  // FaPlus: Icon for increasing quantity.
-  FaPlus,
-  // FaMinus: Icon for decreasing quantity.
-  FaMinus,
 } from "react-icons/fa";
-// Import the service functions for talking to the cart API.
-import cartService from "../services/cartService";
 /**
  * @description Renders the shopping cart page, displaying all items and providing options to manage them.
  */
 // Define the main CartPage component.
 const CartPage = () => {
-  // State to hold the cart data (null until fetched).
-  const [cart, setCart] = useState(null);
-  // State to show if data is being fetched. Starts as true.
-  const [loading, setLoading] = useState(true);
-  // State to hold any error message. Starts as null.
-  const [error, setError] = useState(null);
-  // Get the current logged-in user details from AuthContext.
-  const { currentUser } = useContext(AuthContext);
+  // The cart, shared with the rest of the app through CartContext.
+  const {
+    cart,
+    loading,
+    error,
+    updateCartItem,
+    removeCartItem,
+    // Errors of lines whose change was rejected (shown under the line).
+    lineErrors,
+    // Lines holding more than the current stock, and the actions to check and fix them.
+    stockIssues,
+    validateCartStock,
+    applyStockLimits,
+    // Guests see their browser-kept cart and log in to check out.
+    isGuestCart,
+  } = useContext(CartContext);
+  // `isEmailVerified` from AuthContext: orders are only accepted from confirmed email addresses.
+  const { isEmailVerified } = useContext(AuthContext);
   // Get the navigation function.
   const navigate = useNavigate();
-  // Get the user's token (needed for API calls). Safe check for currentUser.
-  const token = currentUser?.token;
-  /**
-   * @description Asynchronously fetches the cart items from the backend API.
-   */
-  const fetchCartItems = async () => {
-    try {
-      // We set loading to true to show a loading state while fetching data.
-      setLoading(true);
-      // Clear any previous errors.
-      setError(null);
-      // Call the service layer to get the cart data using the user's token.
-      const data = await cartService.getCartItems(token);
-      // Set the main cart state (assuming the API returns { cart: ... }).
-      setCart(data?.cart);
-    } catch (err) {
-      // Catch any errors and set the error state.
-      setError(err.message || "An error occurred while fetching cart items.");
-    } finally {
-      // Set loading to false once the fetching is complete (always runs).
-      setLoading(false);
-    }
-  };
-  // We use a useEffect hook to fetch the cart data when the component mounts.
-  // The dependency array `[currentUser]` ensures this runs when the user's auth status changes.
-  useEffect(() => {
-    // Only try to fetch if a user is logged in.
-    if (currentUser) {
-      // Start the fetching process.
-      fetchCartItems();
-    } else {
-      // If no user, stop loading and show an error/prompt.
-      setLoading(false);
-      setError("Please log in to view your cart.");
-    }
-    // Effect runs when 'currentUser' changes.
-  }, [currentUser]);
+  // Error shown next to the checkout button, so the cart itself stays visible.
+  const [checkoutError, setCheckoutError] = useState(null);
+  // True while the cart is checked against the stock before the checkout opens.
+  const [checkingStock, setCheckingStock] = useState(false);
   /**
    * @description Handles updating the quantity of a cart item.
    * @param {string} cartItemId - The ID of the cart item to update.
    * @param {number} newQuantity - The new quantity.
    */
-  const handleUpdateQuantity = async (cartItemId, newQuantity) => {
-    try {
-      // If the new quantity is zero or less, we'll remove the item.
-      if (newQuantity <= 0) {
-        // Call the service to remove the item.
-        await cartService.removeItem(cartItemId, token);
-      } else {
-        // Call the service to update the item's quantity.
-        await cartService.updateItem(cartItemId, newQuantity, token);
-      }
-      // After a successful update, we re-fetch the cart to reflect the changes.
-      await fetchCartItems();
-    } catch (err) {
-      // Set error state if the update fails.
-      setError(err.message || "Failed to update cart item.");
-    }
+  const handleUpdateQuantity = (cartItemId, newQuantity) => {
+    // The new quantity and the totals show at once; quick clicks are sent as one
+    // request. The context removes the item when the new quantity is zero or less,
+    // and rolls the line back (with an error under it) if the backend refuses.
+    updateCartItem(cartItemId, newQuantity);
   };
   /**
    * @description Handles removing an item from the cart.
    * @param {string} cartItemId - The ID of the cart item to remove.
    */
-  const handleRemoveItem = async (cartItemId) => {
-    try {
-      // Call the service to remove the item from the cart.
-      await cartService.removeItem(cartItemId, token);
-      // Re-fetch the cart items to show the updated cart.
-      await fetchCartItems();
-    } catch (err) {
-      // Set error state if removal fails.
-      setError(err.message || "Failed to remove cart item.");
-    }
+  const handleRemoveItem = (cartItemId) => {
+    // The line disappears at once and comes back if the removal fails.
+    removeCartItem(cartItemId);
+  };
+  /**
+   * @description Lowers the lines flagged by the stock check to what is available.
+   */
+  const handleApplyStockLimits = async () => {
+    setCheckoutError(null);
+    await applyStockLimits();
   };
   /**
-   * @description Handles the checkout process.
+   * @description Opens the checkout (address, delivery, payment and review steps).
    */
   const handleCheckout = async () => {
     try {
-      // Call the service to complete the transaction.
-      await cartService.checkout(token);
-      // After successful checkout, navigate to the order history page or home page.
-      navigate("/orders"); // Assuming you will have an orders page.
+      setCheckoutError(null);
+      setCheckingStock(true);
+      // Check the cart against the current stock first: it may have dropped since
+      // the items were added. Flagged lines show a warning and can be lowered.
+      const stockIssueCount = Object.keys(await validateCartStock()).length;
+      if (stockIssueCount === 0) {
+        navigate("/checkout");
+      }
     } catch (err) {
-      // Set error state if checkout fails.
-      setError(err.message || "Failed to checkout. Please try again.");
+      // Show the error below the button, keeping the cart on screen.
+      setCheckoutError(err.message || "Failed to check your cart. Please try again.");
+    } finally {
+      setCheckingStock(false);
     }
   };
-  // Render the loading state.
-  if (loading) {
+  // How many lines hold more than can be ordered now.
+  const stockIssueCount = Object.keys(stockIssues).length;
+  // Render the loading state (also while the first load has not started yet).
+  // Once the cart is on screen it stays there: changes never blank the page.
+  if (!cart && (loading || !error)) {
     // If loading, show a centered Bootstrap spinner.
     return (
       // Flex container to center content horizontally.
@@ -150,8 +127,8 @@ const CartPage = () => {
       </div>
     );
   }
-  // Render the error state.
-  if (error) {
+  // Render the error state (the cart could not be loaded at all).
+  if (!cart && error) {
     // If an error occurred, show a centered Bootstrap danger alert.
     return (
       // Alert container with danger styling.
@@ -188,15 +165,6 @@ const CartPage = () => {
       </div>
     );
   }
-  // Calculate the total amount of the cart.
-  const totalAmount = cart.items.reduce(
-    // 'acc' is the accumulator (running total), 'item' is the current cart item.
-    (acc, item) =>
-      // Add the item's extended price (quantity * price) to the total.
-      acc + item.quantity * item.product.price,
-    // Initial value of the accumulator is 0.
-    0
-  );
   // Main rendering block for a non-empty cart.
   return (
     // Main page container with margins.
@@ -244,38 +212,20 @@ const CartPage = () => {
                         {/* Product name heading. */}
                         <h5 className="card-title mb-1">{item.product.name}</h5>
                         {/* Individual product price, muted text. */}
-                        <p className="text-muted mb-2">₹{item.product.price}</p>
-                        {/* // Flex container for quantity controls. */}
-                        <div className="d-flex align-items-center">
-                          {/* Decrease Quantity button. */}
-                          <button
-                            // Calls handler: decreases quantity by 1. If quantity becomes 0, it will be removed.
-                            onClick={() =>
-                              handleUpdateQuantity(item.id, item.quantity - 1)
-                            }
-                            // Small, outline button, rounded for circular look.
-                            className="btn btn-sm btn-outline-secondary me-2 rounded-circle"
-                          >
-                            {/* Minus icon. */}
-                            <FaMinus />
-                          </button>
-                          {/* Quantity display badge. */}
-                          <span className="badge bg-secondary rounded-pill px-3 py-2 me-2">
-                            {item.quantity}
-                          </span>
-                          {/* Increase Quantity button. */}
-                          <button
-                            // Calls handler: increases quantity by 1.
-                            onClick={() =>
-                              handleUpdateQuantity(item.id, item.quantity + 1)
-                            }
-                            // Small, outline button, rounded for circular look.
-                            className="btn btn-sm btn-outline-secondary rounded-circle"
-                          >
-                            {/* Plus icon. */}
-                            <FaPlus />
-                          </button>
-                        </div>
+                        <p className="text-muted mb-2">
+                          ₹{item.product.price}{" "}
+                          <small>({describePriceTax(item.product)})</small>
+                        </p>
+                        {/* Quantity control, limited to the stock and the per-order maximum.
+                            Lines are removed with the Remove button. */}
+                        <QuantitySelector
+                          product={item.product}
+                          value={item.quantity}
+                          onChange={(quantity) =>
+                            handleUpdateQuantity(item.id, quantity)
+                          }
+                          size="sm"
+                        />
                       </div>
                       {/* // Column for subtotal and remove button (4 columns, right-aligned text). */}
                       <div className="col-md-4 text-end">
@@ -297,6 +247,18 @@ const CartPage = () => {
                         </button>
                       </div>
                     </div>
+                    {/* The stock dropped below the quantity in the cart (found by the check before checkout). */}
+                    {stockIssues[item.id] && (
+                      <div className="alert alert-warning py-1 px-2 mt-2 mb-0 small" role="alert">
+                        {stockIssues[item.id].message}
+                      </div>
+                    )}
+                    {/* Why the last change to this line was undone (e.g. not enough stock). */}
+                    {lineErrors[item.id] && (
+                      <div className="alert alert-danger py-1 px-2 mt-2 mb-0 small" role="alert">
+                        {lineErrors[item.id]}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -309,43 +271,83 @@ const CartPage = () => {
                 <div className="card-body">
                   {/* Summary title. */}
                   <h5 className="card-title">Cart Summary</h5>
-                  {/* List group for details like subtotal and shipping. */}
-                  <ul className="list-group list-group-flush">
-                    {/* List item for Subtotal. */}
-                    <li className="list-group-item d-flex justify-content-between">
-                      {/* Subtotal label. */}
-                      <span>Subtotal:</span>
-                      {/* Subtotal value, bolded, fixed to 2 decimals. */}
-                      <strong>₹{totalAmount.toFixed(2)}</strong>
-                    </li>
-                    {/* List item for Shipping. */}
-                    <li className="list-group-item d-flex justify-content-between">
-                      {/* Shipping label. */}
-                      <span>Shipping:</span>
-                      {/* Shipping value (hardcoded to Free). */}
-                      <span>Free</span>
-                    </li>
-                    {/* List item for Total (bolded). */}
-                    <li className="list-group-item d-flex justify-content-between fw-bold">
-                      {/* Total label. */}
-                      <span>Total:</span>
-                      {/* Total value (same as subtotal here). */}
-                      <span>₹{totalAmount.toFixed(2)}</span>
-                    </li>
-                  </ul>
-                  {/* Grid wrapper for the checkout button to make it full width. */}
-                  <div className="d-grid mt-3">
-                    {/* Checkout button. */}
-                    <button
-                      // Calls the checkout handler.
-                      onClick={handleCheckout}
-                      // Large, success (green) button.
-                      className="btn btn-success btn-lg"
-                    >
-                      purchase
-                      {/* // Button text.Proceed to Checkout */}
-                    </button>
-                  </div>
+                  {/* Subtotal, promo code discount, shipping and total, with the delivery options and the promo code box. */}
+                  <CartSummary />
+                  {isGuestCart ? (
+                    // Guests log in (or sign up) first; their cart comes along.
+                    <>
+                      <p className="text-muted small mt-3 mb-2">
+                        Log in to choose a shipping address and place your
+                        order. Your cart will be kept.
+                      </p>
+                      <div className="d-grid gap-2">
+                        <Link
+                          to="/login"
+                          state={{ from: { pathname: "/carts" } }}
+                          className="btn btn-success btn-lg"
+                        >
+                          Log in to check out
+                        </Link>
+                        <Link
+                          to="/register"
+                          state={{ from: { pathname: "/carts" } }}
+                          className="btn btn-outline-secondary"
+                        >
+                          Create an account
+                        </Link>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      {/* Checkout waits until the email address is confirmed. */}
+                      {!isEmailVerified && (
+                        <div className="alert alert-warning py-2 mt-3" role="alert">
+                          Please verify your email address before placing an
+                          order.{" "}
+                          <Link to="/verify-email" state={{ from: "/carts" }}>
+                            Resend the link
+                          </Link>
+                        </div>
+                      )}
+                      {/* Lines flagged by the stock check (here or at checkout). */}
+                      {stockIssueCount > 0 && (
+                        <div className="alert alert-warning py-2 mt-3" role="alert">
+                          {stockIssueCount === 1
+                            ? "One item in your cart is no longer available in the quantity you chose."
+                            : `${stockIssueCount} items in your cart are no longer available in the quantities you chose.`}
+                          {/* One click lowers the flagged lines to what is available. */}
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-outline-dark d-block mt-2"
+                            onClick={handleApplyStockLimits}
+                          >
+                            Update my cart to the available stock
+                          </button>
+                        </div>
+                      )}
+                      {/* Checkout error (e.g. the cart could not be checked). */}
+                      {checkoutError && (
+                        <div className="alert alert-danger py-2 mt-3" role="alert">
+                          {checkoutError}
+                        </div>
+                      )}
+                      {/* Grid wrapper for the checkout button to make it full width. */}
+                      <div className="d-grid mt-3">
+                        {/* Checkout button. */}
+                        <button
+                          // Calls the checkout handler.
+                          onClick={handleCheckout}
+                          // Large, success (green) button.
+                          className="btn btn-success btn-lg"
+                          // Disabled until the email is verified.
+                          disabled={!isEmailVerified || checkingStock}
+                        >
+                          {/* Button text. */}
+                          {checkingStock ? "Checking your cart..." : "Proceed to Checkout"}
+                        </button>
+                      </div>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
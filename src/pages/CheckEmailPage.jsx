@@ -0,0 +1,160 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import {
+  FaEnvelopeOpenText,
+  FaPaperPlane,
+  FaSpinner,
+  FaCheckCircle,
+} from "react-icons/fa";
+import AuthContext from "../context/AuthContext";
+import "../styles/LoginPage.css"; // Shares the look of the login page.
+
+// Seconds to wait between two verification emails (the backend enforces its own limit too).
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * @description The "check your inbox" screen shown after signing up. It explains
+ * that a verification link was sent, lets the user request it again (with a cooldown)
+ * and notices when the address got confirmed, also from another tab or device.
+ */
+const CheckEmailPage = () => {
+  const { currentUser, isEmailVerified, resendVerificationEmail, reloadCurrentUser } =
+    useContext(AuthContext);
+  const location = useLocation();
+  // The page the user was heading to before signing up, and whether an email was just sent.
+  const from = location.state?.from || "/home";
+  // Seconds left before the link can be sent again.
+  const [cooldown, setCooldown] = useState(
+    location.state?.justSent ? RESEND_COOLDOWN_SECONDS : 0
+  );
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [checking, setChecking] = useState(false);
+  // A changed email waits in `pending_email`; otherwise the account email is the one to confirm.
+  const email = currentUser?.pending_email || currentUser?.email;
+
+  // Counts the cooldown down once per second.
+  useEffect(() => {
+    if (cooldown <= 0) return undefined;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  /**
+   * @description Sends the verification link again and restarts the cooldown.
+   * When the backend says it is too soon, its `retry_after` drives the countdown.
+   */
+  const handleResend = async () => {
+    setSending(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const data = await resendVerificationEmail();
+      setMessage(data.message || `We've sent a new link to ${email}.`);
+      setCooldown(data.retry_after || RESEND_COOLDOWN_SECONDS);
+    } catch (err) {
+      setError(err.message || "Could not send the email. Please try again.");
+      if (err.data?.retry_after) setCooldown(err.data.retry_after);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // For links opened on another device: asks the backend whether the email is confirmed now.
+  const handleCheckAgain = async () => {
+    setChecking(true);
+    setError(null);
+    try {
+      const user = await reloadCurrentUser();
+      if (!user.email_verified) {
+        setError("Your email address is not verified yet.");
+      }
+    } catch (err) {
+      setError(err.message || "Could not check your account. Please try again.");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="login-page-container d-flex flex-column justify-content-center align-items-center vh-100 position-relative text-white overflow-hidden">
+      {/* Dynamic Floating Shapes Background */}
+      <div className="animated-shapes"></div>
+      <div className="login-panel p-5 rounded-4 shadow-lg animate__fadeInUp text-center">
+        {isEmailVerified && !currentUser?.pending_email ? (
+          <>
+            <FaCheckCircle size={48} className="text-success mb-3" />
+            <h2 className="fw-bold mb-3" style={{ color: "#351804" }}>
+              Email verified
+            </h2>
+            <p className="text-muted">
+              Thanks for confirming your address. You can now place orders.
+            </p>
+            <Link to={from} className="btn btn-primary rounded-pill fw-bold px-4">
+              Continue shopping
+            </Link>
+          </>
+        ) : (
+          <>
+            <FaEnvelopeOpenText size={48} className="mb-3" style={{ color: "#351804" }} />
+            <h2 className="fw-bold mb-3" style={{ color: "#351804" }}>
+              Check your inbox
+            </h2>
+            <p className="text-muted">
+              We've sent a verification link to <strong>{email}</strong>. Open it
+              to confirm your address; you need a verified email to place orders.
+            </p>
+            {message && (
+              <div className="alert alert-success" role="alert">
+                {message}
+              </div>
+            )}
+            {error && (
+              <div className="alert alert-danger animate__shake" role="alert">
+                {error}
+              </div>
+            )}
+            <div className="d-grid gap-2 mt-4">
+              {/* Resend button, locked while the cooldown runs */}
+              <button
+                type="button"
+                className="btn btn-primary rounded-pill fw-bold"
+                onClick={handleResend}
+                disabled={sending || cooldown > 0}
+              >
+                {sending ? (
+                  <>
+                    <FaSpinner className="spinner me-2" />
+                    Sending...
+                  </>
+                ) : (
+                  <>
+                    <FaPaperPlane className="me-2" />
+                    {cooldown > 0
+                      ? `Resend email in ${cooldown}s`
+                      : "Resend verification email"}
+                  </>
+                )}
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-secondary rounded-pill"
+                onClick={handleCheckAgain}
+                disabled={checking}
+              >
+                {checking ? "Checking..." : "I've verified my email"}
+              </button>
+            </div>
+            <div className="mt-4">
+              <Link to={from} className="small">
+                Continue shopping for now
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+export default CheckEmailPage;
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview CheckoutPage Component
+ *
+ * The checkout wizard: address, delivery method, payment method and review.
+ * Every step is checked before the next one opens, the choices survive a page
+ * refresh (useCheckoutState), and the order is only placed from the review step.
+ */
+import React, { useContext, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { FaLock } from "react-icons/fa";
+import AuthContext from "../context/AuthContext";
+import CartContext from "../context/CartContext";
+import addressService from "../services/addressService";
+import useCheckoutState from "../hooks/useCheckoutState";
+import {
+  CASH_ON_DELIVERY,
+  checkCashOnDelivery,
+  findPaymentMethod,
+} from "../utils/payments";
+import { SHIPPING_METHODS } from "../utils/shipping";
+import { findPickupSlot, getPickupSlots } from "../utils/pickup";
+import CheckoutStepper from "../components/checkout/CheckoutStepper";
+import AddressStep from "../components/checkout/AddressStep";
+import DeliveryStep from "../components/checkout/DeliveryStep";
+import PaymentStep from "../components/checkout/PaymentStep";
+import ReviewStep from "../components/checkout/ReviewStep";
+import CartSummary from "../components/cart/CartSummary";
+
+// The steps, in order.
+const STEPS = [
+  { id: "address", label: "Address" },
+  { id: "delivery", label: "Delivery" },
+  { id: "payment", label: "Payment" },
+  { id: "review", label: "Review" },
+];
+const REVIEW_STEP = STEPS.length - 1;
+
+/**
+ * @description Renders the checkout wizard for the logged-in user's cart.
+ */
+const CheckoutPage = () => {
+  const {
+    cart,
+    loading,
+    error: cartError,
+    total,
+    shippingRules,
+    shippingQuote,
+    setShippingDestination,
+    setShippingMethod,
+    validateCartStock,
+    checkout: placeOrder,
+  } = useContext(CartContext);
+  const { isEmailVerified } = useContext(AuthContext);
+  const navigate = useNavigate();
+  // `{ step, addressId, shippingMethod, pickupSlot, paymentMethod }`, kept in sessionStorage.
+  const [checkout, updateCheckout, clearCheckout] = useCheckoutState();
+  // The chosen address itself (only its id is stored).
+  const [address, setAddress] = useState(null);
+  // After a refresh past the first step, the chosen address is loaded again.
+  const [restoredAddressId] = useState(checkout.addressId);
+  const [restoring, setRestoring] = useState(Boolean(checkout.addressId));
+  // Why the shopper cannot move on: `{ message, cartLink }`.
+  const [stepError, setStepError] = useState(null);
+  const [placing, setPlacing] = useState(false);
+
+  useEffect(() => {
+    if (!restoredAddressId) return;
+    addressService
+      .getAddresses()
+      .then((list) => {
+        const saved = list.find((entry) => entry.id === restoredAddressId);
+        if (saved) {
+          setAddress(saved);
+        } else {
+          // The address was deleted meanwhile: choose again.
+          updateCheckout({ addressId: null, step: 0 });
+        }
+      })
+      .catch(() => updateCheckout({ step: 0 }))
+      .finally(() => setRestoring(false));
+  }, [restoredAddressId, updateCheckout]);
+
+  // The delivery options and the GST split follow the chosen address.
+  useEffect(() => {
+    setShippingDestination(
+      address ? { pincode: address.pincode, state: address.state } : null
+    );
+  }, [address, setShippingDestination]);
+
+  // The summary quotes the method chosen here.
+  useEffect(() => {
+    if (checkout.shippingMethod) setShippingMethod(checkout.shippingMethod);
+  }, [checkout.shippingMethod, setShippingMethod]);
+
+  const pickup = shippingQuote?.method === SHIPPING_METHODS.PICKUP;
+  // The slots open now; a booked slot that has passed must be booked again.
+  const pickupSlots = pickup ? getPickupSlots(shippingRules) : [];
+  const bookedSlot = pickup ? findPickupSlot(shippingRules, checkout.pickupSlot) : null;
+  // Why cash on delivery cannot be chosen for this order, if it cannot.
+  const codError = checkCashOnDelivery(shippingRules, {
+    amount: total,
+    pincode: address?.pincode ?? null,
+    shippingMethod: shippingQuote?.method ?? null,
+  });
+
+  /**
+   * Checks the choice made on a step.
+   * @param {number} index
+   * @returns {string|null} What is missing, or null when the step is complete.
+   */
+  const validateStep = (index) => {
+    switch (STEPS[index].id) {
+      case "address":
+        if (!address) return "Please choose a shipping address.";
+        if (!isEmailVerified) {
+          return "Please verify your email address before placing an order.";
+        }
+        return null;
+      case "delivery":
+        if (!shippingQuote) return "Please choose a delivery method.";
+        if (pickup && !bookedSlot) return "Please choose a pickup slot.";
+        return null;
+      case "payment":
+        if (!findPaymentMethod(checkout.paymentMethod)) {
+          return "Please choose a payment method.";
+        }
+        return checkout.paymentMethod === CASH_ON_DELIVERY ? codError : null;
+      default:
+        return null;
+    }
+  };
+
+  // A step opens once every step before it is complete.
+  const canOpen = (index) =>
+    STEPS.slice(0, index).every((_, before) => !validateStep(before));
+
+  // The saved step, or the first incomplete one before it (e.g. the address was deleted).
+  const firstIncomplete = STEPS.findIndex((_, index) => validateStep(index));
+  const current =
+    firstIncomplete === -1 ? checkout.step : Math.min(checkout.step, firstIncomplete);
+
+  const goTo = (index) => {
+    setStepError(null);
+    updateCheckout({ step: index });
+  };
+
+  const handleNext = () => {
+    const message = validateStep(current);
+    if (message) {
+      setStepError({ message });
+      return;
+    }
+    goTo(current + 1);
+  };
+
+  const handleSelectAddress = (selected) => {
+    setAddress(selected);
+    updateCheckout({ addressId: selected?.id ?? null });
+  };
+
+  /**
+   * Places the order: the stock is checked once more, then the cart is checked out
+   * with the chosen address, delivery method and payment method. Online payments
+   * open next; cash orders are done.
+   */
+  const handlePlaceOrder = async () => {
+    if (firstIncomplete !== -1) {
+      goTo(firstIncomplete);
+      setStepError({ message: validateStep(firstIncomplete) });
+      return;
+    }
+    setPlacing(true);
+    setStepError(null);
+    try {
+      const stockIssueCount = Object.keys(await validateCartStock()).length;
+      if (stockIssueCount > 0) {
+        setStepError({
+          message:
+            stockIssueCount === 1
+              ? "One item in your cart is no longer available in the quantity you chose."
+              : `${stockIssueCount} items in your cart are no longer available in the quantities you chose.`,
+          cartLink: true,
+        });
+        return;
+      }
+      const { order } = await placeOrder(address.id, {
+        paymentMethod: checkout.paymentMethod,
+        pickupSlot: bookedSlot?.id ?? null,
+      });
+      clearCheckout();
+      // The order is placed; online payments are made on the payment page.
+      navigate(
+        findPaymentMethod(checkout.paymentMethod).online
+          ? `/payment/${order.id}`
+          : "/orders"
+      );
+    } catch (err) {
+      setStepError({
+        message: err.message || "Failed to place your order. Please try again.",
+      });
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  // Wait for the cart (and, after a refresh, the chosen address).
+  if ((!cart && (loading || !cartError)) || restoring) {
+    return (
+      <div className="d-flex justify-content-center my-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+  if (!cart && cartError) {
+    return (
+      <div className="alert alert-danger text-center my-5" role="alert">
+        {cartError}
+      </div>
+    );
+  }
+  if (!cart.items || cart.items.length === 0) {
+    return (
+      <div className="container my-5 text-center">
+        <h2 className="mb-3">Your cart is empty</h2>
+        <Link to="/products" className="btn btn-primary">
+          Start Shopping
+        </Link>
+      </div>
+    );
+  }
+
+  const stepId = STEPS[current].id;
+
+  return (
+    <div className="container my-5">
+      <h1 className="mb-4 d-flex align-items-center">
+        <FaLock className="me-3 text-primary" />
+        Checkout
+      </h1>
+      <CheckoutStepper
+        steps={STEPS}
+        current={current}
+        canOpen={canOpen}
+        onSelect={goTo}
+      />
+      <div className="row">
+        <div className={current === REVIEW_STEP ? "col-12" : "col-lg-8"}>
+          <div className="card shadow-sm">
+            <div className="card-body">
+              {stepId === "address" && (
+                <AddressStep
+                  selectedId={address?.id ?? null}
+                  onSelect={handleSelectAddress}
+                />
+              )}
+              {stepId === "delivery" && (
+                <DeliveryStep
+                  address={address}
+                  onSelectMethod={(method) =>
+                    updateCheckout({ shippingMethod: method })
+                  }
+                  pickupSlots={pickupSlots}
+                  pickupSlot={bookedSlot?.id ?? null}
+                  onSelectPickupSlot={(slotId) => updateCheckout({ pickupSlot: slotId })}
+                />
+              )}
+              {stepId === "payment" && (
+                <PaymentStep
+                  selected={checkout.paymentMethod}
+                  onSelect={(method) => updateCheckout({ paymentMethod: method })}
+                  unavailable={{ [CASH_ON_DELIVERY]: codError }}
+                />
+              )}
+              {stepId === "review" && (
+                <ReviewStep
+                  address={address}
+                  paymentMethod={checkout.paymentMethod}
+                  pickupSlot={bookedSlot}
+                  onEdit={goTo}
+                />
+              )}
+              {stepError && (
+                <div className="alert alert-danger py-2 mt-3" role="alert">
+                  {stepError.message}
+                  {stepError.cartLink && (
+                    <Link to="/carts" className="d-block mt-1">
+                      Update your cart
+                    </Link>
+                  )}
+                </div>
+              )}
+              <div className="d-flex justify-content-between mt-4">
+                {current > 0 ? (
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    onClick={() => goTo(current - 1)}
+                    disabled={placing}
+                  >
+                    Back
+                  </button>
+                ) : (
+                  <Link to="/carts" className="btn btn-outline-secondary">
+                    Back to cart
+                  </Link>
+                )}
+                {current < REVIEW_STEP ? (
+                  <button type="button" className="btn btn-primary" onClick={handleNext}>
+                    Continue
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-success btn-lg"
+                    onClick={handlePlaceOrder}
+                    disabled={placing}
+                  >
+                    {placing ? "Placing your order..." : `Place order · ₹${total.toFixed(2)}`}
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+        {/* The amounts stay in view; the review shows them itself. */}
+        {current < REVIEW_STEP && (
+          <div className="col-lg-4 mt-4 mt-lg-0">
+            <div className="card shadow-sm">
+              <div className="card-body">
+                <h5 className="card-title">Order Summary</h5>
+                <CartSummary editable={false} />
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+export default CheckoutPage;
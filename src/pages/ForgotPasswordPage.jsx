@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { FaEnvelope, FaPaperPlane, FaSpinner } from "react-icons/fa";
+import authService from "../services/authService";
+import "../styles/LoginPage.css"; // Shares the look of the login page.
+/**
+ * @description The first step of account recovery: the user enters their email
+ * and the backend sends a link to `/reset-password/:token`.
+ */
+const ForgotPasswordPage = () => {
+  // State management for the email input, the API answer and the loading status.
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  /**
+   * @description Asks the backend to send the reset link.
+   * The backend answers the same way for unknown emails, so we simply show its message.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const data = await authService.requestPasswordReset(email);
+      setMessage(
+        data.message ||
+          "If an account exists for that email, we've sent a reset link."
+      );
+    } catch (err) {
+      setError(err.message || "Could not send the reset link. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+  return (
+    <div className="login-page-container d-flex flex-column justify-content-center align-items-center vh-100 position-relative text-white overflow-hidden">
+      {/* Dynamic Floating Shapes Background */}
+      <div className="animated-shapes"></div>
+      <div className="login-panel p-5 rounded-4 shadow-lg animate__fadeInUp">
+        <div className="text-center mb-5">
+          <h2 className="fw-bold mb-1" style={{ color: "#351804" }}>
+            Forgot Password
+          </h2>
+          <p className="text-muted">
+            Enter your email and we'll send you a link to reset your password
+          </p>
+        </div>
+        {/* Success message: the form is replaced by it */}
+        {message ? (
+          <div className="alert alert-success" role="alert">
+            {message}
+          </div>
+        ) : (
+          <>
+            {/* Error message display */}
+            {error && (
+              <div className="alert alert-danger animate__shake" role="alert">
+                {error}
+              </div>
+            )}
+            <form onSubmit={handleSubmit}>
+              {/* Email Input Field */}
+              <div className="form-group mb-4">
+                <div className="input-group input-group-lg">
+                  <span className="input-group-text">
+                    <FaEnvelope />
+                  </span>
+                  <input
+                    type="email"
+                    className="form-control"
+                    placeholder="Email address"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                  />
+                </div>
+              </div>
+              {/* Submit Button with Loading State */}
+              <div className="d-grid mt-4">
+                <button
+                  type="submit"
+                  className="btn btn-primary btn-lg rounded-pill fw-bold login-btn"
+                  disabled={loading}
+                >
+                  {loading ? (
+                    <>
+                      <FaSpinner className="spinner me-2" />
+                      <span className="ms-2">Sending...</span>
+                    </>
+                  ) : (
+                    <>
+                      <FaPaperPlane className="me-2" />
+                      <span>Send Reset Link</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+        <div className="text-center mt-4">
+          <Link to="/login" className="small">
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default ForgotPasswordPage;
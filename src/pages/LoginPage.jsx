@@ -1,8 +1,14 @@
 import React, { useState, useContext } from "react";
 //for navigation purpose using react-router-dom package
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation, Link } from "react-router-dom";
 //react-icons-fa package for icons
-import { FaUser, FaLock, FaSignInAlt, FaSpinner } from "react-icons/fa";
+import {
+  FaUser,
+  FaLock,
+  FaSignInAlt,
+  FaSpinner,
+  FaShieldAlt,
+} from "react-icons/fa";
 import AuthContext from "../context/AuthContext";
 import "../styles/LoginPage.css"; // Custom styles for a modern, animated look.
 /**
@@ -14,13 +20,31 @@ const LoginPage = () => {
   // State management for form inputs, errors, and loading status.
   const [email, setEmail] = useState("");
   const [password_hash, setPassword_hash] = useState("");
+  // "Remember me": keep the session after the browser is closed.
+  const [remember, setRemember] = useState(false);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
-  // Accessing the login function from the authentication context.
-  const { loginAuth } = useContext(AuthContext);
+  // Second login step: set when the backend asks for a two-factor code.
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
+  // Accessing the login functions from the authentication context.
+  const { loginAuth, completeTwoFactorLogin } = useContext(AuthContext);
 
   //  for navigation we define navigation variable and using useNavigate function to it
   const navigate = useNavigate();
+  // The router state tells us when AuthContext sent the user here because the session expired,
+  // and which page (set by PrivateRoute) the user originally asked for.
+  const location = useLocation();
+  const sessionExpired = location.state?.sessionExpired;
+  // "inactivity" when the idle timer ended the session.
+  const logoutReason = location.state?.reason;
+  // Set by ResetPasswordPage after the password was changed.
+  const passwordReset = location.state?.passwordReset;
+  const from = location.state?.from;
+  // Return to the requested page (path, query and hash) or fall back to the home page.
+  const redirectTo = from
+    ? `${from.pathname}${from.search || ""}${from.hash || ""}`
+    : "/home";
   /**
    * @description Handles the form submission for user authentication.
    * It's an async function to manage the network request to the backend.
@@ -30,8 +54,15 @@ const LoginPage = () => {
     setLoading(true);
     setError(null);
     try {
-      await loginAuth(email, password_hash);
-      navigate("/home");
+      const result = await loginAuth(email, password_hash, { remember });
+      // Accounts with two-factor authentication continue with the code step.
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setCode("");
+        return;
+      }
+      // `replace` keeps the login page out of the history, so "Back" does not return here.
+      navigate(redirectTo, { replace: true });
     } catch (err) {
       console.error(err);
       setError("Failed to log in. Please check your email and password_hash.");
@@ -39,6 +70,35 @@ const LoginPage = () => {
       setLoading(false);
     }
   };
+  /**
+   * @description Sends the code from the authenticator app (or a backup code).
+   * A 401 means the attempt expired or had too many wrong codes: back to step one.
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      await completeTwoFactorLogin(challengeToken, code, { remember });
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      console.error(err);
+      if (err.status === 401) {
+        setChallengeToken(null);
+        setPassword_hash("");
+      }
+      setError(err.message || "Invalid authentication code.");
+    } finally {
+      setLoading(false);
+    }
+  };
+  // Leaves the code step, e.g. to log in with another account.
+  const handleCancelChallenge = () => {
+    setChallengeToken(null);
+    setCode("");
+    setPassword_hash("");
+    setError(null);
+  };
   return (
     <div className="login-page-container d-flex flex-column justify-content-center align-items-center vh-100 position-relative text-white overflow-hidden">
       {/* Dynamic Floating Shapes Background */}
@@ -49,66 +109,161 @@ const LoginPage = () => {
           <h2 className="fw-bold mb-1" style={{color: '#351804'}}>Login</h2>
           <p className="text-muted">Welcome back to your account</p>
         </div>
+        {/* Session expired notice (set by AuthContext when the API returns 401) */}
+        {sessionExpired && !error && (
+          <div className="alert alert-warning" role="alert">
+            {logoutReason === "inactivity"
+              ? "You were logged out because you were inactive. Log in again to continue where you left off."
+              : logoutReason === "revoked"
+                ? "This device was logged out from your account's security settings. Please log in again."
+                : "Your session has expired. Please log in again."}
+          </div>
+        )}
+        {/* "Log out everywhere" notice (set by AuthContext) */}
+        {logoutReason === "everywhere" && !error && (
+          <div className="alert alert-success" role="alert">
+            You have been logged out on all your devices.
+          </div>
+        )}
+        {/* Password reset notice (set by ResetPasswordPage) */}
+        {passwordReset && !error && (
+          <div className="alert alert-success" role="alert">
+            Your password has been reset. Please log in with your new password.
+          </div>
+        )}
         {/* Error message display */}
         {error && (
           <div className="alert alert-danger animate__shake" role="alert">
             {error}
           </div>
         )}
-        <form onSubmit={handleSubmit}>
-          {/* Email Input Field */}
-          <div className="form-group mb-4">
-            <div className="input-group input-group-lg">
-              <span className="input-group-text">
-                <FaUser />
-              </span>
-              <input
-                type="email"
-                className="form-control"
-                placeholder="Email address"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                required
-              />
+        {challengeToken ? (
+          <form onSubmit={handleCodeSubmit}>
+            <p className="text-muted text-center">
+              Enter the 6-digit code from your authenticator app, or one of your
+              backup codes.
+            </p>
+            {/* Authentication code Input Field */}
+            <div className="form-group mb-4">
+              <div className="input-group input-group-lg">
+                <span className="input-group-text">
+                  <FaShieldAlt />
+                </span>
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Authentication code"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoFocus
+                  required
+                />
+              </div>
             </div>
-          </div>
-          {/* password_hash Input Field */}
-          <div className="form-group mb-4">
-            <div className="input-group input-group-lg">
-              <span className="input-group-text">
-                <FaLock />
-              </span>
-              <input
-                type="password_hash"
-                className="form-control"
-                placeholder="password_hash"
-                value={password_hash}
-                onChange={(e) => setPassword_hash(e.target.value)}
-                required
-              />
+            <div className="d-grid mt-4">
+              <button
+                type="submit"
+                className="btn btn-primary btn-lg rounded-pill fw-bold login-btn"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <FaSpinner className="spinner me-2" />
+                    <span className="ms-2">Verifying...</span>
+                  </>
+                ) : (
+                  <>
+                    <FaSignInAlt className="me-2" />
+                    <span>Verify</span>
+                  </>
+                )}
+              </button>
             </div>
-          </div>
-          {/* Submit Button with Loading State */}
-          <div className="d-grid mt-4">
-            <button
-              type="submit"
-              className="btn btn-primary btn-lg rounded-pill fw-bold login-btn"
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <FaSpinner className="spinner me-2" />
-                  <span className="ms-2">Logging in...</span>
-                </>
-              ) : (
-                <>
-                  <FaSignInAlt className="me-2" />
-                  <span>Login</span>
-                </>
-              )}
-            </button>
-          </div>
-        </form>
+            <div className="text-center mt-3">
+              <button
+                type="button"
+                className="btn btn-link small"
+                onClick={handleCancelChallenge}
+              >
+                Back to login
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {/* Email Input Field */}
+            <div className="form-group mb-4">
+              <div className="input-group input-group-lg">
+                <span className="input-group-text">
+                  <FaUser />
+                </span>
+                <input
+                  type="email"
+                  className="form-control"
+                  placeholder="Email address"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                />
+              </div>
+            </div>
+            {/* password_hash Input Field */}
+            <div className="form-group mb-4">
+              <div className="input-group input-group-lg">
+                <span className="input-group-text">
+                  <FaLock />
+                </span>
+                <input
+                  type="password_hash"
+                  className="form-control"
+                  placeholder="password_hash"
+                  value={password_hash}
+                  onChange={(e) => setPassword_hash(e.target.value)}
+                  required
+                />
+              </div>
+            </div>
+            {/* "Remember me" and the link to the "forgot password" flow */}
+            <div className="d-flex justify-content-between align-items-center">
+              <div className="form-check">
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  id="rememberMe"
+                  checked={remember}
+                  onChange={(e) => setRemember(e.target.checked)}
+                />
+                <label htmlFor="rememberMe" className="form-check-label small text-muted">
+                  Remember me
+                </label>
+              </div>
+              <Link to="/forgot-password" className="small">
+                Forgot password?
+              </Link>
+            </div>
+            {/* Submit Button with Loading State */}
+            <div className="d-grid mt-4">
+              <button
+                type="submit"
+                className="btn btn-primary btn-lg rounded-pill fw-bold login-btn"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <FaSpinner className="spinner me-2" />
+                    <span className="ms-2">Logging in...</span>
+                  </>
+                ) : (
+                  <>
+                    <FaSignInAlt className="me-2" />
+                    <span>Login</span>
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -41,6 +41,17 @@ import {
 import AuthContext from "../context/AuthContext";
 // Import the service functions for talking to the order API.
 import orderService from "../services/orderService";
+// Renders the shipping address copied onto each order.
+import AddressDetails from "../components/addresses/AddressDetails";
+// Payment statuses and whether an order can still be paid.
+import {
+  PAYMENT_STATUSES,
+  canPayOrder,
+  describeOrderPayment,
+  findPaymentMethod,
+} from "../utils/payments";
+// Home delivery or click & collect, with what the customer has to do.
+import OrderFulfilment from "../components/orders/OrderFulfilment";
 // Import the date formatting library.
 import {
   // format: Function to neatly format date objects.
@@ -66,10 +77,8 @@ const OrderPage = () => {
   const [orderIdToDelete, setOrderIdToDelete] = useState(null);
   // State for temporary success or error messages (toasts).
   const [message, setMessage] = useState("");
-  // Get current user and token from AuthContext.
+  // Get current user from AuthContext.
   const { currentUser } = useContext(AuthContext);
-  // Safely get the user's authentication token.
-  const token = currentUser?.token;
   /**
    * @description Fetches all orders from the backend for the current user.
    */
@@ -80,7 +89,7 @@ const OrderPage = () => {
       // Clear any previous error messages.
       setError(null);
       // Call the service to get orders, awaiting the response.
-      const response = await orderService.getOrders(token);
+      const response = await orderService.getOrders();
       // Update the state with the received list of orders.
       setOrders(response.orders || []);
     } catch (err) {
@@ -113,7 +122,7 @@ const OrderPage = () => {
     if (!orderIdToDelete) return;
     try {
       // Call the service to delete the order, awaiting the result.
-      await orderService.deleteOrder(orderIdToDelete, token);
+      await orderService.deleteOrder(orderIdToDelete);
       // Re-fetch the entire list of orders to update the UI.
       fetchOrders();
       // Show a success message to the user.
@@ -148,8 +157,8 @@ const OrderPage = () => {
       setLoading(false);
       setError("Please log in to view your order history.");
     }
-    // Dependency array: runs when currentUser or token changes.
-  }, [currentUser, token]);
+    // Dependency array: runs when currentUser changes.
+  }, [currentUser]);
   // Helper function to map status strings to Bootstrap badge styling classes.
   const getStatusBadgeClass = (status) => {
     // Use a switch statement for clean conditional logic based on status.
@@ -168,6 +177,21 @@ const OrderPage = () => {
         return "bg-secondary"; // fallback
     }
   };
+  // Helper function to map payment statuses to Bootstrap badge styling classes.
+  const getPaymentBadgeClass = (status) => {
+    switch (status) {
+      case PAYMENT_STATUSES.PAID:
+        return "bg-success";
+      case PAYMENT_STATUSES.FAILED:
+        return "bg-danger";
+      case PAYMENT_STATUSES.PENDING:
+      case PAYMENT_STATUSES.PROCESSING:
+        return "bg-warning text-dark";
+      // Refunded.
+      default:
+        return "bg-info text-dark";
+    }
+  };
   // --- Conditional Rendering for Loading State ---
   // Check if loading is true.
   if (loading) {
@@ -320,10 +344,52 @@ const OrderPage = () => {
                         {/* Display the status text. */}
                         {order.status}
                       </span>
+                      {/* Payment status (older orders were placed without online payment). */}
+                      {order.payment && (
+                        <span
+                          className={`badge rounded-pill mt-1 ms-1 ${getPaymentBadgeClass(
+                            order.payment.status
+                          )}`}
+                          title={findPaymentMethod(order.payment.method)?.label}
+                        >
+                          {describeOrderPayment(order)}
+                        </span>
+                      )}
                     </div>
                   </div>
+                  {/* Unpaid (or failed) payments can be made from here. */}
+                  {canPayOrder(order) && (
+                    <div className="alert alert-warning d-flex justify-content-between align-items-center py-2">
+                      <span>
+                        {order.payment.status === PAYMENT_STATUSES.FAILED
+                          ? "The payment for this order failed."
+                          : order.payment.status === PAYMENT_STATUSES.PROCESSING
+                            ? "Your bank has not confirmed the payment yet."
+                            : "This order is waiting for payment."}
+                      </span>
+                      <Link
+                        to={`/payment/${order.id}`}
+                        className="btn btn-sm btn-warning"
+                      >
+                        {order.payment.status === PAYMENT_STATUSES.PROCESSING
+                          ? "Check payment"
+                          : "Pay now"}
+                      </Link>
+                    </div>
+                  )}
                   {/* Separator */}
                   <hr className="my-4" />
+                  {/* Delivery or pickup, and its instructions. */}
+                  <OrderFulfilment order={order} />
+                  {/* Shipping address (older orders were placed without one). */}
+                  {order.shipping_address && (
+                    <div className="mb-4">
+                      <h6 className="fw-bold text-secondary mb-2">
+                        {order.pickup ? "Billing address:" : "Shipped to:"}
+                      </h6>
+                      <AddressDetails address={order.shipping_address} />
+                    </div>
+                  )}
                   {/* Details Subheading */}
                   <h6 className="fw-bold text-secondary mb-3">
                     Order Details:
@@ -374,6 +440,69 @@ const OrderPage = () => {
                         </li>
                       ))}
                   </ul>
+                  {/* Price breakdown: promo code, shipping and GST (older orders have none of them). */}
+                  {(order.coupon || order.shipping || order.tax) && (
+                    <ul className="list-group list-group-flush mt-3 small">
+                      <li className="list-group-item d-flex justify-content-between bg-transparent px-2">
+                        <span>Subtotal</span>
+                        <span>₹{parseFloat(order.subtotal).toFixed(2)}</span>
+                      </li>
+                      {order.coupon && (
+                        <li className="list-group-item d-flex justify-content-between bg-transparent px-2 text-success">
+                          <span>
+                            Promo code {order.coupon.code}
+                            {order.coupon.description && ` (${order.coupon.description})`}
+                          </span>
+                          <span>
+                            {order.discount_amount > 0
+                              ? `−₹${parseFloat(order.discount_amount).toFixed(2)}`
+                              : "Applied"}
+                          </span>
+                        </li>
+                      )}
+                      {order.shipping && (
+                        <li className="list-group-item d-flex justify-content-between bg-transparent px-2">
+                          <span>
+                            {order.shipping.label}
+                            <span className="d-block text-muted">
+                              {order.shipping.zone.name},{" "}
+                              {(order.shipping.weight_grams / 1000).toFixed(2)} kg
+                            </span>
+                          </span>
+                          <span>
+                            {order.shipping.amount > 0
+                              ? `₹${parseFloat(order.shipping.amount).toFixed(2)}`
+                              : "Free"}
+                          </span>
+                        </li>
+                      )}
+                      {order.tax && (
+                        <>
+                          <li className="list-group-item d-flex justify-content-between bg-transparent px-2">
+                            <span>Taxable value</span>
+                            <span>₹{parseFloat(order.tax.taxable_value).toFixed(2)}</span>
+                          </li>
+                          {/* CGST + SGST inside Maharashtra, IGST for other states. */}
+                          {order.tax.lines.map((line) => (
+                            <li
+                              key={line.label}
+                              className="list-group-item d-flex justify-content-between bg-transparent px-2 text-muted"
+                            >
+                              <span>{line.label}</span>
+                              <span>₹{parseFloat(line.amount).toFixed(2)}</span>
+                            </li>
+                          ))}
+                          <li className="list-group-item bg-transparent px-2 text-muted">
+                            {order.tax.added_tax === 0
+                              ? "Prices include GST."
+                              : order.tax.added_tax < order.tax.total_tax
+                                ? `₹${parseFloat(order.tax.added_tax).toFixed(2)} of the GST was added to the prices; the rest is included in them.`
+                                : "GST was added to the prices."}
+                          </li>
+                        </>
+                      )}
+                    </ul>
+                  )}
                   {/* Button Section for Cancel Order */}
                   <div className="d-grid mt-4">
                     {/* Cancel Button */}
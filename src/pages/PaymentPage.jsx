@@ -0,0 +1,239 @@
+/**
+ * @fileoverview PaymentPage Component
+ *
+ * Pays a placed order online. The backend opens a payment with the gateway, the
+ * payment provider (Razorpay, or the mock gateway in development) shows its
+ * window, and the backend verifies what the gateway handed back before the
+ * order counts as paid. Ends on a success, failure (with retry) or pending screen.
+ */
+import React, { useContext, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { FaLock } from "react-icons/fa";
+import AuthContext from "../context/AuthContext";
+import orderService from "../services/orderService";
+import paymentService from "../services/paymentService";
+import { getPaymentProvider } from "../services/paymentProviders";
+import {
+  PAYMENT_STATUSES,
+  canPayOrder,
+  findPaymentMethod,
+} from "../utils/payments";
+import PaymentSuccess from "../components/payments/PaymentSuccess";
+import PaymentFailure from "../components/payments/PaymentFailure";
+import PaymentPending from "../components/payments/PaymentPending";
+
+// The gateway this build pays through.
+const provider = getPaymentProvider();
+
+/**
+ * @description The screen an order's payment status opens on.
+ * @param {object} order
+ * @returns {"ready"|"success"|"failed"|"pending"}
+ */
+const screenFor = (order) => {
+  // A canceled order only says that it cannot be paid.
+  if (order.status === "canceled") return "ready";
+  switch (order.payment?.status) {
+    case PAYMENT_STATUSES.PAID:
+      return "success";
+    case PAYMENT_STATUSES.FAILED:
+      return "failed";
+    case PAYMENT_STATUSES.PROCESSING:
+      return "pending";
+    default:
+      return "ready";
+  }
+};
+
+/**
+ * @description Renders the payment of one order of the logged-in user.
+ */
+const PaymentPage = () => {
+  const { orderId } = useParams();
+  const { currentUser } = useContext(AuthContext);
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  // "ready" | "success" | "failed" | "pending".
+  const [screen, setScreen] = useState("ready");
+  // A payment attempt or status check is running.
+  const [busy, setBusy] = useState(false);
+  // Why the last attempt failed, or a note after the window was closed.
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    orderService
+      .getOrder(orderId)
+      .then((loaded) => {
+        setOrder(loaded);
+        setScreen(screenFor(loaded));
+        setNotice(loaded.payment?.failure_reason || null);
+      })
+      .catch((err) => setLoadError(err.message || "Could not load the order."))
+      .finally(() => setLoading(false));
+  }, [orderId]);
+
+  /**
+   * @description Keeps the order's payment in step with the backend.
+   * @param {object} payment
+   */
+  const updatePayment = (payment) =>
+    setOrder((current) => ({ ...current, payment }));
+
+  /**
+   * Opens a new payment with the gateway and follows it to its outcome.
+   */
+  const handlePay = async () => {
+    setBusy(true);
+    setNotice(null);
+    try {
+      const session = await paymentService.createPayment(order.id, provider.id);
+      const result = await provider.pay(session, {
+        prefill: {
+          name: order.shipping_address?.name || currentUser?.name,
+          email: currentUser?.email,
+          contact: order.shipping_address?.phone || currentUser?.phone,
+        },
+      });
+      switch (result.status) {
+        case "success":
+          // Only the backend's check of the signature makes the order paid.
+          try {
+            updatePayment(await paymentService.verifyPayment(order.id, result.payload));
+            setScreen("success");
+          } catch (err) {
+            if (err.data?.payment) updatePayment(err.data.payment);
+            setNotice(err.message || "The payment could not be verified.");
+            setScreen("failed");
+          }
+          break;
+        case "failed":
+          updatePayment(
+            await paymentService
+              .reportPaymentFailure(order.id, result.payload.provider_order_id, result.reason)
+              .catch(() => order.payment)
+          );
+          setNotice(result.reason);
+          setScreen("failed");
+          break;
+        case "pending":
+          setScreen("pending");
+          break;
+        default:
+          // The window was closed: nothing was paid, the order can still be paid.
+          setNotice("The payment was not completed. You can try again whenever you are ready.");
+          setScreen("ready");
+      }
+    } catch (err) {
+      setNotice(err.message || "Could not start the payment. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Asks the backend whether the bank confirmed a pending payment.
+   */
+  const handleCheckStatus = async () => {
+    setBusy(true);
+    setNotice(null);
+    try {
+      const payment = await paymentService.getPaymentStatus(order.id);
+      updatePayment(payment);
+      const next = screenFor({ ...order, payment });
+      if (next === "pending") {
+        setNotice("Still waiting for your bank. Please check again in a minute.");
+      } else if (next === "failed") {
+        setNotice(payment.failure_reason);
+      }
+      setScreen(next);
+    } catch (err) {
+      setNotice(err.message || "Could not check the payment. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center my-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+  if (loadError) {
+    return (
+      <div className="container my-5">
+        <div className="alert alert-danger text-center" role="alert">
+          {loadError}
+        </div>
+      </div>
+    );
+  }
+
+  const method = findPaymentMethod(order.payment?.method);
+  // Not when canceled, refunded, or placed before online payments.
+  const payable = canPayOrder(order);
+
+  return (
+    <div className="container my-5" style={{ maxWidth: "560px" }}>
+      <div className="card shadow-sm">
+        <div className="card-body p-4">
+          {screen === "success" && <PaymentSuccess order={order} payment={order.payment} />}
+          {screen === "failed" && (
+            <PaymentFailure reason={notice} onRetry={handlePay} busy={busy} />
+          )}
+          {screen === "pending" && (
+            <PaymentPending
+              onCheckStatus={handleCheckStatus}
+              onRetry={handlePay}
+              busy={busy}
+              notice={notice}
+            />
+          )}
+          {screen === "ready" && (
+            <>
+              <h4 className="fw-bold mb-3 d-flex align-items-center">
+                <FaLock className="me-2 text-primary" />
+                Pay for order #{order.id}
+              </h4>
+              <p className="fs-3 fw-bold mb-1">
+                ₹{parseFloat(order.total_amount).toFixed(2)}
+              </p>
+              {method && <p className="text-muted">{method.label}</p>}
+              {notice && (
+                <div className="alert alert-warning py-2" role="alert">
+                  {notice}
+                </div>
+              )}
+              {payable ? (
+                <>
+                  <button
+                    type="button"
+                    className="btn btn-success btn-lg w-100"
+                    onClick={handlePay}
+                    disabled={busy}
+                  >
+                    {busy ? "Waiting for the payment..." : "Pay now"}
+                  </button>
+                  <small className="d-block text-muted text-center mt-2">
+                    Secured by {provider.name}. Your order is saved; you can also pay later
+                    from your orders.
+                  </small>
+                </>
+              ) : (
+                <div className="alert alert-secondary py-2 mb-0" role="alert">
+                  This order cannot be paid online.{" "}
+                  <Link to="/orders">Back to your orders</Link>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+export default PaymentPage;
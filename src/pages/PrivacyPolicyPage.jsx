@@ -0,0 +1,35 @@
+import React from "react";
+import { Link } from "react-router-dom";
+/**
+ * @description The privacy policy, accepted by every customer when registering.
+ */
+const PrivacyPolicyPage = () => {
+  return (
+    <div className="container my-5" style={{ maxWidth: "760px" }}>
+      <h2 className="fw-bold mb-4" style={{ color: "#351804" }}>
+        Privacy Policy
+      </h2>
+      <p>
+        This policy explains what Protein Point does with your personal data. It
+        is part of our <Link to="/terms">Terms of Use</Link>.
+      </p>
+      <h5 className="fw-bold mt-4">What we collect</h5>
+      <p>
+        Your email address, name, phone number and shipping addresses, and the
+        orders you place with us.
+      </p>
+      <h5 className="fw-bold mt-4">Why we collect it</h5>
+      <p>
+        To run your account, deliver your orders and contact you about them. We
+        do not sell your data, and share it only with the partners needed to
+        take payments and deliver parcels.
+      </p>
+      <h5 className="fw-bold mt-4">Your choices</h5>
+      <p>
+        You can update your details on your profile at any time, or contact us
+        to have your account deleted.
+      </p>
+    </div>
+  );
+};
+export default PrivacyPolicyPage;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useContext } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link } from "react-router-dom";
 import AuthContext from "../context/AuthContext";
 import productService from "../services/productService";
+import { ROLES } from "../utils/roles";
 /**
  * @description The ProductList component allows a user to manage their own products.
  * It fetches the list of products associated with the logged-in user and displays them
@@ -12,8 +13,9 @@ const ProductListPage = () => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const { currentUser } = useContext(AuthContext);
-  const navigate = useNavigate();
+  const { currentUser, hasRole } = useContext(AuthContext);
+  // Admins manage the whole catalogue; sellers only the products they created.
+  const isAdmin = hasRole(ROLES.ADMIN);
   useEffect(() => {
     const fetchProducts = async () => {
       if (!currentUser) {
@@ -24,9 +26,9 @@ const ProductListPage = () => {
         const response = await productService.getAllProducts();
         // You would typically filter on the backend for better performance,
         // but for this example, we'll keep the client-side filter.
-        const userProducts = response.filter(
-          (product) => product.userId === currentUser.id
-        );
+        const userProducts = isAdmin
+          ? response
+          : response.filter((product) => product.userId === currentUser.id);
         setProducts(userProducts);
       } catch (err) {
         setError(err.message || "Failed to fetch products.");
@@ -36,15 +38,14 @@ const ProductListPage = () => {
       }
     };
     fetchProducts();
-  }, [currentUser]);
+  }, [currentUser, isAdmin]);
   const handleDelete = async (productId) => {
     const isConfirmed = window.confirm(
       "Are you sure you want to delete this product?"
     );
     if (!isConfirmed) return;
     try {
-      const token = currentUser.token;
-      await productService.deleteProduct(productId, token);
+      await productService.deleteProduct(productId);
       setProducts(products.filter((product) => product.id !== productId));
       alert("Product deleted successfully!");
     } catch (err) {
@@ -85,7 +86,9 @@ const ProductListPage = () => {
   return (
     <div className="container py-5">
       <div className="d-flex justify-content-between align-items-center mb-4 border-bottom pb-3">
-        <h1 className="h2 fw-bold text-dark">Your Products</h1>
+        <h1 className="h2 fw-bold text-dark">
+          {isAdmin ? "All Products" : "Your Products"}
+        </h1>
         <Link
           to="/addproduct"
           className="btn btn-success d-flex align-items-center"
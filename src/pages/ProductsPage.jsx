@@ -33,16 +33,14 @@ import {
 } from "react-icons/fa";
 // Import the service layer for product-related API calls.
 import productService from "../services/productService";
-// Import the authentication context to get user state.
-import AuthContext from "../context/AuthContext";
 // Import ProductGrid component for displaying filtered products.
 import ProductGrid from "../components/products/ProductGrid";
 // Import ProductCarousel component for displaying featured products.
 import ProductCarousel from "../components/products/ProductCarousel";
 // Import Hero component for the top banner and search bar.
 import ProductHero from "../components/products/ProductHero";
-// Import the service layer for cart-related API calls.
-import cartService from "../services/cartService";
+// Import the cart context, so the Navbar badge follows every addition.
+import CartContext from "../context/CartContext";
 // Import local stylesheet (often leads to resolution errors).
 import "../styles/ProductsPage.css";
 // Define the functional component 'ProductPage'.
@@ -61,12 +59,10 @@ const ProductsPage = () => {
   const [filteredProducts, setFilteredProducts] = useState([]);
   // State to store the subset of products selected as featured items. Initialized as an empty array.
   const [featuredProducts, setFeaturedProducts] = useState([]);
-  // Destructure the 'currentUser' object from the AuthContext.
-  const { currentUser } = useContext(AuthContext);
+  // Get the cart action that adds a product to the shared cart.
+  const { addToCart } = useContext(CartContext);
   // Initialize the function to navigate programmatically.
   const navigate = useNavigate();
-  // Safely retrieve the authentication token from 'currentUser' (optional chaining '?.').
-  const token = currentUser?.token;
   /**
    * Effect Hook: Fetches all product data from the service layer once on mount.
    */
@@ -129,24 +125,19 @@ const ProductsPage = () => {
   /**
    * Function to handle adding a product to the user's shopping cart.
    * @param {string} productId - The unique identifier of the product to add.
+   * @param {number} [quantity=1] - The number of units chosen on the product card.
    */
-  const handleAddToCart = async (productId) => {
-    // Check: If 'currentUser' is falsy (not logged in).
-    if (!currentUser) {
-      // Display an error message to prompt login.
-      handleMessage("Please log in to add products to your cart.", "danger");
-      // Exit the function immediately.
-      return;
-    }
+  const handleAddToCart = async (productId, quantity = 1) => {
     try {
-      // Await the API call to the 'cartService' to add the item (ID, quantity 1, token).
-      await cartService.addItem(productId, 1, token);
+      // Add the item (ID and quantity) through the cart context.
+      // Guests get a cart kept in the browser, merged into their account on login.
+      await addToCart(productId, quantity);
       // Display a success message.
       handleMessage("Product added to cart successfully!", "success");
     } catch (err) {
-      // Display a generic failure message.
+      // Display the reason (e.g. not enough stock) or a generic failure message.
       handleMessage(
-        "Failed to add product to cart. Please try again.",
+        err.message || "Failed to add product to cart. Please try again.",
         "danger"
       );
       // Log the detailed error object to the console for debugging.
@@ -1,26 +1,186 @@
 import React, { useContext, useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import AuthContext from "../context/AuthContext";
+import UserAvatar from "../components/common/UserAvatar";
+import PasswordStrengthMeter from "../components/common/PasswordStrengthMeter";
+import AddressBook from "../components/addresses/AddressBook";
+import TwoFactorSettings from "../components/security/TwoFactorSettings";
+import ActiveSessions from "../components/security/ActiveSessions";
+import { isPasswordAcceptable } from "../utils/passwordStrength";
+import { validateName, validatePhone, normalizePhone } from "../utils/validation";
 import "../styles/ProfilePage.css";
 
+// Largest avatar file we accept before converting it to Base64.
+const MAX_AVATAR_BYTES = 1024 * 1024;
+
+/**
+ * @description Shows a status line under a section title.
+ * @param {object} props
+ * @param {{ type: "success"|"error", text: string }|null} props.status
+ */
+const StatusMessage = ({ status }) =>
+  status ? (
+    <div className={`status-message ${status.type}`} role="status">
+      {status.text}
+    </div>
+  ) : null;
+
 const ProfilePage = () => {
-  const { currentUser, userProfileUpdate } = useContext(AuthContext);
-  const [email, setEmail] = useState("");
-  const [statusMsg, setStatusMsg] = useState("");
+  const {
+    currentUser,
+    userProfileUpdate,
+    changePassword,
+    updateAvatar,
+    twoFactorEnrollmentRequired,
+  } = useContext(AuthContext);
+  // Profile details form.
+  const [profile, setProfile] = useState({ name: "", email: "", phone: "" });
+  const [profileStatus, setProfileStatus] = useState(null);
+  const [savingProfile, setSavingProfile] = useState(false);
+  // Change password form.
+  const [passwords, setPasswords] = useState({
+    current: "",
+    next: "",
+    confirm: "",
+  });
+  const [passwordStatus, setPasswordStatus] = useState(null);
+  const [savingPassword, setSavingPassword] = useState(false);
+  // Avatar upload.
+  const [avatarStatus, setAvatarStatus] = useState(null);
+  const [savingAvatar, setSavingAvatar] = useState(false);
 
+  // Fill the form with the saved values (again after each successful save).
   useEffect(() => {
     if (currentUser) {
-      setEmail(currentUser.email || "");
+      setProfile({
+        name: currentUser.name || "",
+        email: currentUser.email || "",
+        phone: currentUser.phone || "",
+      });
     }
   }, [currentUser]);
 
-  const handleSubmit = async (e) => {
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target;
+    setProfile({ ...profile, [name]: value });
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords({ ...passwords, [name]: value });
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setProfileStatus(null);
+    // Check the fields before bothering the backend.
+    const fieldError = validateName(profile.name) || validatePhone(profile.phone);
+    if (fieldError) {
+      setProfileStatus({ type: "error", text: fieldError });
+      return;
+    }
+    setSavingProfile(true);
+    try {
+      const { message } = await userProfileUpdate({
+        name: profile.name.trim(),
+        email: profile.email.trim(),
+        phone: normalizePhone(profile.phone),
+      });
+      setProfileStatus({
+        type: "success",
+        text: message || "Profile updated successfully!",
+      });
+    } catch (error) {
+      setProfileStatus({
+        type: "error",
+        text: "Failed to update profile: " + error.message,
+      });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
     e.preventDefault();
-    setStatusMsg("");
+    setPasswordStatus(null);
+    if (!isPasswordAcceptable(passwords.next)) {
+      setPasswordStatus({
+        type: "error",
+        text: "Please choose a stronger password.",
+      });
+      return;
+    }
+    if (passwords.next !== passwords.confirm) {
+      setPasswordStatus({ type: "error", text: "The passwords do not match." });
+      return;
+    }
+    setSavingPassword(true);
     try {
-      await userProfileUpdate(email);
-      setStatusMsg("Email updated successfully!");
+      await changePassword(passwords.current, passwords.next);
+      setPasswords({ current: "", next: "", confirm: "" });
+      setPasswordStatus({
+        type: "success",
+        text: "Password changed successfully!",
+      });
     } catch (error) {
-      setStatusMsg("Failed to update email: " + error.message);
+      setPasswordStatus({
+        type: "error",
+        text: "Failed to change password: " + error.message,
+      });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  // Converts the picked image to a Base64 data URL (like product images) and uploads it.
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    // Reset the input, so picking the same file again still triggers a change.
+    e.target.value = "";
+    if (!file) return;
+    setAvatarStatus(null);
+    if (!file.type.startsWith("image/")) {
+      setAvatarStatus({ type: "error", text: "Please choose an image file." });
+      return;
+    }
+    if (file.size > MAX_AVATAR_BYTES) {
+      setAvatarStatus({
+        type: "error",
+        text: "The image must be smaller than 1 MB.",
+      });
+      return;
+    }
+    setSavingAvatar(true);
+    const reader = new FileReader();
+    reader.onloadend = async () => {
+      try {
+        await updateAvatar(reader.result);
+        setAvatarStatus({ type: "success", text: "Profile picture updated!" });
+      } catch (error) {
+        setAvatarStatus({
+          type: "error",
+          text: "Failed to upload picture: " + error.message,
+        });
+      } finally {
+        setSavingAvatar(false);
+      }
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const handleAvatarRemove = async () => {
+    setAvatarStatus(null);
+    setSavingAvatar(true);
+    try {
+      await updateAvatar(null);
+      setAvatarStatus({ type: "success", text: "Profile picture removed." });
+    } catch (error) {
+      setAvatarStatus({
+        type: "error",
+        text: "Failed to remove picture: " + error.message,
+      });
+    } finally {
+      setSavingAvatar(false);
     }
   };
 
@@ -28,21 +188,161 @@ const ProfilePage = () => {
 
   return (
     <div className="profile-page">
-      <h2>Update Profile</h2>
-      {statusMsg && <div className="status-message">{statusMsg}</div>}
-      <form onSubmit={handleSubmit} className="profile-form">
-        <label>
-          Email:
-          <input
-            type="email"
-            name="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            required
-          />
-        </label>
-        <button type="submit">Save Changes</button>
-      </form>
+      <h2>My Profile</h2>
+
+      {/* Admins are sent here (see TwoFactorEnrollmentGuard) until they enroll. */}
+      {twoFactorEnrollmentRequired && (
+        <div className="status-message info">
+          Admin accounts must use two-factor authentication. Please set it up
+          below to continue.
+        </div>
+      )}
+
+      {/* Avatar */}
+      <section className="profile-section profile-avatar-section">
+        <UserAvatar user={currentUser} size={96} />
+        <div className="profile-avatar-actions">
+          <label className="profile-upload-button">
+            {savingAvatar ? "Saving..." : "Upload picture"}
+            <input
+              type="file"
+              accept="image/*"
+              onChange={handleAvatarChange}
+              disabled={savingAvatar}
+              hidden
+            />
+          </label>
+          {currentUser.avatar_url && (
+            <button
+              type="button"
+              className="profile-link-button"
+              onClick={handleAvatarRemove}
+              disabled={savingAvatar}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+        <StatusMessage status={avatarStatus} />
+      </section>
+
+      {/* Profile details */}
+      <section className="profile-section">
+        <h3>Profile Details</h3>
+        <StatusMessage status={profileStatus} />
+        {!currentUser.email_verified && !currentUser.pending_email && (
+          <div className="status-message info">
+            Your email address is not verified yet, so you cannot place orders.{" "}
+            <Link to="/verify-email" state={{ from: "/profile" }}>
+              Verify it now
+            </Link>
+          </div>
+        )}
+        {currentUser.pending_email && (
+          <div className="status-message info">
+            Waiting for you to confirm {currentUser.pending_email}. Check that
+            inbox for the verification link.
+          </div>
+        )}
+        <form onSubmit={handleProfileSubmit} className="profile-form">
+          <label>
+            Name:
+            <input
+              type="text"
+              name="name"
+              value={profile.name}
+              onChange={handleProfileChange}
+              autoComplete="name"
+              required
+            />
+          </label>
+          <label>
+            Email:
+            <input
+              type="email"
+              name="email"
+              value={profile.email}
+              onChange={handleProfileChange}
+              autoComplete="email"
+              required
+            />
+          </label>
+          <label>
+            Phone:
+            <input
+              type="tel"
+              name="phone"
+              value={profile.phone}
+              onChange={handleProfileChange}
+              autoComplete="tel"
+              placeholder="10-digit mobile number"
+            />
+          </label>
+          <button type="submit" disabled={savingProfile}>
+            {savingProfile ? "Saving..." : "Save Changes"}
+          </button>
+        </form>
+      </section>
+
+      {/* Saved shipping addresses */}
+      <section className="profile-section">
+        <h3>Saved Addresses</h3>
+        <AddressBook />
+      </section>
+
+      {/* Security: two-factor authentication and the logged-in devices */}
+      <section className="profile-section" id="security">
+        <h3>Security</h3>
+        <h4 id="two-factor">Two-Factor Authentication</h4>
+        <TwoFactorSettings />
+        <h4>Active Sessions</h4>
+        <ActiveSessions />
+      </section>
+
+      {/* Change password */}
+      <section className="profile-section">
+        <h3>Change Password</h3>
+        <StatusMessage status={passwordStatus} />
+        <form onSubmit={handlePasswordSubmit} className="profile-form">
+          <label>
+            Current password:
+            <input
+              type="password"
+              name="current"
+              value={passwords.current}
+              onChange={handlePasswordChange}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          <label>
+            New password:
+            <input
+              type="password"
+              name="next"
+              value={passwords.next}
+              onChange={handlePasswordChange}
+              autoComplete="new-password"
+              required
+            />
+            <PasswordStrengthMeter password={passwords.next} />
+          </label>
+          <label>
+            Confirm new password:
+            <input
+              type="password"
+              name="confirm"
+              value={passwords.confirm}
+              onChange={handlePasswordChange}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+          <button type="submit" disabled={savingPassword}>
+            {savingPassword ? "Saving..." : "Change Password"}
+          </button>
+        </form>
+      </section>
     </div>
   );
 };
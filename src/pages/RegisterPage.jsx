@@ -1,132 +1,246 @@
 import { useContext, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import AuthContext from "../context/AuthContext";
+import PasswordStrengthMeter from "../components/common/PasswordStrengthMeter";
+import { isPasswordAcceptable } from "../utils/passwordStrength";
+import { validateEmail } from "../utils/validation";
 
-const RegisterPage = () => {
-  //here we define javascript code
-
-  // Why we useState
-  //we use the useState hook to manage the form's input state for email and password
-  // as wel as any loading or error states
-  //this line initializes the email state variable with an empty string and provides the `setEmail` function to update it
-  const [email, setEmail] = useState("");
+// The backend names some fields differently from the form.
+const SERVER_FIELD_NAMES = { password_hash: "password" };
 
-  // This line initialize the password state variable and its updater function `setPassword`
-  const [password_hash, setPassword_hash] = useState("");
+/**
+ * @description Checks every field of the registration form.
+ * @param {object} form - `{ email, password, confirmPassword, acceptedTerms }`.
+ * @returns {object} Error messages keyed by field; empty when the form is valid.
+ */
+const validateRegistration = ({ email, password, confirmPassword, acceptedTerms }) => {
+  const errors = {};
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (!isPasswordAcceptable(password)) {
+    errors.password = "Please choose a stronger password.";
+  }
+  if (password !== confirmPassword) {
+    errors.confirmPassword = "The passwords do not match.";
+  }
+  if (!acceptedTerms) {
+    errors.accepted_terms = "Please accept the terms and privacy policy.";
+  }
+  return errors;
+};
 
-  // This line initialize the `state` , which tracks wether the registration in process is in progress
+const RegisterPage = () => {
+  // Why we useState
+  // we use the useState hook to manage the form's input state
+  // as well as the field errors, the form error and the loading state
+  const [form, setForm] = useState({
+    email: "",
+    password: "",
+    confirmPassword: "",
+    acceptedTerms: false,
+  });
+  // Error messages keyed by field, from our own checks or from the backend.
+  const [fieldErrors, setFieldErrors] = useState({});
+  // This line initializes the `loading` state, which tracks whether the registration is in progress
   const [loading, setLoading] = useState(false);
-  //this line initialize the error state which score any registration error message
+  // this line initializes the error state which stores the general registration error message
   const [error, setError] = useState(null);
 
-  const { registerAuth } = useContext(AuthContext);
-  //way we use an asynchronous for 'handelSubmit':
-  //the registration process involves a request to the backend, which is an
-  //asynchronous operation. using async/await makes the code more readable and
-  //helps us  handel the sequence  of event (sending the request , waiting for a response)..
-  //this asynchronous function is called when the form is submitted
-  const handleSubmit = async (e) => {
-    // e. preventDefault()' prevent the default from submission behavior  , which could cause  a page reload
-    e.preventDefault();
+  const { registerAuth, loginAuth } = useContext(AuthContext);
+  const navigate = useNavigate();
+  // A guest sent here from a protected page (e.g. the cart) returns to it after signing up.
+  const location = useLocation();
+  const from = location.state?.from;
+  const redirectTo = from
+    ? `${from.pathname}${from.search || ""}${from.hash || ""}`
+    : "/home";
 
-    // set the `loading` state to `true to indicate that the registration process has started
-    setLoading(true);
+  // One change handler for every input; checkboxes use `checked` instead of `value`.
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === "checkbox" ? checked : value });
+    // The error of a field disappears as soon as the user edits it.
+    if (fieldErrors[name] || (name === "acceptedTerms" && fieldErrors.accepted_terms)) {
+      setFieldErrors({ ...fieldErrors, [name]: undefined, accepted_terms: undefined });
+    }
+  };
 
-    // clear any previous error messages before attempting a new registration
+  // why we use an asynchronous function for `handleSubmit`:
+  // the registration involves requests to the backend (sign up, then log in),
+  // and async/await keeps that sequence readable.
+  const handleSubmit = async (e) => {
+    // `e.preventDefault()` prevents the default form submission behavior, which would cause a page reload
+    e.preventDefault();
     setError(null);
+    // Check the fields before bothering the backend.
+    const errors = validateRegistration(form);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
 
-    // A `try...catch` block is handel success and failure of the asynchronous operation.
+    // set the `loading` state to `true` to indicate that the registration process has started
+    setLoading(true);
     try {
-      //call the `register` function from the AuthContext
-      //thw `await` keyword pause the execution until the `register` promise is resolved
-      await registerAuth(email, password_hash);
-    } catch {
-      //if an error occurs during registrations, the `catch` block is executed..
-      //log the error to the console for debugging purpose
-      console.error(error);
-      //we check for a specific error message to provide better feedback to the user
-      //the `?` operator, which is shorthand of an `if..else` statement
-      const errorMessage =
-        error.Message === "email already exist"
-          ? "this email is already in use please try in different one"
-          : "failed to register please try again later";
-      //set the error  state with the appropriate message, which will be displayed fo an `if... else`statement.
-      setError(errorMessage);
-    } finally {
+      // call the `registerAuth` function from the AuthContext, recording the user's consent
+      await registerAuth(form.email.trim(), form.password, {
+        accepted_terms: true,
+      });
+    } catch (err) {
+      // if the registration fails, the `catch` block gets the error thrown by the service
+      console.error(err);
+      // field-level errors from the backend are shown under the matching input
+      const serverErrors = {};
+      Object.entries(err.data?.errors || {}).forEach(([field, message]) => {
+        serverErrors[SERVER_FIELD_NAMES[field] || field] = message;
+      });
+      setFieldErrors(serverErrors);
+      setError(
+        err.status === 409
+          ? "This email is already in use. Please log in or use a different one."
+          : err.message || "Failed to register. Please try again later."
+      );
       setLoading(false);
-      setEmail("");
-      setPassword_hash("");
+      // The fields keep their values, so the user only has to fix what is wrong.
+      return;
+    }
+
+    try {
+      // The account exists now: log the user in right away. The "check your inbox"
+      // screen comes next and leads back to where the user was going.
+      await loginAuth(form.email.trim(), form.password);
+      navigate("/verify-email", {
+        replace: true,
+        state: { from: redirectTo, justSent: true },
+      });
+    } catch (err) {
+      // Very unlikely, but the account was created: send the user to the login page.
+      console.error(err);
+      navigate("/login", { replace: true, state: { from } });
     }
   };
-  //THe `return` statement renders  the component's JSX( React's syntax for HTML-like code)
+
+  // Bootstrap classes for an input, red when the field has an error.
+  const inputClass = (field) =>
+    `form-control ${fieldErrors[field] ? "is-invalid" : ""}`;
+
+  //The `return` statement renders the component's JSX (React's syntax for HTML-like code)
   return (
-    // WE use the standard html tags with bootstrap class for styling to maintain
+    // We use standard html tags with bootstrap classes for styling to maintain
     // consistency across our components...
-    // This is the main container `div` with Bootstrap classes for content
     <div
       className="container d-flex justify-content-center align-items-center"
       style={{ minHeight: "80vh" }}
     >
-      {/* this `div` acts as card with padding a shadow and a fixed width */}
+      {/* this `div` acts as a card with padding, a shadow and a fixed width */}
       <div className="card p-4 shadow-sm" style={{ width: "25rem" }}>
         {/*  A heading for the form */}
-        <h2 className="text-center mb-4" style={{color: '#351804'}}>Register</h2>
-        {/* WE use conditiona
-        l rendering to shoe an error message if the error state is not null  */}
-        {/* if `error` is a truthy value, The `div` with the alert will be rendered */}
+        <h2 className="text-center mb-4" style={{ color: "#351804" }}>
+          Register
+        </h2>
+        {/* if `error` is a truthy value, the `div` with the alert will be rendered */}
         {error && <div className="alert alert-danger">{error}</div>}
-        {/* The form element with an `onSubmit` event handler that calls handel submit function*/}
-        <form onSubmit={handleSubmit}>
-          {/* A `div` For the email input  */}
+        {/* `noValidate` lets our own checks (with clearer messages) run instead of the browser's */}
+        <form onSubmit={handleSubmit} noValidate>
+          {/* Email */}
           <div className="mb-3">
-            {/* A label for the email input . `htmlFor`links it to the input field id */}
             <label htmlFor="formEmail" className="form-label">
-              Email <address></address>
+              Email address
             </label>
-            {/* the email input field */}
             <input
               type="email"
-              className="form-control"
+              className={inputClass("email")}
               id="formEmail"
-              placeholder="Enter your Email"
-              //`value={email} `binds the inputs values to the email state
-              value={email}
-              // `onChange` updates the `email` state whenever the user types
-              onChange={(e) => setEmail(e.target.value)}
-              //`required` is an HTML attribute that make the field mandatory
+              name="email"
+              placeholder="Enter your email"
+              autoComplete="email"
+              value={form.email}
+              onChange={handleChange}
               required
             />
-            <div className="mb-3">
-              {/* A label for the password input . `htmlFor`links it to the input field id */}
-              <label htmlFor="formPassword" className="form-label">
-                password <address></address>
-              </label>
-              {/* the password input field */}
-              <input
-                type="password"
-                className="form-control"
-                id="formPassword"
-                placeholder="Enter your password"
-                //`value={password} `binds the inputs values to the password state
-                value={password_hash}
-                // `onChange` updates the `password` state whenever the user types
-                onChange={(e) => setPassword_hash(e.target.value)}
-                //`required` is an HTML attribute that make the field mandatory
-                required
-              />
-            </div>
+            {fieldErrors.email && (
+              <div className="invalid-feedback">{fieldErrors.email}</div>
+            )}
+          </div>
+          {/* Password, with the strength meter */}
+          <div className="mb-3">
+            <label htmlFor="formPassword" className="form-label">
+              Password
+            </label>
+            <input
+              type="password"
+              className={inputClass("password")}
+              id="formPassword"
+              name="password"
+              placeholder="Choose a password"
+              autoComplete="new-password"
+              value={form.password}
+              onChange={handleChange}
+              required
+            />
+            {fieldErrors.password && (
+              <div className="invalid-feedback">{fieldErrors.password}</div>
+            )}
+            <PasswordStrengthMeter password={form.password} />
+          </div>
+          {/* Confirm password */}
+          <div className="mb-3">
+            <label htmlFor="formConfirmPassword" className="form-label">
+              Confirm password
+            </label>
+            <input
+              type="password"
+              className={inputClass("confirmPassword")}
+              id="formConfirmPassword"
+              name="confirmPassword"
+              placeholder="Enter the password again"
+              autoComplete="new-password"
+              value={form.confirmPassword}
+              onChange={handleChange}
+              required
+            />
+            {fieldErrors.confirmPassword && (
+              <div className="invalid-feedback">{fieldErrors.confirmPassword}</div>
+            )}
+          </div>
+          {/* Consent to the terms and the privacy policy */}
+          <div className="form-check mb-3">
+            <input
+              type="checkbox"
+              className={`form-check-input ${
+                fieldErrors.accepted_terms ? "is-invalid" : ""
+              }`}
+              id="formTerms"
+              name="acceptedTerms"
+              checked={form.acceptedTerms}
+              onChange={handleChange}
+            />
+            <label htmlFor="formTerms" className="form-check-label small">
+              I agree to the{" "}
+              <Link to="/terms" target="_blank" rel="noopener noreferrer">
+                Terms of Use
+              </Link>{" "}
+              and the{" "}
+              <Link to="/privacy" target="_blank" rel="noopener noreferrer">
+                Privacy Policy
+              </Link>
+              .
+            </label>
+            {fieldErrors.accepted_terms && (
+              <div className="invalid-feedback">{fieldErrors.accepted_terms}</div>
+            )}
           </div>
-          {/*  the submit button */}
+          {/*  the submit button, disabled while a request is in progress */}
           <button
             type="submit"
-            className="btn btn-primary w-100" 
-            //the `disabled` attribute is set `true` if `loading` true
-            // preventing multiple submission while a request is in progress
-            // disabled
+            className="btn btn-primary w-100"
+            disabled={loading}
           >
-            {/*  This uses a ternary operator to   conditionally change the button text */}
+            {/*  This uses a ternary operator to conditionally change the button text */}
             {loading ? "Registering..." : "Register"}
           </button>
         </form>
+        <p className="text-center small mt-3 mb-0">
+          Already have an account? <Link to="/login">Log in</Link>
+        </p>
       </div>
     </div>
   );
@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { FaLock, FaKey, FaSpinner } from "react-icons/fa";
+import authService from "../services/authService";
+import PasswordStrengthMeter from "../components/common/PasswordStrengthMeter";
+import { isPasswordAcceptable } from "../utils/passwordStrength";
+import "../styles/LoginPage.css"; // Shares the look of the login page.
+/**
+ * @description The second step of account recovery, opened from the emailed link.
+ * The token in the URL proves the user owns the account; on success the user is
+ * sent to the login page with a confirmation notice.
+ */
+const ResetPasswordPage = () => {
+  // The token comes from the `/reset-password/:token` link.
+  const { token } = useParams();
+  const navigate = useNavigate();
+  // State management for both password inputs, errors and the loading status.
+  const [password_hash, setPassword_hash] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState(null);
+  // Shown under the password field (e.g. too weak, or too short for the backend).
+  const [passwordError, setPasswordError] = useState(null);
+  // True when the backend rejected the link itself (e.g. it expired).
+  const [linkRejected, setLinkRejected] = useState(false);
+  const [loading, setLoading] = useState(false);
+  /**
+   * @description Validates the new password locally, then sends it with the token.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setPasswordError(null);
+    setLinkRejected(false);
+    // Check the password before bothering the backend.
+    if (!isPasswordAcceptable(password_hash)) {
+      setPasswordError("Please choose a stronger password.");
+      return;
+    }
+    if (password_hash !== confirmPassword) {
+      setError("The passwords do not match.");
+      return;
+    }
+    setLoading(true);
+    try {
+      await authService.resetPassword(token, password_hash);
+      // `replace` keeps the used reset link out of the history.
+      navigate("/login", { replace: true, state: { passwordReset: true } });
+    } catch (err) {
+      const message =
+        err.message || "Could not reset your password. Please try again.";
+      if (err.data?.code === "invalid_reset_token") {
+        // e.g. "This reset link is invalid or has expired."
+        setError(message);
+        setLinkRejected(true);
+      } else if (err.status === 400) {
+        // The backend refused the password itself (e.g. too short); the link is fine.
+        setPasswordError(message);
+      } else {
+        setError(message);
+      }
+      setLoading(false);
+    }
+  };
+  return (
+    <div className="login-page-container d-flex flex-column justify-content-center align-items-center vh-100 position-relative text-white overflow-hidden">
+      {/* Dynamic Floating Shapes Background */}
+      <div className="animated-shapes"></div>
+      <div className="login-panel p-5 rounded-4 shadow-lg animate__fadeInUp">
+        <div className="text-center mb-5">
+          <h2 className="fw-bold mb-1" style={{ color: "#351804" }}>
+            Reset Password
+          </h2>
+          <p className="text-muted">Choose a new password for your account</p>
+        </div>
+        {/* Error message display, with a way to ask for a new link */}
+        {error && (
+          <div className="alert alert-danger animate__shake" role="alert">
+            {error}{" "}
+            {linkRejected && (
+              <Link to="/forgot-password" className="alert-link">
+                Request a new link
+              </Link>
+            )}
+          </div>
+        )}
+        <form onSubmit={handleSubmit}>
+          {/* New Password Input Field with the strength meter */}
+          <div className="form-group mb-4">
+            <div className="input-group input-group-lg">
+              <span className="input-group-text">
+                <FaLock />
+              </span>
+              <input
+                type="password"
+                className="form-control"
+                placeholder="New password"
+                autoComplete="new-password"
+                value={password_hash}
+                onChange={(e) => setPassword_hash(e.target.value)}
+                required
+              />
+            </div>
+            <PasswordStrengthMeter password={password_hash} />
+            {passwordError && (
+              <small className="text-danger">{passwordError}</small>
+            )}
+          </div>
+          {/* Confirm Password Input Field */}
+          <div className="form-group mb-4">
+            <div className="input-group input-group-lg">
+              <span className="input-group-text">
+                <FaLock />
+              </span>
+              <input
+                type="password"
+                className="form-control"
+                placeholder="Confirm new password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+              />
+            </div>
+            {confirmPassword && confirmPassword !== password_hash && (
+              <small className="text-danger">The passwords do not match.</small>
+            )}
+          </div>
+          {/* Submit Button with Loading State */}
+          <div className="d-grid mt-4">
+            <button
+              type="submit"
+              className="btn btn-primary btn-lg rounded-pill fw-bold login-btn"
+              disabled={loading}
+            >
+              {loading ? (
+                <>
+                  <FaSpinner className="spinner me-2" />
+                  <span className="ms-2">Resetting...</span>
+                </>
+              ) : (
+                <>
+                  <FaKey className="me-2" />
+                  <span>Reset Password</span>
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+        <div className="text-center mt-4">
+          <Link to="/login" className="small">
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default ResetPasswordPage;
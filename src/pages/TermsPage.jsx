@@ -0,0 +1,42 @@
+import React from "react";
+import { Link } from "react-router-dom";
+/**
+ * @description The terms of use, accepted by every customer when registering.
+ */
+const TermsPage = () => {
+  return (
+    <div className="container my-5" style={{ maxWidth: "760px" }}>
+      <h2 className="fw-bold mb-4" style={{ color: "#351804" }}>
+        Terms of Use
+      </h2>
+      <p>
+        By creating an account on Protein Point you agree to these terms. Please
+        read them together with our{" "}
+        <Link to="/privacy">Privacy Policy</Link>.
+      </p>
+      <h5 className="fw-bold mt-4">Your account</h5>
+      <p>
+        You are responsible for keeping your password safe and for all orders
+        placed with your account. Tell us right away if you think someone else
+        has access to it.
+      </p>
+      <h5 className="fw-bold mt-4">Orders and prices</h5>
+      <p>
+        All prices are in Indian Rupees. An order is confirmed once we accept it;
+        we may cancel an order if a product is out of stock or was priced
+        incorrectly, and refund anything you paid.
+      </p>
+      <h5 className="fw-bold mt-4">Health information</h5>
+      <p>
+        Our supplements are not a substitute for a balanced diet. Ask a doctor
+        before use if you are pregnant, nursing or have a medical condition.
+      </p>
+      <h5 className="fw-bold mt-4">Changes</h5>
+      <p>
+        We may update these terms. The version shown here is the one that
+        applies to new orders.
+      </p>
+    </div>
+  );
+};
+export default TermsPage;
@@ -0,0 +1,19 @@
+import React from "react";
+import { Link } from "react-router-dom";
+/**
+ * @description Shown by `RoleRoute` when a logged-in user opens a screen their role does not allow.
+ */
+const UnauthorizedPage = () => {
+  return (
+    <div className="container mt-5 text-center">
+      <h2 className="fw-bold text-danger">Access Denied</h2>
+      <p className="lead">
+        Your account does not have permission to view this page.
+      </p>
+      <Link to="/products" className="btn btn-primary mt-3">
+        Back to Products
+      </Link>
+    </div>
+  );
+};
+export default UnauthorizedPage;
@@ -0,0 +1,69 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { FaSpinner, FaCheckCircle, FaTimesCircle } from "react-icons/fa";
+import AuthContext from "../context/AuthContext";
+import "../styles/LoginPage.css"; // Shares the look of the login page.
+/**
+ * @description Opened from the emailed verification link. It confirms the address
+ * as soon as the page loads and shows the outcome.
+ */
+const VerifyEmailPage = () => {
+  // The token comes from the `/verify-email/:token` link.
+  const { token } = useParams();
+  const { currentUser, confirmEmail } = useContext(AuthContext);
+  // "verifying" → "verified" or "failed".
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  // Verification links are single use: make sure the request is sent only once,
+  // even when React runs the effect twice in development.
+  const requested = useRef(false);
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+    confirmEmail(token)
+      .then((data) => {
+        setStatus("verified");
+        setMessage(data.message || "Your email address has been verified.");
+      })
+      .catch((error) => {
+        setStatus("failed");
+        setMessage(error.message || "We could not verify your email address.");
+      });
+  }, [confirmEmail, token]);
+  return (
+    <div className="login-page-container d-flex flex-column justify-content-center align-items-center vh-100 position-relative text-white overflow-hidden">
+      {/* Dynamic Floating Shapes Background */}
+      <div className="animated-shapes"></div>
+      <div className="login-panel p-5 rounded-4 shadow-lg animate__fadeInUp text-center">
+        <h2 className="fw-bold mb-4" style={{ color: "#351804" }}>
+          Email Verification
+        </h2>
+        {status === "verifying" && (
+          <p className="text-muted">
+            <FaSpinner className="spinner me-2" />
+            Verifying your email address...
+          </p>
+        )}
+        {status === "verified" && (
+          <div className="alert alert-success" role="alert">
+            <FaCheckCircle className="me-2" />
+            {message}
+          </div>
+        )}
+        {status === "failed" && (
+          <div className="alert alert-danger animate__shake" role="alert">
+            <FaTimesCircle className="me-2" />
+            {message}
+          </div>
+        )}
+        {/* Where to go next depends on whether the user is logged in here. */}
+        {status !== "verifying" && (
+          <Link to={currentUser ? "/profile" : "/login"} className="small">
+            {currentUser ? "Go to your profile" : "Go to login"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+export default VerifyEmailPage;
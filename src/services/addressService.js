@@ -0,0 +1,87 @@
+import apiClient from "./apiClient";
+
+// The base path for the address book endpoints (the host comes from the shared client).
+const API_ADDRESSES_URL = "/users/addresses";
+/**
+ * @description This service handles all API calls related to the user's saved
+ * shipping addresses (the address book on the profile page and at checkout).
+ * The session token is attached by the shared `apiClient`.
+ */
+const addressService = {
+  /**
+   * @description Fetches the saved addresses of the authenticated user.
+   * @returns {Promise<Array>} The addresses, the default one first.
+   */
+  getAddresses: async () => {
+    try {
+      const response = await apiClient.get(API_ADDRESSES_URL);
+      return response.data.addresses || [];
+    } catch (error) {
+      console.error("Error in addressService.getAddresses:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Saves a new address. The first address becomes the default.
+   * @param {object} address - `{ name, phone, line1, line2, city, state, pincode, is_default }`.
+   * @returns {Promise<object>} The saved address.
+   */
+  createAddress: async (address) => {
+    try {
+      const response = await apiClient.post(API_ADDRESSES_URL, address);
+      return response.data.address;
+    } catch (error) {
+      console.error("Error in addressService.createAddress:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Updates a saved address.
+   * @param {number} addressId - The ID of the address to update.
+   * @param {object} address - The new field values.
+   * @returns {Promise<object>} The updated address.
+   */
+  updateAddress: async (addressId, address) => {
+    try {
+      const response = await apiClient.put(
+        `${API_ADDRESSES_URL}/${addressId}`,
+        address
+      );
+      return response.data.address;
+    } catch (error) {
+      console.error("Error in addressService.updateAddress:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Deletes a saved address. Orders keep their own copy of the address.
+   * @param {number} addressId - The ID of the address to delete.
+   * @returns {Promise<boolean>} Resolves to true on successful deletion.
+   */
+  deleteAddress: async (addressId) => {
+    try {
+      await apiClient.delete(`${API_ADDRESSES_URL}/${addressId}`);
+      return true;
+    } catch (error) {
+      console.error("Error in addressService.deleteAddress:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Makes an address the default one (preselected at checkout).
+   * @param {number} addressId - The ID of the new default address.
+   * @returns {Promise<object>} The updated address.
+   */
+  setDefaultAddress: async (addressId) => {
+    try {
+      const response = await apiClient.put(
+        `${API_ADDRESSES_URL}/${addressId}/default`
+      );
+      return response.data.address;
+    } catch (error) {
+      console.error("Error in addressService.setDefaultAddress:", error);
+      throw error;
+    }
+  },
+};
+export default addressService;
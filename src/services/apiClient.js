@@ -0,0 +1,133 @@
+// src/services/apiClient.js
+// This module exposes the single configured HTTP client that every service uses.
+// It is responsible for:
+// - reading the backend base URL from `VITE_API_BASE_URL`,
+// - attaching the session token to every request automatically (or sending the
+//   session cookies in cookie mode, see sessionStore),
+// - turning every failure into the same `ApiError` shape,
+// - refreshing the access token once and retrying when the backend answers 401,
+// - emitting one "session expired" signal when that refresh is not possible.
+import axios from "axios";
+import sessionStore from "./sessionStore";
+
+// The base URL for the backend API, configured through the Vite environment.
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+/**
+ * @description The error every service throws. Components only need to read
+ * `error.message`; `status` and `data` are kept for the cases that need more.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - A human readable message (from the backend when available).
+   * @param {number|null} status - The HTTP status code, or null for network failures.
+   * @param {object|null} data - The raw response body sent by the backend.
+   */
+  constructor(message, status = null, data = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// The listeners that want to know when the backend rejects our session.
+// A Set is used so the same listener is never registered twice.
+const sessionExpiredListeners = new Set();
+
+/**
+ * @description Registers a callback that runs whenever an authenticated request gets a 401.
+ * @param {Function} listener - Called with the `ApiError` that triggered the signal.
+ * @returns {Function} A function that removes the listener again.
+ */
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+// The function that renews the access token (registered by AuthContext).
+// It lives outside this module because it also has to update the React state.
+let tokenRefresher = null;
+
+/**
+ * @description Registers the function used to renew the access token after a 401.
+ * @param {Function|null} refresher - Resolves once a new token is stored; rejects when the refresh fails.
+ */
+export const setTokenRefresher = (refresher) => {
+  tokenRefresher = refresher;
+};
+
+/**
+ * @description Converts any axios failure into an `ApiError`.
+ * @param {object} error - The error raised by axios.
+ * @returns {ApiError} The normalized error.
+ */
+const normalizeError = (error) => {
+  // The request reached the server and it answered with an error status.
+  if (error.response) {
+    const { status, data } = error.response;
+    const message =
+      data?.message || error.message || "The request could not be completed.";
+    return new ApiError(message, status, data ?? null);
+  }
+  // The request was sent but no response arrived (server down, CORS, offline).
+  if (error.request) {
+    return new ApiError(
+      "Unable to reach the server. Please check your connection and try again."
+    );
+  }
+  // Something went wrong while preparing the request.
+  return new ApiError(error.message || "An unexpected error occurred.");
+};
+
+// The shared axios instance. Every service imports this instead of `axios`.
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    "Content-Type": "application/json",
+  },
+  // In cookie mode the httpOnly session cookies must travel with every request.
+  withCredentials: sessionStore.isCookieMode(),
+});
+
+// Request interceptor: attach the token of the current session, if there is one.
+apiClient.interceptors.request.use((config) => {
+  const accessToken = sessionStore.getAccessToken();
+  if (accessToken) {
+    config.headers.Authorization = `Bearer ${accessToken}`;
+  }
+  return config;
+});
+
+// Response interceptor: normalize errors, refresh expired tokens and signal dead sessions.
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const apiError = normalizeError(error);
+    const originalRequest = error.config;
+    // Only requests that carried a session (a token, or the cookies of a logged-in
+    // user) can "expire". A 401 from the login endpoint simply means the credentials
+    // were wrong. The refresh request itself opts out with `skipAuthRefresh`, its
+    // caller handles the failure.
+    const sentSession =
+      Boolean(originalRequest?.headers?.Authorization) ||
+      (sessionStore.isCookieMode() && Boolean(sessionStore.getUser()));
+    if (apiError.status === 401 && sentSession && !originalRequest.skipAuthRefresh) {
+      // Retry each request at most once, with the token from a fresh refresh.
+      if (tokenRefresher && !originalRequest._retried) {
+        originalRequest._retried = true;
+        try {
+          await tokenRefresher();
+          // The request interceptor attaches the new token.
+          return apiClient(originalRequest);
+        } catch {
+          // The refresh failed: fall through and end the session.
+        }
+      }
+      sessionExpiredListeners.forEach((listener) => listener(apiError));
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+export default apiClient;
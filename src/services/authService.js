@@ -1,52 +1,37 @@
 // This service is responsible for all authentication-related API calls.
 
-import axios from "axios";
+import apiClient from "./apiClient";
+import sessionStore from "./sessionStore";
 
 // By centralizing these functions, we keep our components focused on the UI.
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-// This line defines the base URL for the backend API endpoints.
-// It's a constant variable that makes the code easier to maintain, as you only have to change the URL in one place
-const API_URL = `${API_BASE_URL}/users`;
+// This line defines the path for the user endpoints. The host and the JSON
+// headers come from the shared `apiClient`, so we only have to change them in one place.
+const API_URL = "/users";
 // This is an asynchronous function that handles user registration.
 // It takes `email` and `password` as input.
 /**
  * @description: Registers a new user with the backend API.
  * @param {string} email - The user's email address.
  * @param {string} password - The user's password.
+ * @param {object} [consent] - `{ accepted_terms }`: the user agreed to the terms and privacy policy.
  * @returns {object} The response data from the API.
  */
-const register = async (email, password_hash) => {
+const register = async (email, password_hash, consent = {}) => {
   // A `try...catch` block is used to handle success and failure of the API call.
   try {
-    // `fetch()` is a built-in browser API used to make network requests.
-    // It's called with the full registration URL and an options object.
-    const response = await fetch(`${API_URL}/register`, {
-      // `method: "POST"` specifies that this is a POST request, used for creating a new resource (a new user).
-      method: "POST",
-      // `headers` contains metadata about the request.
-      headers: {
-        // `"Content-Type": "application/json"` tells the server that the request body is a JSON object.
-        "Content-Type": "application/json",
-      },
-      // `body` contains the data sent to the server.
-      // `JSON.stringify()` converts the JavaScript object `{ email, password }` into a JSON string.
-      body: JSON.stringify({ email, password_hash }),
+    // `apiClient.post()` sends the credentials as a JSON body to the registration endpoint.
+    // Any non-2xx answer (e.g., 400 Bad Request, 409 Conflict) is thrown as an `ApiError`
+    // whose message is taken from the backend response (`data.message`); field-level
+    // problems come in `data.errors`, keyed by field name.
+    const response = await apiClient.post(`${API_URL}/register`, {
+      email,
+      password_hash,
+      ...consent,
     });
-    // `response.json()` parses the JSON response body from the server. It's an asynchronous operation.
-
-    //`response.json()` converts the json string into javascript object
-    const data = await response.json();
-    // `response.ok` is a boolean property that is `true` if the HTTP status code is in the 200-299 range.
-    // If it's not `ok`, it means the request failed (e.g., 400 Bad Request, 409 Conflict, 500 Internal Server Error).
-    if (!response.ok) {
-      // If the response is not OK, we throw a new `Error`.
-      // The error message is taken from the backend response (`data.message`) or a default message is used.
-      throw new Error(data.message || "Registration failed.");
-    }
     // If the registration is successful, the function returns the data from the API.
-    return data;
+    return response.data;
   } catch (error) {
-    // If a network error or the `throw new Error` happens, this `catch` block runs.
+    // If a network error or a backend error happens, this `catch` block runs.
     // The error is logged to the console for debugging.
     console.error("Error in auth.service.register:", error);
     // The error is re-thrown so the calling component can handle it and update its state (e.g., show an error message).
@@ -54,96 +39,483 @@ const register = async (email, password_hash) => {
   }
 };
 
+/**
+ * @description: Checks that a login or refresh response carries a session.
+ * In cookie mode the session is in the cookies, so only the user is expected.
+ * @param {object|undefined} user - The `user` object of the response.
+ * @returns {boolean}
+ */
+const hasSession = (user) =>
+  Boolean(user && (user.token || sessionStore.isCookieMode()));
+
 // This asynchronous function handles user login. It's similar to `register`.
 /**
  * @description: Logs in a user and stores the token in local storage.
+ * Accounts with two-factor authentication get no session yet: the backend answers
+ * with a challenge, which is finished by `verifyTwoFactorLogin`.
  * @param {string} email - The user's email address.
  * @param {string} password_hash - The user's password.
- * @returns {object} The user and token data.
+ * @param {boolean} [remember=false] - "Remember me": keep the session after the browser closes.
+ * @returns {object} The user and token data, or `{ twoFactorRequired: true, challengeToken }`.
  */
 
-const login = async (email, password_hash) => {
+const login = async (email, password_hash, remember = false) => {
   try {
     // Make a `POST` request to the `/login` endpoint with the user's credentials.
-    const response = await fetch(`${API_URL}/login`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ email, password_hash }),
+    // `remember_me` lets a cookie-mode backend choose between a persistent and a session cookie.
+    const response = await apiClient.post(`${API_URL}/login`, {
+      email,
+      password_hash,
+      remember_me: remember,
     });
-    // Parse the JSON response.
-    const data = await response.json();
-    // Log the response data for debugging.
-    console.log("Step 1: Login API Response Data:", data);
-    // Check if the response was successful.
-    if (!response.ok) {
-      throw new Error(data.message || "Login failed.");
+    // Axios already parsed the JSON response for us.
+    const data = response.data;
+    // The password was right, but a code from the authenticator app is needed too.
+    if (data.two_factor_required) {
+      return { twoFactorRequired: true, challengeToken: data.challenge_token };
     }
     // Now, correctly extract the token and user data from the nested 'user' object
     // Destructure the `user` object from the `data` response.
     const { user } = data;
-    // Destructure the `token` from the `user` object and rename it to `accessToken`.
-    const { token: accessToken } = user;
     // Check if the token or user object is missing, which indicates a login failure.
-    if (!accessToken || !user) {
+    if (!hasSession(user)) {
       throw new Error("Login failed: Missing token or user data in response.");
     }
-    // Store the token and user data for persistence across page refreshes.
-    // `localStorage.setItem` stores key-value pairs in the browser's local storage.
-    // We store the `accessToken` directly.
-    localStorage.setItem("accessToken", accessToken);
-    // We store the `user` object after converting it to a JSON string using `JSON.stringify()`.
-    localStorage.setItem("user", JSON.stringify(user));
-    // Return the user data to the component.
-    return user;
-    // Why we store the token:
-    // We store the token in local storage so that the user remains logged in
-    // even if they refresh the page. This token is a key piece of information
-    // that allows us to authenticate future requests to protected routes.
+    // Store the session through the session store, then return the user data to the component.
+    return sessionStore.saveSession(user, { remember });
+    // Why we store the session:
+    // We store it so that the user remains logged in even if they refresh the page
+    // (and, with "Remember me", after restarting the browser). The shared `apiClient`
+    // reads the token from the same store to authenticate future requests.
   } catch (error) {
     // Handle errors by logging and re-throwing them.
     console.error("Error in auth.service.login:", error);
     throw error;
   }
 };
+// This asynchronous function finishes a login that needs a second factor.
+/**
+ * @description: Sends the 6-digit code (or a backup code) for a login challenge
+ * and stores the session. A wrong code is answered with a 400 `ApiError`; an
+ * expired challenge (or too many wrong codes) with a 401.
+ * @param {string} challenge_token - The token returned by `login`.
+ * @param {string} code - The code from the authenticator app, or a backup code.
+ * @param {boolean} [remember=false] - The "Remember me" choice of the first step.
+ * @returns {object} The user and token data.
+ */
+const verifyTwoFactorLogin = async (challenge_token, code, remember = false) => {
+  try {
+    const response = await apiClient.post(`${API_URL}/login/2fa`, {
+      challenge_token,
+      code,
+      remember_me: remember,
+    });
+    const { user } = response.data;
+    if (!hasSession(user)) {
+      throw new Error("Login failed: Missing token or user data in response.");
+    }
+    return sessionStore.saveSession(user, { remember });
+  } catch (error) {
+    console.error("Error in auth.service.verifyTwoFactorLogin:", error);
+    throw error;
+  }
+};
+// This asynchronous function exchanges the refresh token for a new access token.
+/**
+ * @description: Renews the session before (or after) the access token expires.
+ * @returns {object} The user object with the new token.
+ */
+const refreshAccessToken = async () => {
+  try {
+    // In cookie mode the refresh token travels as a cookie instead.
+    const storedRefreshToken = sessionStore.getRefreshToken();
+    if (!storedRefreshToken && !sessionStore.isCookieMode()) {
+      throw new Error("No refresh token available.");
+    }
+    // `skipAuthRefresh` stops the API client from trying to refresh this request itself.
+    const response = await apiClient.post(
+      `${API_URL}/refresh-token`,
+      storedRefreshToken ? { refreshToken: storedRefreshToken } : {},
+      { skipAuthRefresh: true }
+    );
+    const { user } = response.data;
+    if (!hasSession(user)) {
+      throw new Error("Refresh failed: Missing token in response.");
+    }
+    // The session stays in the storage it was in ("Remember me" or not).
+    return sessionStore.saveSession(user);
+  } catch (error) {
+    console.error("Error in auth.service.refreshAccessToken:", error);
+    throw error;
+  }
+};
 // This function handles user logout. It's a synchronous operation.
 /**
- * @description: Logs out the user by removing their data from local storage.
+ * @description: Logs out the user by removing their session from the browser.
  * @returns {void}
  */
 const logout = () => {
-  // `localStorage.removeItem()` removes a specific item from local storage by its key.
-  // This is how we log the user out: by deleting their authentication data.
-  // Why we use localStorage.removeItem:
+  // Why we clear the session store:
   // When the user logs out, we need to completely remove the token and user
   // data from the browser's storage to prevent unauthorized access.
-  localStorage.removeItem("user");
-  localStorage.removeItem("accessToken");
+  const hadSession = Boolean(sessionStore.getUser());
+  const refreshToken = sessionStore.getRefreshToken();
+  sessionStore.clearSession();
+  // The backend ends the session of this device (and removes httpOnly cookies,
+  // which only it can do). The request is not awaited: the user is logged out
+  // in the UI either way.
+  if (hadSession && (refreshToken || sessionStore.isCookieMode())) {
+    apiClient
+      .post(
+        `${API_URL}/logout`,
+        refreshToken ? { refreshToken } : {},
+        { skipAuthRefresh: true }
+      )
+      .catch((error) => console.error("Error in auth.service.logout:", error));
+  }
 };
-const updateProfile = async ({ email }) => {
+// This asynchronous function restores a cookie session after a page load.
+/**
+ * @description: Asks the backend who is logged in (cookie mode, where the frontend
+ * cannot read the token). An expired access cookie is renewed once.
+ * @returns {object|null} The session user, or null when there is no session.
+ */
+const restoreSession = async () => {
   try {
-    const accessToken = localStorage.getItem("accessToken");
-    const response = await axios.put(`${API_URL}/profile-update`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-      },
+    const response = await apiClient.get(`${API_URL}/session`, {
+      skipAuthRefresh: true,
     });
-    const data = await response.json();
-    if (!response.ok) {
-      throw new Error(data.message || "Profile update failed.");
-    }
-    return data.user || data;
+    return sessionStore.saveSession(response.data.user);
+  } catch (error) {
+    if (error.status !== 401) throw error;
+  }
+  try {
+    return await refreshAccessToken();
+  } catch {
+    // No valid refresh cookie either: nobody is logged in.
+    sessionStore.clearSession();
+    return null;
+  }
+};
+// This asynchronous function starts the "forgot password" flow.
+/**
+ * @description: Asks the backend to email a password reset link.
+ * The answer is the same whether or not the email belongs to an account,
+ * so the form cannot be used to find out who is registered.
+ * @param {string} email - The email address of the account.
+ * @returns {object} The response data from the API (`{ success, message }`).
+ */
+const requestPasswordReset = async (email) => {
+  try {
+    const response = await apiClient.post(`${API_URL}/forgot-password`, {
+      email,
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.requestPasswordReset:", error);
+    throw error;
+  }
+};
+// This asynchronous function finishes the "forgot password" flow.
+/**
+ * @description: Sets a new password using the token from the reset link.
+ * An invalid or expired token is answered with a 400 `ApiError`.
+ * @param {string} token - The token taken from the `/reset-password/:token` link.
+ * @param {string} password_hash - The new password.
+ * @returns {object} The response data from the API (`{ success, message }`).
+ */
+const resetPassword = async (token, password_hash) => {
+  try {
+    // The reset link is the only proof of identity here; there is no session yet.
+    const response = await apiClient.post(
+      `${API_URL}/reset-password/${encodeURIComponent(token)}`,
+      { password_hash },
+      { skipAuthRefresh: true }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.resetPassword:", error);
+    throw error;
+  }
+};
+/**
+ * @description: Replaces the stored user record with the one returned by a profile endpoint.
+ * The session stays untouched, so it survives profile updates (see `sessionStore.updateUser`).
+ * @param {object} publicUser - The public user returned by a profile endpoint.
+ * @returns {object} The updated user object.
+ */
+const updateStoredUser = (publicUser) => sessionStore.updateUser(publicUser);
+// This asynchronous function saves the profile details of the logged-in user.
+/**
+ * @description: Updates the display name, phone number and email.
+ * A new email is not applied right away: the backend keeps it in `pending_email`
+ * and sends a verification link to it.
+ * @param {object} profile - `{ name, email, phone }`.
+ * @returns {object} `{ user, message }` from the API.
+ */
+const updateProfile = async ({ name, email, phone }) => {
+  try {
+    // The token is attached by the shared client, so only the changes are sent.
+    const response = await apiClient.put(`${API_URL}/profile-update`, {
+      name,
+      email,
+      phone,
+    });
+    return response.data;
   } catch (error) {
     console.error("Error in auth.service.updateProfile:", error);
     throw error;
   }
 };
+// This asynchronous function changes the password of the logged-in user.
+/**
+ * @description: Changes the password; the current password is required.
+ * A wrong current password is answered with a 400 `ApiError`.
+ * @param {string} current_password - The password the user has now.
+ * @param {string} new_password - The new password.
+ * @returns {object} The response data from the API (`{ success, message }`).
+ */
+const changePassword = async (current_password, new_password) => {
+  try {
+    const response = await apiClient.put(`${API_URL}/change-password`, {
+      current_password,
+      new_password,
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.changePassword:", error);
+    throw error;
+  }
+};
+// This asynchronous function uploads a new profile picture.
+/**
+ * @description: Uploads the avatar as a Base64 data URL (the same format as product images).
+ * @param {string} avatar_url - e.g. "data:image/png;base64,...".
+ * @returns {object} `{ user, message }` from the API.
+ */
+const updateAvatar = async (avatar_url) => {
+  try {
+    const response = await apiClient.put(`${API_URL}/avatar`, { avatar_url });
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.updateAvatar:", error);
+    throw error;
+  }
+};
+// This asynchronous function removes the profile picture.
+/**
+ * @description: Deletes the avatar of the logged-in user.
+ * @returns {object} `{ user, message }` from the API.
+ */
+const removeAvatar = async () => {
+  try {
+    const response = await apiClient.delete(`${API_URL}/avatar`);
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.removeAvatar:", error);
+    throw error;
+  }
+};
+// This asynchronous function confirms an email address from a verification link.
+/**
+ * @description: Confirms the email address the token was sent to.
+ * Works without a session, because the link may be opened on another device.
+ * @param {string} token - The token taken from the `/verify-email/:token` link.
+ * @returns {object} `{ user, message }` from the API.
+ */
+const verifyEmail = async (token) => {
+  try {
+    const response = await apiClient.post(
+      `${API_URL}/verify-email/${encodeURIComponent(token)}`,
+      {},
+      { skipAuthRefresh: true }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.verifyEmail:", error);
+    throw error;
+  }
+};
+// This asynchronous function sends the verification link again.
+/**
+ * @description: Asks the backend for a new verification email (for the account email
+ * or a `pending_email`). Requests sent too soon are answered with a 429 `ApiError`
+ * whose `data.retry_after` holds the seconds left.
+ * @returns {object} `{ message, retry_after }` from the API.
+ */
+const resendVerificationEmail = async () => {
+  try {
+    const response = await apiClient.post(`${API_URL}/resend-verification`);
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.resendVerificationEmail:", error);
+    throw error;
+  }
+};
+// This asynchronous function loads the latest profile of the logged-in user.
+/**
+ * @description: Fetches the public user record, e.g. to notice an email that was
+ * verified on another device.
+ * @returns {object} `{ user }` from the API.
+ */
+const getProfile = async () => {
+  try {
+    const response = await apiClient.get(`${API_URL}/profile`);
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.getProfile:", error);
+    throw error;
+  }
+};
+// This asynchronous function starts the two-factor enrollment.
+/**
+ * @description: Creates a new TOTP secret for the logged-in user. It only becomes
+ * active after `enableTwoFactor` confirms a code generated from it.
+ * @returns {object} `{ secret, otpauth_url }` from the API.
+ */
+const setupTwoFactor = async () => {
+  try {
+    const response = await apiClient.post(`${API_URL}/2fa/setup`);
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.setupTwoFactor:", error);
+    throw error;
+  }
+};
+// This asynchronous function finishes the two-factor enrollment.
+/**
+ * @description: Turns two-factor authentication on with a code from the new secret.
+ * @param {string} code - The 6-digit code shown by the authenticator app.
+ * @returns {object} `{ user, backup_codes, message }` from the API.
+ */
+const enableTwoFactor = async (code) => {
+  try {
+    const response = await apiClient.post(`${API_URL}/2fa/enable`, { code });
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.enableTwoFactor:", error);
+    throw error;
+  }
+};
+// This asynchronous function replaces the backup codes.
+/**
+ * @description: Creates new backup codes; the old ones stop working.
+ * @param {string} code - A current code (or backup code) proving the user has the second factor.
+ * @returns {object} `{ backup_codes, message }` from the API.
+ */
+const regenerateBackupCodes = async (code) => {
+  try {
+    const response = await apiClient.post(`${API_URL}/2fa/backup-codes`, { code });
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.regenerateBackupCodes:", error);
+    throw error;
+  }
+};
+// This asynchronous function turns two-factor authentication off.
+/**
+ * @description: Disables two-factor authentication (not allowed for admins).
+ * @param {string} password_hash - The current password.
+ * @param {string} code - A current code or a backup code.
+ * @returns {object} `{ user, message }` from the API.
+ */
+const disableTwoFactor = async (password_hash, code) => {
+  try {
+    const response = await apiClient.post(`${API_URL}/2fa/disable`, {
+      password_hash,
+      code,
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.disableTwoFactor:", error);
+    throw error;
+  }
+};
+// This asynchronous function lists the devices the user is logged in on.
+/**
+ * @description: Fetches the active sessions of the logged-in user.
+ * @returns {object[]} `[{ id, user_agent, ip, created_at, last_seen_at, current }]`.
+ */
+const getSessions = async () => {
+  try {
+    const response = await apiClient.get(`${API_URL}/sessions`);
+    return response.data.sessions;
+  } catch (error) {
+    console.error("Error in auth.service.getSessions:", error);
+    throw error;
+  }
+};
+// This asynchronous function logs one device out.
+/**
+ * @description: Revokes a session; its tokens stop working right away.
+ * @param {string} sessionId
+ * @returns {object} `{ message }` from the API.
+ */
+const revokeSession = async (sessionId) => {
+  try {
+    const response = await apiClient.delete(
+      `${API_URL}/sessions/${encodeURIComponent(sessionId)}`
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.revokeSession:", error);
+    throw error;
+  }
+};
+// This asynchronous function logs the user out on every device.
+/**
+ * @description: Revokes every session of the user, this one included.
+ * @returns {object} `{ message }` from the API.
+ */
+const revokeAllSessions = async () => {
+  try {
+    const response = await apiClient.delete(`${API_URL}/sessions`);
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.revokeAllSessions:", error);
+    throw error;
+  }
+};
+// This asynchronous function checks that the session is still accepted.
+/**
+ * @description: Asks the backend about the current session. A revoked session
+ * answers 401, which the API client turns into a logout.
+ * @returns {object} `{ user }` from the API.
+ */
+const checkSession = async () => {
+  try {
+    const response = await apiClient.get(`${API_URL}/session`);
+    return response.data;
+  } catch (error) {
+    console.error("Error in auth.service.checkSession:", error);
+    throw error;
+  }
+};
 
 const authService = {
   register,
   login,
+  verifyTwoFactorLogin,
   logout,
+  refreshAccessToken,
+  restoreSession,
+  checkSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  requestPasswordReset,
+  resetPassword,
   updateProfile,
+  updateStoredUser,
+  changePassword,
+  updateAvatar,
+  removeAvatar,
+  verifyEmail,
+  resendVerificationEmail,
+  getProfile,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
 };
 export default authService;
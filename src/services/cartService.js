@@ -1,11 +1,11 @@
-import axios from "axios";
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-// The base URL for the backend API.
-const API_ACTUAL_CARTS_URL = `${API_BASE_URL}/cart`;
+import apiClient from "./apiClient";
+// The base path for the cart endpoints (the host comes from the shared client).
+const API_ACTUAL_CARTS_URL = "/cart";
 /**
  * @description This service handles all API calls related to the shopping cart.
  * It separates API logic from React components for cleaner, more maintainable code.
  * All functions here will handle adding, getting, updating, and deleting items from the cart.
+ * The session token is attached by the shared `apiClient`.
  */
 const cartService = {
   /**
@@ -14,34 +14,19 @@ const cartService = {
    * @param {number} quantity The quantity of the product to add.
    * @returns {Promise<object>} The newly added cart item object.
    */
-  addItem: async (productId, quantity, token) => {
-    if (!token) {
-      throw new Error("User is not authenticated.");
-    }
-    const response = await axios.post(
-      `${API_ACTUAL_CARTS_URL}/add`,
-      { productId, quantity },
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      }
-    );
+  addItem: async (productId, quantity) => {
+    const response = await apiClient.post(`${API_ACTUAL_CARTS_URL}/add`, {
+      productId,
+      quantity,
+    });
     return response.data;
   },
   /**
    * @description Retrieves the authenticated user's cart with all of its items.
    * @returns {Promise<object>} The cart object with all its items.
    */
-  getCartItems: async (token) => {
-    if (!token) {
-      throw new Error("User is not authenticated.");
-    }
-    const response = await axios.get(`${API_ACTUAL_CARTS_URL}/all`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    });
+  getCartItems: async () => {
+    const response = await apiClient.get(`${API_ACTUAL_CARTS_URL}/all`);
     return response.data;
   },
   /**
@@ -50,18 +35,10 @@ const cartService = {
    * @param {number} quantity The new quantity for the item.
    * @returns {Promise<object>} The updated cart item object.
    */
-  updateItem: async (cartItemId, quantity, token) => {
-    if (!token) {
-      throw new Error("User is not authenticated.");
-    }
-    const response = await axios.put(
+  updateItem: async (cartItemId, quantity) => {
+    const response = await apiClient.put(
       `${API_ACTUAL_CARTS_URL}/update/${cartItemId}`,
-      { quantity },
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      }
+      { quantity }
     );
     return response.data;
   },
@@ -70,37 +47,60 @@ const cartService = {
    * @param {string} cartItemId The ID of the cart item to remove.
    * @returns {Promise<object>} A success message.
    */
-  removeItem: async (cartItemId, token) => {
-    if (!token) {
-      throw new Error("User is not authenticated.");
-    }
-    const response = await axios.delete(
-      `${API_ACTUAL_CARTS_URL}/remove/${cartItemId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      }
+  removeItem: async (cartItemId) => {
+    const response = await apiClient.delete(
+      `${API_ACTUAL_CARTS_URL}/remove/${cartItemId}`
     );
     return response.data;
   },
+  /**
+   * @description Applies a promo code to the authenticated user's cart.
+   * A code that does not apply is refused with the reason as the error message.
+   * @param {string} code The promo code as typed.
+   * @returns {Promise<object>} A message and the updated cart (with its `coupon`).
+   */
+  applyCoupon: async (code) => {
+    const response = await apiClient.post(`${API_ACTUAL_CARTS_URL}/coupon`, {
+      code,
+    });
+    return response.data;
+  },
+  /**
+   * @description Removes the promo code from the authenticated user's cart.
+   * @returns {Promise<object>} A message and the updated cart.
+   */
+  removeCoupon: async () => {
+    const response = await apiClient.delete(`${API_ACTUAL_CARTS_URL}/coupon`);
+    return response.data;
+  },
   /**
    * @description Completes the purchase by checking out the cart.
+   * @param {number} addressId The ID of the saved address to ship the order to.
+   * @param {object} [options]
+   * @param {string|null} [options.couponCode] The promo code shown in the cart summary;
+   * the backend checks it again and records the discount on the order.
+   * @param {string} [options.shippingMethod] "standard", "express" or "pickup"; the backend
+   * quotes it again for the address and records the shipping line on the order.
+   * @param {string} [options.paymentMethod] How the order will be paid ("upi", "card", "cod", ...).
+   * @param {string|null} [options.pickupSlot] The booked slot's id, for click & collect.
    * @returns {Promise<object>} The newly created order object.
    */
-  checkout: async (token) => {
-    if (!token) {
-      throw new Error("User is not authenticated.");
-    }
-    const response = await axios.post(
-      `${API_ACTUAL_CARTS_URL}/checkout`,
-      {},
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      }
-    );
+  checkout: async (
+    addressId,
+    {
+      couponCode = null,
+      shippingMethod = "standard",
+      paymentMethod = null,
+      pickupSlot = null,
+    } = {}
+  ) => {
+    const response = await apiClient.post(`${API_ACTUAL_CARTS_URL}/checkout`, {
+      address_id: addressId,
+      coupon_code: couponCode,
+      shipping_method: shippingMethod,
+      payment_method: paymentMethod,
+      pickup_slot: pickupSlot,
+    });
     return response.data;
   },
 };
@@ -0,0 +1,145 @@
+// src/services/guestCartStore.js
+// The cart of a visitor who has not logged in yet. It lives in localStorage and
+// uses the same shape as the server cart (`{ items: [{ id, productId, quantity, product }] }`),
+// so the cart page renders both alike. A guest line is identified by its product id.
+// On login, CartContext moves these items into the server cart.
+import { getQuantityError } from "../utils/stock";
+
+const STORAGE_KEY = "guestCart";
+
+/**
+ * @description Keeps the product fields the cart page shows (and the limits, to cap
+ * quantities, and the weight and GST, to estimate shipping and tax).
+ * @param {object} product
+ * @returns {object}
+ */
+const toProductSnapshot = (product) => ({
+  id: product.id,
+  name: product.name,
+  price: product.price,
+  image_url: product.image_url,
+  stock: product.stock,
+  max_order_quantity: product.max_order_quantity ?? null,
+  weight_grams: product.weight_grams ?? null,
+  gst_rate: product.gst_rate ?? null,
+  price_includes_tax: product.price_includes_tax ?? true,
+});
+
+/**
+ * @description Reads the stored lines.
+ * @returns {Array<object>} `[{ productId, quantity, product }]`.
+ */
+const readItems = () => {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * @description Stores the lines; an empty cart removes the key.
+ * @param {Array<object>} items
+ */
+const writeItems = (items) => {
+  if (items.length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  }
+};
+
+/**
+ * @description Builds the cart object the cart page renders.
+ * @returns {object} `{ id: null, items }`, each line carrying `id` (= product id).
+ */
+const getCart = () => ({
+  id: null,
+  items: readItems().map((item) => ({ id: item.productId, ...item })),
+});
+
+/**
+ * @description Rejects a quantity the store cannot fulfil (same wording as the backend).
+ * @param {object} product
+ * @param {number} quantity
+ */
+const assertInStock = (product, quantity) => {
+  const quantityError = getQuantityError(product, quantity);
+  if (quantityError) {
+    throw new Error(quantityError);
+  }
+};
+
+/**
+ * @description Adds a product to the guest cart (on top of what is already there).
+ * @param {object} product - The current product, as returned by productService.
+ * @param {number} quantity
+ * @returns {object} The updated cart.
+ */
+const addItem = (product, quantity) => {
+  const items = readItems();
+  const existing = items.find((item) => item.productId === product.id);
+  assertInStock(product, (existing?.quantity || 0) + quantity);
+  if (existing) {
+    existing.quantity += quantity;
+    // Keep the price and stock as fresh as the last visit to the product.
+    existing.product = toProductSnapshot(product);
+  } else {
+    items.push({ productId: product.id, quantity, product: toProductSnapshot(product) });
+  }
+  writeItems(items);
+  return getCart();
+};
+
+/**
+ * @description Sets the quantity of a line; zero or less removes it.
+ * @param {number} productId
+ * @param {number} quantity
+ * @returns {object} The updated cart.
+ */
+const updateItem = (productId, quantity) => {
+  const items = readItems();
+  const item = items.find((entry) => entry.productId === productId);
+  if (!item) {
+    throw new Error("Cart item not found.");
+  }
+  if (quantity <= 0) {
+    return removeItem(productId);
+  }
+  assertInStock(item.product, quantity);
+  item.quantity = quantity;
+  writeItems(items);
+  return getCart();
+};
+
+/**
+ * @description Removes a line.
+ * @param {number} productId
+ * @returns {object} The updated cart.
+ */
+const removeItem = (productId) => {
+  writeItems(readItems().filter((item) => item.productId !== productId));
+  return getCart();
+};
+
+/**
+ * @description Empties the guest cart and hands over its lines (used by the merge on login).
+ * Clearing first means a second merge started meanwhile finds nothing to add twice.
+ * @returns {Array<object>} `[{ productId, quantity, product }]`.
+ */
+const takeItems = () => {
+  const items = readItems();
+  writeItems([]);
+  return items;
+};
+
+const guestCartStore = {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  takeItems,
+};
+
+export default guestCartStore;
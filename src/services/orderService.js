@@ -1,54 +1,49 @@
-import axios from "axios";
+import apiClient from "./apiClient";
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-const API_ACTUAL_ORDERS_URL = `${API_BASE_URL}/orders`;
+const API_ACTUAL_ORDERS_URL = "/orders";
 /**
  * @description This service handles all API calls related to user orders.
  * It encapsulates the logic for fetching and deleting orders from the backend.
+ * The session token is attached by the shared `apiClient`.
  */
 const orderService = {
   /**
    * @description Fetches all orders for the authenticated user from the backend.
    * @returns {Promise<Array>} A promise that resolves to an array of order objects.
    */
-  getOrders: async (token) => {
+  getOrders: async () => {
     try {
-      // Get the user's authentication token from local storage.
-      if (!token) {
-        throw new Error("No authentication token found.");
-      }
-      // Send a GET request to the backend with the token in the Authorization header.
-      const response = await axios.get(`${API_ACTUAL_ORDERS_URL}/all`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      // Send a GET request; the Authorization header is added by the client.
+      const response = await apiClient.get(`${API_ACTUAL_ORDERS_URL}/all`);
       return response.data;
     } catch (error) {
       console.error("Error in orderService.getOrders:", error);
       throw error;
     }
   },
+  /**
+   * @description Fetches one order of the authenticated user.
+   * @param {number} orderId - The unique ID of the order.
+   * @returns {Promise<object>} A promise that resolves to the order.
+   */
+  getOrder: async (orderId) => {
+    try {
+      const response = await apiClient.get(`${API_ACTUAL_ORDERS_URL}/${orderId}`);
+      return response.data.order;
+    } catch (error) {
+      console.error("Error in orderService.getOrder:", error);
+      throw error;
+    }
+  },
   /**
    * @description Deletes a specific order for the authenticated user.
    * @param {number} orderId - The unique ID of the order to delete.
    * @returns {Promise<boolean>} A promise that resolves to true on successful deletion.
    */
-  deleteOrder: async (orderId, token) => {
+  deleteOrder: async (orderId) => {
     try {
-      if (!token) {
-        throw new Error("No authentication token found.");
-      }
       // Send a DELETE request to the backend. The orderId is a URL parameter.
-      const response = await axios.delete(
-        `${API_ACTUAL_ORDERS_URL}/delete/${orderId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-
+      await apiClient.delete(`${API_ACTUAL_ORDERS_URL}/delete/${orderId}`);
       // Return true to indicate successful deletion.
       return true;
     } catch (error) {
@@ -0,0 +1,40 @@
+// src/services/paymentProviders/index.js
+// The payment providers: adapters that open a payment gateway's window for a
+// payment session from `paymentService.createPayment`. Every provider has the same
+// shape, so the payment page does not care which gateway it talks to:
+//
+//   {
+//     id: string,        // sent to the backend with `createPayment`
+//     name: string,      // shown to the shopper
+//     pay(session, { prefill }) => Promise<result>
+//   }
+//
+// `pay` never rejects for a payment the shopper could retry; it resolves with
+//   { status: "success", payload: { provider_order_id, payment_id, signature } }
+//   { status: "failed", reason, payload: { provider_order_id } }
+//   { status: "pending", payload: { provider_order_id, payment_id } }
+//   { status: "dismissed" }  // the window was closed without paying
+// A "success" only counts once the backend verified the payload's signature.
+import razorpayProvider from "./razorpayProvider";
+import mockProvider from "./mockProvider";
+
+const PROVIDERS = {
+  [razorpayProvider.id]: razorpayProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+/**
+ * @description The provider picked by `VITE_PAYMENT_PROVIDER`; without it, the mock
+ * gateway when the mock backend is on and Razorpay otherwise.
+ * @returns {object}
+ */
+export const getPaymentProvider = () => {
+  const configured = import.meta.env.VITE_PAYMENT_PROVIDER;
+  if (configured && PROVIDERS[configured]) return PROVIDERS[configured];
+  if (configured) {
+    console.warn(`Unknown payment provider "${configured}", using the default.`);
+  }
+  return import.meta.env.VITE_USE_MOCK_API === "true" ? mockProvider : razorpayProvider;
+};
+
+export default getPaymentProvider;
@@ -0,0 +1,101 @@
+// src/services/paymentProviders/mockProvider.js
+// A stand-in gateway for development with the mock backend: its window lets the
+// shopper pick how the payment ends (paid, declined, or waiting for the bank), and
+// the mock backend signs a successful payment the way Razorpay does. Like a real
+// gateway it draws its own window over the page. See `./index.js` for the provider shape.
+import paymentService from "../paymentService";
+
+// The outcomes the window offers: [outcome, button label, button style].
+const OUTCOMES = [
+  ["success", "Pay successfully", "btn-success"],
+  ["failure", "Decline the payment", "btn-outline-danger"],
+  ["pending", "Leave it pending", "btn-outline-secondary"],
+];
+
+/**
+ * @description Shows the mock gateway window and waits for a choice.
+ * @param {object} session - From `paymentService.createPayment`.
+ * @returns {Promise<string|null>} The picked outcome, or null when the window was closed.
+ */
+const askOutcome = (session) =>
+  new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "modal-backdrop fade show";
+    const modal = document.createElement("div");
+    modal.className = "modal fade show d-block";
+    modal.tabIndex = -1;
+    modal.setAttribute("role", "dialog");
+    modal.setAttribute("aria-modal", "true");
+    modal.innerHTML = `
+      <div class="modal-dialog modal-dialog-centered modal-sm">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title">Mock payment gateway</h5>
+            <button type="button" class="btn-close" data-outcome="" aria-label="Close"></button>
+          </div>
+          <div class="modal-body">
+            <p class="mb-1">Order #${session.order_id}</p>
+            <p class="fs-4 fw-bold mb-3">₹${(session.amount / 100).toFixed(2)}</p>
+            <div class="d-grid gap-2">
+              ${OUTCOMES.map(
+                ([outcome, label, style]) =>
+                  `<button type="button" class="btn ${style}" data-outcome="${outcome}">${label}</button>`
+              ).join("")}
+            </div>
+          </div>
+        </div>
+      </div>`;
+    const close = (outcome) => {
+      modal.remove();
+      backdrop.remove();
+      resolve(outcome || null);
+    };
+    modal.querySelectorAll("[data-outcome]").forEach((button) => {
+      button.addEventListener("click", () => close(button.dataset.outcome));
+    });
+    document.body.append(backdrop, modal);
+  });
+
+const mockProvider = {
+  id: "mock",
+  name: "Mock gateway",
+  /**
+   * @description Opens the mock gateway window.
+   * @param {object} session - From `paymentService.createPayment`.
+   * @returns {Promise<object>} The result (see `./index.js`).
+   */
+  pay: async (session) => {
+    const outcome = await askOutcome(session);
+    if (!outcome) return { status: "dismissed" };
+    const result = await paymentService.completeMockPayment(
+      session.provider_order_id,
+      outcome
+    );
+    if (result.status === "success") {
+      return {
+        status: "success",
+        payload: {
+          provider_order_id: session.provider_order_id,
+          payment_id: result.payment_id,
+          signature: result.signature,
+        },
+      };
+    }
+    if (result.status === "pending") {
+      return {
+        status: "pending",
+        payload: {
+          provider_order_id: session.provider_order_id,
+          payment_id: result.payment_id,
+        },
+      };
+    }
+    return {
+      status: "failed",
+      reason: result.error?.description || "The payment failed.",
+      payload: { provider_order_id: session.provider_order_id },
+    };
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,89 @@
+// src/services/paymentProviders/razorpayProvider.js
+// Razorpay Checkout: loads Razorpay's script once and opens its payment window for
+// the gateway order the backend created. See `./index.js` for the provider shape.
+
+const CHECKOUT_SCRIPT_URL = "https://checkout.razorpay.com/v1/checkout.js";
+
+// The pending script load, shared by every payment.
+let scriptPromise = null;
+
+/**
+ * @description Loads Razorpay's checkout script (once).
+ * @returns {Promise<void>}
+ */
+const loadCheckoutScript = () => {
+  if (window.Razorpay) return Promise.resolve();
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = CHECKOUT_SCRIPT_URL;
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        // Let the next attempt try again.
+        scriptPromise = null;
+        script.remove();
+        reject(new Error("Could not reach the payment gateway. Please check your connection."));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return scriptPromise;
+};
+
+const razorpayProvider = {
+  id: "razorpay",
+  name: "Razorpay",
+  /**
+   * @description Opens Razorpay's payment window.
+   * @param {object} session - From `paymentService.createPayment`.
+   * @param {object} [options]
+   * @param {{ name?: string, email?: string, contact?: string }} [options.prefill]
+   * @returns {Promise<object>} The result (see `./index.js`).
+   */
+  pay: async (session, { prefill = {} } = {}) => {
+    await loadCheckoutScript();
+    return new Promise((resolve) => {
+      // Closing the window fires `ondismiss` too: the first outcome is the one reported.
+      let settled = false;
+      const settle = (result) => {
+        if (settled) return;
+        settled = true;
+        resolve(result);
+      };
+      const checkout = new window.Razorpay({
+        key: session.key_id,
+        amount: session.amount,
+        currency: session.currency,
+        order_id: session.provider_order_id,
+        name: "Protein Point",
+        description: `Order #${session.order_id}`,
+        prefill,
+        handler: (response) =>
+          settle({
+            status: "success",
+            payload: {
+              provider_order_id: response.razorpay_order_id,
+              payment_id: response.razorpay_payment_id,
+              signature: response.razorpay_signature,
+            },
+          }),
+        modal: {
+          ondismiss: () => settle({ status: "dismissed" }),
+        },
+      });
+      checkout.on("payment.failed", (response) => {
+        settle({
+          status: "failed",
+          reason: response.error?.description || "The payment failed.",
+          payload: { provider_order_id: session.provider_order_id },
+        });
+        // The retry screen replaces Razorpay's own.
+        checkout.close();
+      });
+      checkout.open();
+    });
+  },
+};
+
+export default razorpayProvider;
@@ -0,0 +1,103 @@
+import apiClient from "./apiClient";
+
+const API_PAYMENTS_URL = "/payments";
+/**
+ * @description This service handles the backend side of an online payment: it
+ * opens a payment with the gateway for an order, has the backend verify what the
+ * gateway handed back, and reports failures. The gateway window itself is opened
+ * by a payment provider (see `paymentProviders`).
+ */
+const paymentService = {
+  /**
+   * @description Opens a payment for an order.
+   * @param {number} orderId - The order to pay.
+   * @param {string} provider - The payment provider's id, e.g. "razorpay".
+   * @returns {Promise<object>} The payment session: `{ provider, key_id,
+   * provider_order_id, amount (paise), currency, order_id }`.
+   */
+  createPayment: async (orderId, provider) => {
+    try {
+      const response = await apiClient.post(`${API_PAYMENTS_URL}/create`, {
+        order_id: orderId,
+        provider,
+      });
+      return response.data.payment;
+    } catch (error) {
+      console.error("Error in paymentService.createPayment:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Has the backend check the gateway's signature and mark the order paid.
+   * @param {number} orderId
+   * @param {{ provider_order_id: string, payment_id: string, signature: string }} payload
+   * What the gateway handed back after the payment.
+   * @returns {Promise<object>} The order's payment.
+   */
+  verifyPayment: async (orderId, payload) => {
+    try {
+      const response = await apiClient.post(`${API_PAYMENTS_URL}/verify`, {
+        order_id: orderId,
+        ...payload,
+      });
+      return response.data.payment;
+    } catch (error) {
+      console.error("Error in paymentService.verifyPayment:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Reports a payment the gateway declined.
+   * @param {number} orderId
+   * @param {string} providerOrderId - The gateway's order id.
+   * @param {string} reason - What the gateway said.
+   * @returns {Promise<object>} The order's payment.
+   */
+  reportPaymentFailure: async (orderId, providerOrderId, reason) => {
+    try {
+      const response = await apiClient.post(`${API_PAYMENTS_URL}/failure`, {
+        order_id: orderId,
+        provider_order_id: providerOrderId,
+        reason,
+      });
+      return response.data.payment;
+    } catch (error) {
+      console.error("Error in paymentService.reportPaymentFailure:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Fetches where the payment of an order stands.
+   * @param {number} orderId
+   * @returns {Promise<object>} The order's payment: `{ method, status, ... }`.
+   */
+  getPaymentStatus: async (orderId) => {
+    try {
+      const response = await apiClient.get(`${API_PAYMENTS_URL}/status/${orderId}`);
+      return response.data.payment;
+    } catch (error) {
+      console.error("Error in paymentService.getPaymentStatus:", error);
+      throw error;
+    }
+  },
+  /**
+   * @description Completes a payment in the mock gateway (mock backend only).
+   * @param {string} providerOrderId - The gateway's order id.
+   * @param {"success"|"failure"|"pending"} outcome
+   * @returns {Promise<object>} What a gateway hands back: `{ status, payment_id,
+   * signature?, error? }`.
+   */
+  completeMockPayment: async (providerOrderId, outcome) => {
+    try {
+      const response = await apiClient.post(`${API_PAYMENTS_URL}/mock/complete`, {
+        provider_order_id: providerOrderId,
+        outcome,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error in paymentService.completeMockPayment:", error);
+      throw error;
+    }
+  },
+};
+export default paymentService;
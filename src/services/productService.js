@@ -1,12 +1,11 @@
 // src/services/product.service.js
 // This service is responsible for all API calls related to products.
-// This line imports the Axios library. Axios is a popular JavaScript library for
-// making HTTP requests from a browser or Node.js.
-import axios from "axios";
-// This line defines the base URL for the product API endpoints. Using a constant
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+// This line imports the shared, pre-configured HTTP client (an Axios instance).
+// It already knows the backend host and attaches the session token for us.
+import apiClient from "./apiClient";
+// This line defines the path for the product API endpoints. Using a constant
 // makes the code easier to maintain, as the URL can be changed in just one place.
-const API_URL = `${API_BASE_URL}/products`;
+const API_URL = "/products";
 /**
  * @description: The `productService` object contains all the methods for
  * interacting with the product API. Defining the methods directly within this object
@@ -21,8 +20,8 @@ const productService = {
   // It's a cleaner way to define the method compared to creating a separate constant.
   getAllProducts: async () => {
     try {
-      // `axios.get()` sends an HTTP GET request to the specified URL.
-      const response = await axios.get(`${API_URL}/all`);
+      // `apiClient.get()` sends an HTTP GET request to the specified URL.
+      const response = await apiClient.get(`${API_URL}/all`);
       // Axios automatically parses JSON, so `response.data` contains the parsed data.
       // response.data={success:true,message:successful,products{}}
       return response.data.products;
@@ -41,7 +40,7 @@ const productService = {
   getProductById: async (productId) => {
     try {
       // The product ID is added to the URL path for the request.
-      const response = await axios.get(`${API_URL}/${productId}`);
+      const response = await apiClient.get(`${API_URL}/${productId}`);
       return response.data.product;
     } catch (error) {
       console.error(`Error fetching product with ID ${productId}:`, error);
@@ -51,28 +50,13 @@ const productService = {
   /**
    * @description Creates a new product on the backend.
    * @param {Object} productData - The data for the new product (e.g., name, description).
-   * @param {string} token - The user's JWT for authentication.
    * @returns {Promise<Object>} A promise that resolves to the newly created product.
    */
-  createProduct: async (productData, token) => {
+  createProduct: async (productData) => {
     try {
-      // The `config` object holds request settings, like headers.
-      const config = {
-        headers: {
-          // This header specifies that we are sending JSON data in the request body.
-          "Content-Type": "application/json",
-          // The `Authorization` header with a "Bearer" token is the standard
-          // way to send a JSON Web Token for authentication.
-          Authorization: `Bearer ${token}`,
-        },
-      };
-      // `axios.post()` sends an HTTP POST request to create a new resource.
-      // It takes the URL, the data to send, and the configuration as arguments.
-      const response = await axios.post(
-        `${API_URL}/create`,
-        productData,
-        config
-      );
+      // `apiClient.post()` sends an HTTP POST request to create a new resource.
+      // The JSON content type and the "Bearer" token are set by the shared client.
+      const response = await apiClient.post(`${API_URL}/create`, productData);
       return response.data.product;
     } catch (error) {
       console.error("Error in createProduct:", error);
@@ -83,23 +67,12 @@ const productService = {
    * @description Updates an existing product on the backend.
    * @param {number} id - The ID of the product to update.
    * @param {object} updatedData - The data to update the product with.
-   * @param {string} token - The user's JWT for authentication.
    * @returns {object} The updated product object.
    */
-  updateProduct: async (id, updatedData, token) => {
+  updateProduct: async (id, updatedData) => {
     try {
-      const config = {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-      };
-      // `axios.put()` sends an HTTP PUT request, typically used to update a resource.
-      const response = await axios.put(
-        `${API_URL}/update/${id}`,
-        updatedData,
-        config
-      );
+      // `apiClient.put()` sends an HTTP PUT request, typically used to update a resource.
+      const response = await apiClient.put(`${API_URL}/update/${id}`, updatedData);
       return response.data;
     } catch (error) {
       console.error("Error updating product:", error);
@@ -109,18 +82,12 @@ const productService = {
   /**
    * @description Deletes a product from the backend.
    * @param {number} id - The ID of the product to delete.
-   * @param {string} token - The user's JWT for authentication.
    * @returns {object} The response from the backend.
    */
-  deleteProduct: async (id, token) => {
+  deleteProduct: async (id) => {
     try {
-      const config = {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      };
-      // `axios.delete()` sends an HTTP DELETE request.
-      const response = await axios.delete(`${API_URL}/delete/${id}`, config);
+      // `apiClient.delete()` sends an HTTP DELETE request.
+      const response = await apiClient.delete(`${API_URL}/delete/${id}`);
       return response.data;
     } catch (error) {
       console.error("Error deleting product:", error);
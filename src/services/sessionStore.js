@@ -0,0 +1,195 @@
+// src/services/sessionStore.js
+// The one place that knows where the session lives. Everything else (the API
+// client, authService, AuthContext, the route guards) reads and writes the session
+// through these functions. There are three modes:
+// - "local": localStorage, kept across browser restarts ("Remember me"),
+// - "session": sessionStorage, gone when the tab or browser is closed,
+// - "cookie": the backend keeps the tokens in httpOnly cookies; the frontend never
+//   sees them and only stores the public user (to render the UI).
+
+export const SESSION_MODES = {
+  LOCAL: "local",
+  SESSION: "session",
+  COOKIE: "cookie",
+};
+
+// Cookie mode depends on the backend setting the cookies, so it is chosen per
+// deployment (`VITE_SESSION_MODE=cookie`); otherwise "Remember me" picks the storage.
+const COOKIE_MODE = import.meta.env.VITE_SESSION_MODE === SESSION_MODES.COOKIE;
+
+const USER_KEY = "user";
+const ACCESS_TOKEN_KEY = "accessToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+// Fields of the stored user that belong to the session rather than to the profile.
+const SESSION_FIELDS = ["token", "session_issued_at", "session_expires_at"];
+
+/**
+ * @description Whether the tokens are kept in httpOnly cookies by the backend.
+ * @returns {boolean}
+ */
+const isCookieMode = () => COOKIE_MODE;
+
+/**
+ * @description Tells which mode holds the current session.
+ * Without a session, "local" is returned.
+ * @returns {string} One of `SESSION_MODES`.
+ */
+const getSessionMode = () => {
+  if (COOKIE_MODE) return SESSION_MODES.COOKIE;
+  return sessionStorage.getItem(USER_KEY)
+    ? SESSION_MODES.SESSION
+    : SESSION_MODES.LOCAL;
+};
+
+/**
+ * @description The Web Storage used by a mode (cookie mode caches the user in localStorage).
+ * @param {string} mode
+ * @returns {Storage}
+ */
+const storageFor = (mode) =>
+  mode === SESSION_MODES.SESSION ? sessionStorage : localStorage;
+
+/**
+ * @description Reads the user of the current session.
+ * @returns {object|null} The user; it carries `token` except in cookie mode.
+ */
+const getUser = () => {
+  try {
+    return JSON.parse(storageFor(getSessionMode()).getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @description Reads the access token (always null in cookie mode).
+ * @returns {string|null}
+ */
+const getAccessToken = () =>
+  COOKIE_MODE
+    ? null
+    : storageFor(getSessionMode()).getItem(ACCESS_TOKEN_KEY);
+
+/**
+ * @description Reads the refresh token (always null in cookie mode).
+ * @returns {string|null}
+ */
+const getRefreshToken = () =>
+  COOKIE_MODE
+    ? null
+    : storageFor(getSessionMode()).getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * @description Removes the session from one storage.
+ * @param {Storage} storage
+ */
+const clearStorage = (storage) => {
+  storage.removeItem(USER_KEY);
+  storage.removeItem(ACCESS_TOKEN_KEY);
+  storage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * @description Removes the session from every storage.
+ */
+const clearSession = () => {
+  clearStorage(localStorage);
+  clearStorage(sessionStorage);
+};
+
+/**
+ * @description Stores the session returned by the login and refresh endpoints.
+ * @param {object} user - The user object, carrying `token` and (optionally) `refreshToken`.
+ * @param {object} [options]
+ * @param {boolean} [options.remember] - true: localStorage, false: sessionStorage.
+ * Left out (e.g. on a refresh), the session stays where it is.
+ * @returns {object} The user object without the refresh token.
+ */
+const saveSession = (user, { remember } = {}) => {
+  // The refresh token is kept apart so it is not spread around with the user object.
+  const { refreshToken, ...sessionUser } = user;
+  let mode = getSessionMode();
+  if (!COOKIE_MODE && remember !== undefined) {
+    mode = remember ? SESSION_MODES.LOCAL : SESSION_MODES.SESSION;
+  }
+  const storage = storageFor(mode);
+  // Only the storage being written is cleared: localStorage is shared with the other
+  // tabs, which may still use a "Remember me" session stored there.
+  clearStorage(storage);
+  if (mode !== SESSION_MODES.SESSION) {
+    // A tab-only session of this tab would otherwise hide the new one.
+    clearStorage(sessionStorage);
+  }
+  if (mode === SESSION_MODES.COOKIE) {
+    // The cookies are the session; a token in the body is ignored on purpose.
+    delete sessionUser.token;
+  } else {
+    storage.setItem(ACCESS_TOKEN_KEY, sessionUser.token);
+    if (refreshToken) {
+      storage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+  }
+  storage.setItem(USER_KEY, JSON.stringify(sessionUser));
+  return sessionUser;
+};
+
+/**
+ * @description Replaces the profile part of the stored user (e.g. after a profile
+ * update), keeping the session fields. The record is replaced rather than merged,
+ * so removed fields (e.g. `avatar_url`) disappear too.
+ * @param {object} publicUser - The public user returned by a profile endpoint.
+ * @returns {object} The updated user object.
+ */
+const updateUser = (publicUser) => {
+  const storedUser = getUser() || {};
+  const user = { ...publicUser };
+  SESSION_FIELDS.forEach((field) => {
+    if (storedUser[field] !== undefined) user[field] = storedUser[field];
+  });
+  storageFor(getSessionMode()).setItem(USER_KEY, JSON.stringify(user));
+  return user;
+};
+
+/**
+ * @description The session to hand over to the other tabs. Only a sessionStorage
+ * session needs it: the other tabs read localStorage (and cookie sessions) themselves.
+ * @returns {object|null} The user with `token` and `refreshToken`, or null.
+ */
+const getSharedSession = () => {
+  if (getSessionMode() !== SESSION_MODES.SESSION) return null;
+  const user = getUser();
+  return user ? { ...user, refreshToken: getRefreshToken() } : null;
+};
+
+/**
+ * @description Stores a session handed over by another tab (see `getSharedSession`)
+ * in the sessionStorage of this tab.
+ * @param {object} session
+ * @returns {object} The user object without the refresh token.
+ */
+const adoptSharedSession = (session) =>
+  saveSession(session, { remember: false });
+
+/**
+ * @description A value that changes whenever the session is renewed, so callers
+ * can tell whether someone else (e.g. another tab) refreshed it in the meantime.
+ * @returns {string|number|null}
+ */
+const getSessionStamp = () =>
+  getAccessToken() ?? getUser()?.session_expires_at ?? null;
+
+const sessionStore = {
+  isCookieMode,
+  getSessionMode,
+  getUser,
+  getAccessToken,
+  getRefreshToken,
+  saveSession,
+  updateUser,
+  clearSession,
+  getSharedSession,
+  adoptSharedSession,
+  getSessionStamp,
+};
+
+export default sessionStore;
@@ -0,0 +1,24 @@
+import apiClient from "./apiClient";
+
+const API_SHIPPING_URL = "/shipping";
+/**
+ * @description This service reads the shipping rules (zones by PIN code prefix,
+ * rates by weight, the free-shipping threshold) the cart summary quotes with.
+ * The endpoint is public, so guests get estimates too.
+ */
+const shippingService = {
+  /**
+   * @description Fetches the current shipping rules.
+   * @returns {Promise<object>} The rules (see `src/utils/shipping.js`).
+   */
+  getRules: async () => {
+    try {
+      const response = await apiClient.get(`${API_SHIPPING_URL}/rules`);
+      return response.data.rules;
+    } catch (error) {
+      console.error("Error in shippingService.getRules:", error);
+      throw error;
+    }
+  },
+};
+export default shippingService;
@@ -0,0 +1,189 @@
+// src/utils/coupons.js
+// The promo-code rules: which codes apply to a cart and how much they take off.
+// The backend decides; the cart summary only shows what it answered.
+import { format } from "date-fns";
+
+// The kinds of promo codes.
+export const COUPON_TYPES = {
+  // `value` percent off the eligible items, optionally capped by `max_discount`.
+  PERCENTAGE: "percentage",
+  // `value` rupees off the eligible items.
+  FLAT: "flat",
+  // No shipping charge.
+  FREE_SHIPPING: "free_shipping",
+  // For every `buy` eligible units, `get` more are free (the cheapest ones).
+  BUY_X_GET_Y: "buy_x_get_y",
+};
+
+/**
+ * @description Puts a typed code in the form codes are stored in.
+ * @param {string} code
+ * @returns {string} e.g. " welcome10 " becomes "WELCOME10".
+ */
+export const normalizeCouponCode = (code) => String(code ?? "").trim().toUpperCase();
+
+/**
+ * @description Rounds an amount to paise.
+ * @param {number} amount
+ * @returns {number}
+ */
+const toPaise = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @description Formats an amount in rupees.
+ * @param {number} amount
+ * @returns {string} e.g. "₹1,250" or "₹99.50".
+ */
+const formatRupees = (amount) =>
+  `₹${amount.toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+/**
+ * @description Describes what a code gives, for the cart summary and the order.
+ * @param {object} coupon
+ * @returns {string} e.g. "10% off (up to ₹500)" or "Buy 2, get 1 free".
+ */
+export const describeCoupon = (coupon) => {
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE:
+      return coupon.max_discount
+        ? `${coupon.value}% off (up to ${formatRupees(coupon.max_discount)})`
+        : `${coupon.value}% off`;
+    case COUPON_TYPES.FLAT:
+      return `${formatRupees(coupon.value)} off`;
+    case COUPON_TYPES.FREE_SHIPPING:
+      return "Free shipping";
+    case COUPON_TYPES.BUY_X_GET_Y:
+      return `Buy ${coupon.buy}, get ${coupon.get} free`;
+    default:
+      return coupon.code;
+  }
+};
+
+/**
+ * @description Whether a cart line counts for a code limited to some products or categories.
+ * A code without such limits applies to every line.
+ * @param {object} coupon
+ * @param {object} product
+ * @returns {boolean}
+ */
+const isEligible = (coupon, product) => {
+  const productIds = coupon.product_ids || [];
+  const categories = coupon.categories || [];
+  if (productIds.length === 0 && categories.length === 0) return true;
+  return productIds.includes(product.id) || categories.includes(product.category);
+};
+
+/**
+ * @description The value of the free units of a buy-X-get-Y code: the units are
+ * grouped from the most to the least expensive, and the cheapest `get` of every
+ * group of `buy + get` are free.
+ * @param {object} coupon
+ * @param {Array<object>} lines - The eligible cart lines.
+ * @returns {number}
+ */
+const getFreeUnitsValue = (coupon, lines) => {
+  const prices = lines
+    .flatMap((line) => Array(line.quantity).fill(Number(line.product.price)))
+    .sort((a, b) => b - a);
+  const groupSize = coupon.buy + coupon.get;
+  let value = 0;
+  prices.forEach((price, index) => {
+    if (index % groupSize >= coupon.buy) value += price;
+  });
+  return value;
+};
+
+/**
+ * @description Checks a code against a cart and works out the discount.
+ * @param {object|undefined} coupon - The code's record (undefined when it does not exist).
+ * @param {object} context
+ * @param {Array<object>} context.items - Cart lines: `{ quantity, product: { id, price, category } }`.
+ * @param {number} [context.timesUsed=0] - How many orders of this customer already used the code.
+ * @param {Date} [context.now]
+ * @returns {{ valid: true, discount: number, freeShipping: boolean } | { valid: false, reason: string }}
+ */
+export const evaluateCoupon = (coupon, { items, timesUsed = 0, now = new Date() }) => {
+  if (!coupon) {
+    return { valid: false, reason: "This promo code does not exist." };
+  }
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+    return {
+      valid: false,
+      reason: `This code can be used from ${format(new Date(coupon.starts_at), "d MMM yyyy")}.`,
+    };
+  }
+  if (coupon.expires_at && now > new Date(coupon.expires_at)) {
+    return {
+      valid: false,
+      reason: `This code expired on ${format(new Date(coupon.expires_at), "d MMM yyyy")}.`,
+    };
+  }
+  if (coupon.usage_limit_per_user && timesUsed >= coupon.usage_limit_per_user) {
+    return {
+      valid: false,
+      reason:
+        coupon.usage_limit_per_user === 1
+          ? "You have already used this code."
+          : `This code can be used ${coupon.usage_limit_per_user} times per customer, and you have used them all.`,
+    };
+  }
+  const subtotal = items.reduce(
+    (sum, line) => sum + line.quantity * Number(line.product.price),
+    0
+  );
+  if (coupon.min_cart_value && subtotal < coupon.min_cart_value) {
+    return {
+      valid: false,
+      reason: `Add ${formatRupees(toPaise(coupon.min_cart_value - subtotal))} more to use this code (minimum order ${formatRupees(coupon.min_cart_value)}).`,
+    };
+  }
+  const eligibleLines = items.filter((line) => isEligible(coupon, line.product));
+  if (eligibleLines.length === 0) {
+    return {
+      valid: false,
+      reason: "None of the items in your cart qualify for this code.",
+    };
+  }
+  const eligibleSubtotal = eligibleLines.reduce(
+    (sum, line) => sum + line.quantity * Number(line.product.price),
+    0
+  );
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE: {
+      const discount = (eligibleSubtotal * coupon.value) / 100;
+      return {
+        valid: true,
+        discount: toPaise(
+          coupon.max_discount ? Math.min(discount, coupon.max_discount) : discount
+        ),
+        freeShipping: false,
+      };
+    }
+    case COUPON_TYPES.FLAT:
+      return {
+        valid: true,
+        discount: toPaise(Math.min(coupon.value, eligibleSubtotal)),
+        freeShipping: false,
+      };
+    case COUPON_TYPES.FREE_SHIPPING:
+      return { valid: true, discount: 0, freeShipping: true };
+    case COUPON_TYPES.BUY_X_GET_Y: {
+      const units = eligibleLines.reduce((count, line) => count + line.quantity, 0);
+      const groupSize = coupon.buy + coupon.get;
+      if (units < groupSize) {
+        const missing = groupSize - units;
+        return {
+          valid: false,
+          reason: `Add ${missing} more eligible ${missing === 1 ? "item" : "items"} to get ${coupon.get} free.`,
+        };
+      }
+      return {
+        valid: true,
+        discount: toPaise(getFreeUnitsValue(coupon, eligibleLines)),
+        freeShipping: false,
+      };
+    }
+    default:
+      return { valid: false, reason: "This promo code cannot be used." };
+  }
+};
@@ -0,0 +1,131 @@
+// src/utils/gst.js
+// GST on the goods of a cart or order. Each product carries its HSN code, its
+// GST rate and whether its price includes the tax. Deliveries inside the store's
+// state pay CGST + SGST (half the rate each); deliveries to other states pay IGST.
+
+// The state the store ships from.
+export const STORE_STATE = "Maharashtra";
+
+// The GST slabs a product can be in.
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+// Used for products saved before they had a rate (protein supplements are 18%).
+export const DEFAULT_GST_RATE = 18;
+
+/**
+ * @description Rounds an amount to paise.
+ * @param {number} amount
+ * @returns {number}
+ */
+const toPaise = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @description The GST rate of a product.
+ * @param {object} product
+ * @returns {number} Percent.
+ */
+export const getGstRate = (product) =>
+  product.gst_rate === undefined || product.gst_rate === null
+    ? DEFAULT_GST_RATE
+    : Number(product.gst_rate);
+
+/**
+ * @description Whether a product's price already includes GST (the default).
+ * @param {object} product
+ * @returns {boolean}
+ */
+export const isPriceTaxInclusive = (product) => product.price_includes_tax !== false;
+
+/**
+ * @description Says how GST applies to a product's price, next to the price.
+ * @param {object} product
+ * @returns {string} e.g. "incl. 18% GST" or "+ 18% GST".
+ */
+export const describePriceTax = (product) =>
+  `${isPriceTaxInclusive(product) ? "incl." : "+"} ${getGstRate(product)}% GST`;
+
+/**
+ * @description Whether a delivery stays in the store's state.
+ * @param {string|null} state - The state of the shipping address.
+ * @returns {boolean}
+ */
+export const isIntraState = (state) =>
+  String(state ?? "").trim().toLowerCase() === STORE_STATE.toLowerCase();
+
+/**
+ * @description Works out the GST of cart lines. The promo code discount is spread
+ * over the lines in proportion to their value, so tax is charged on what is paid.
+ * Without a shipping state the tax is shown as plain "GST" lines.
+ * @param {Array<object>} items - Lines: `{ quantity, product: { price, gst_rate, price_includes_tax } }`.
+ * @param {object} [context]
+ * @param {number} [context.discount=0] - The promo code discount.
+ * @param {string|null} [context.shippingState] - The state of the shipping address.
+ * @returns {{ intra_state: boolean|null, taxable_value: number, total_tax: number,
+ * added_tax: number, lines: Array<{ label: string, rate: number, taxable_value: number, amount: number }> }}
+ * `added_tax` is the part charged on top of tax-exclusive prices (the rest is in the prices).
+ */
+export const calculateGst = (items, { discount = 0, shippingState = null } = {}) => {
+  const subtotal = items.reduce(
+    (sum, line) => sum + line.quantity * Number(line.product.price),
+    0
+  );
+  // The share of every line that is actually paid after the discount.
+  const paidShare = subtotal > 0 ? Math.max(0, 1 - discount / subtotal) : 0;
+  // Taxable value and tax per rate.
+  const byRate = new Map();
+  let addedTax = 0;
+  items.forEach((line) => {
+    const rate = getGstRate(line.product);
+    const value = line.quantity * Number(line.product.price) * paidShare;
+    const inclusive = isPriceTaxInclusive(line.product);
+    const taxableValue = inclusive ? value / (1 + rate / 100) : value;
+    const tax = inclusive ? value - taxableValue : (value * rate) / 100;
+    if (!inclusive) addedTax += tax;
+    const entry = byRate.get(rate) || { taxable_value: 0, amount: 0 };
+    entry.taxable_value += taxableValue;
+    entry.amount += tax;
+    byRate.set(rate, entry);
+  });
+  const intraState = shippingState ? isIntraState(shippingState) : null;
+  const lines = [];
+  [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .forEach(([rate, entry]) => {
+      const taxableValue = toPaise(entry.taxable_value);
+      const amount = toPaise(entry.amount);
+      if (intraState) {
+        // Split in two halves that still add up to the tax.
+        const central = toPaise(amount / 2);
+        lines.push(
+          {
+            label: `CGST ${rate / 2}%`,
+            rate: rate / 2,
+            taxable_value: taxableValue,
+            amount: central,
+          },
+          {
+            label: `SGST ${rate / 2}%`,
+            rate: rate / 2,
+            taxable_value: taxableValue,
+            amount: toPaise(amount - central),
+          }
+        );
+      } else {
+        lines.push({
+          label: `${intraState === false ? "IGST" : "GST"} ${rate}%`,
+          rate,
+          taxable_value: taxableValue,
+          amount,
+        });
+      }
+    });
+  return {
+    intra_state: intraState,
+    taxable_value: toPaise(
+      [...byRate.values()].reduce((sum, entry) => sum + entry.taxable_value, 0)
+    ),
+    total_tax: toPaise(lines.reduce((sum, line) => sum + line.amount, 0)),
+    added_tax: toPaise(addedTax),
+    lines,
+  };
+};
@@ -0,0 +1,43 @@
+// src/utils/passwordStrength.js
+// Scores passwords for the strength meter and decides which ones we accept.
+
+// The minimum length the backend accepts for a new password.
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Label and Bootstrap colour for each score (0 = very weak, 4 = strong).
+const STRENGTH_LEVELS = [
+  { label: "Very weak", variant: "danger" },
+  { label: "Weak", variant: "danger" },
+  { label: "Fair", variant: "warning" },
+  { label: "Good", variant: "info" },
+  { label: "Strong", variant: "success" },
+];
+
+/**
+ * @description Scores a password from 0 to 4.
+ * One point each for: the minimum length, mixed case, a digit, a symbol.
+ * Passwords shorter than the minimum never score above 1.
+ * @param {string} password
+ * @returns {{ score: number, label: string, variant: string, checks: object }}
+ */
+export const getPasswordStrength = (password = "") => {
+  const checks = {
+    length: password.length >= MIN_PASSWORD_LENGTH,
+    mixedCase: /[a-z]/.test(password) && /[A-Z]/.test(password),
+    number: /\d/.test(password),
+    symbol: /[^A-Za-z0-9]/.test(password),
+  };
+  let score = Object.values(checks).filter(Boolean).length;
+  if (!checks.length) {
+    score = Math.min(score, 1);
+  }
+  return { score, ...STRENGTH_LEVELS[score], checks };
+};
+
+/**
+ * @description Whether a password is good enough to be set as a new password.
+ * @param {string} password
+ * @returns {boolean}
+ */
+export const isPasswordAcceptable = (password) =>
+  getPasswordStrength(password).score >= 3;
@@ -0,0 +1,129 @@
+// src/utils/payments.js
+// The ways an order can be paid, offered at checkout and accepted by the backend.
+import { SHIPPING_METHODS, findShippingZone } from "./shipping";
+
+// Paid in cash to the courier, or at the counter for click & collect.
+export const CASH_ON_DELIVERY = "cod";
+
+// The payment methods, in the order the checkout lists them. Online methods are
+// paid on the payment page right after the order is placed.
+export const PAYMENT_METHODS = [
+  {
+    id: "upi",
+    label: "UPI",
+    description: "Google Pay, PhonePe, Paytm or any other UPI app.",
+    online: true,
+  },
+  {
+    id: "card",
+    label: "Credit or debit card",
+    description: "Visa, Mastercard, RuPay and American Express.",
+    online: true,
+  },
+  {
+    id: "netbanking",
+    label: "Net banking",
+    description: "All major Indian banks.",
+    online: true,
+  },
+  {
+    id: CASH_ON_DELIVERY,
+    label: "Cash on delivery",
+    description: "Pay in cash when the order arrives, or at the counter when you collect it.",
+    online: false,
+  },
+];
+
+/**
+ * @description Finds a payment method by id.
+ * @param {string|null|undefined} id
+ * @returns {object|null}
+ */
+export const findPaymentMethod = (id) =>
+  PAYMENT_METHODS.find((method) => method.id === id) || null;
+
+/**
+ * @description Checks whether an order can be paid cash on delivery: up to a
+ * maximum order value, and (for deliveries) only to zones where couriers collect cash.
+ * @param {object} rules - The shipping rules.
+ * @param {object} context
+ * @param {number} context.amount - The order total.
+ * @param {string|null} context.pincode - Where the order ships.
+ * @param {string|null} context.shippingMethod - One of `SHIPPING_METHODS`.
+ * @returns {string|null} Why it cannot, or null when it can.
+ */
+export const checkCashOnDelivery = (rules, { amount, pincode, shippingMethod }) => {
+  const cod = rules?.cash_on_delivery;
+  if (!cod) return "Cash on delivery is not available.";
+  if (amount > cod.max_order_value) {
+    return `Cash on delivery is available for orders up to ₹${cod.max_order_value}.`;
+  }
+  if (
+    shippingMethod !== SHIPPING_METHODS.PICKUP &&
+    cod.excluded_zones.includes(findShippingZone(rules, pincode).id)
+  ) {
+    return `Cash on delivery is not available to PIN code ${pincode}.`;
+  }
+  return null;
+};
+
+// Where the payment of an order stands.
+export const PAYMENT_STATUSES = {
+  // Not paid yet (or the last attempt was closed without paying).
+  PENDING: "pending",
+  // Paid, but the bank has not confirmed it yet.
+  PROCESSING: "processing",
+  PAID: "paid",
+  FAILED: "failed",
+  // The order was canceled after it was paid.
+  REFUNDED: "refunded",
+};
+
+// How the statuses are shown on the order history (cash orders: see `describeOrderPayment`).
+const PAYMENT_STATUS_LABELS = {
+  [PAYMENT_STATUSES.PENDING]: "Awaiting payment",
+  [PAYMENT_STATUSES.PROCESSING]: "Payment processing",
+  [PAYMENT_STATUSES.PAID]: "Paid",
+  [PAYMENT_STATUSES.FAILED]: "Payment failed",
+  [PAYMENT_STATUSES.REFUNDED]: "Refunded",
+};
+
+/**
+ * @description Names a payment status.
+ * @param {string} status
+ * @returns {string}
+ */
+export const describePaymentStatus = (status) =>
+  PAYMENT_STATUS_LABELS[status] || status;
+
+/**
+ * @description Names where an order's payment stands; an unpaid cash order says
+ * when it is paid instead.
+ * @param {object} order
+ * @returns {string}
+ */
+export const describeOrderPayment = (order) => {
+  if (
+    order.payment.method === CASH_ON_DELIVERY &&
+    order.payment.status === PAYMENT_STATUSES.PENDING
+  ) {
+    return order.shipping?.method === SHIPPING_METHODS.PICKUP
+      ? "Pay at pickup"
+      : "Pay on delivery";
+  }
+  return describePaymentStatus(order.payment.status);
+};
+
+/**
+ * @description Whether an order can (still) be paid online: nothing was taken yet,
+ * or the last attempt failed or is still unconfirmed (a new attempt replaces it).
+ * Cash orders are paid on delivery.
+ * @param {object} order
+ * @returns {boolean}
+ */
+export const canPayOrder = (order) =>
+  order.status !== "canceled" &&
+  Boolean(findPaymentMethod(order.payment?.method)?.online) &&
+  [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.PROCESSING, PAYMENT_STATUSES.FAILED].includes(
+    order.payment?.status
+  );
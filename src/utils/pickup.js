@@ -0,0 +1,72 @@
+// src/utils/pickup.js
+// Click & collect at the Kolhapur store: the pickup slots the checkout offers
+// and the backend accepts. The rules (`store_pickup`) come with the shipping rules
+// from `GET /shipping/rules`. Slot times are store times.
+import { addDays, addHours, format } from "date-fns";
+
+// Where a click & collect order stands.
+export const PICKUP_STATUSES = {
+  // Placed; the store is packing it.
+  SCHEDULED: "scheduled",
+  // Packed and waiting at the counter.
+  READY: "ready",
+  COLLECTED: "collected",
+};
+
+/**
+ * @description Builds the date of a slot time on a day.
+ * @param {Date} day
+ * @param {string} time - "HH:mm".
+ * @returns {Date}
+ */
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * @description Lists the pickup slots that can still be booked: the next
+ * `days_ahead` days the store is open, from `lead_hours` after now.
+ * @param {object} rules - The shipping rules.
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{ id: string, day: string, time: string, label: string, starts_at: string,
+ * ends_at: string }>} The id is "<yyyy-MM-dd>T<HH:mm>", e.g. "2026-10-20T10:00";
+ * the label reads e.g. "Tue 20 Oct, 10:00–13:00".
+ */
+export const getPickupSlots = (rules, now = new Date()) => {
+  const pickup = rules?.store_pickup;
+  if (!pickup) return [];
+  const earliest = addHours(now, pickup.lead_hours);
+  const slots = [];
+  for (let offset = 0; offset < pickup.days_ahead; offset += 1) {
+    const day = addDays(now, offset);
+    if (pickup.closed_weekdays.includes(day.getDay())) continue;
+    pickup.slots.forEach((slot) => {
+      const startsAt = atTime(day, slot.start);
+      if (startsAt < earliest) return;
+      const dayLabel = format(day, "EEE d MMM");
+      const time = `${slot.start}–${slot.end}`;
+      slots.push({
+        id: `${format(day, "yyyy-MM-dd")}T${slot.start}`,
+        day: dayLabel,
+        time,
+        label: `${dayLabel}, ${time}`,
+        starts_at: startsAt.toISOString(),
+        ends_at: atTime(day, slot.end).toISOString(),
+      });
+    });
+  }
+  return slots;
+};
+
+/**
+ * @description Finds a slot that can still be booked.
+ * @param {object} rules
+ * @param {string|null} slotId
+ * @param {Date} [now=new Date()]
+ * @returns {object|null}
+ */
+export const findPickupSlot = (rules, slotId, now = new Date()) =>
+  getPickupSlots(rules, now).find((slot) => slot.id === slotId) || null;
@@ -0,0 +1,48 @@
+// src/utils/roles.js
+// Role names and helpers shared by AuthContext, the route guards and the Navbar.
+import { jwtDecode } from "jwt-decode";
+
+// The roles the backend puts in the JWT claims.
+export const ROLES = {
+  CUSTOMER: "customer",
+  ADMIN: "admin",
+  SELLER: "seller",
+};
+
+// Roles allowed to create, edit and delete products.
+export const PRODUCT_MANAGER_ROLES = [ROLES.ADMIN, ROLES.SELLER];
+
+/**
+ * @description Reads the roles of a user from the claims of their access token.
+ * The backend may send a single `role` claim or a `roles` array; both are supported.
+ * Accounts without any role claim are treated as customers.
+ * @param {string|null|undefined} accessToken - The JWT of the session.
+ * @returns {string[]} The user's roles (empty when there is no valid token).
+ */
+export const getRolesFromToken = (accessToken) => {
+  if (!accessToken) return [];
+  try {
+    const { role, roles } = jwtDecode(accessToken);
+    const claimed = Array.isArray(roles) ? roles : role ? [role] : [];
+    return claimed.length > 0
+      ? claimed.map((name) => String(name).toLowerCase())
+      : [ROLES.CUSTOMER];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * @description Reads the roles of the session user: from the token claims, or
+ * from the user record in cookie mode, where the frontend never sees the token.
+ * @param {object|null|undefined} user - The session user.
+ * @returns {string[]} The user's roles (empty without a session).
+ */
+export const getUserRoles = (user) => {
+  if (!user) return [];
+  if (user.token) return getRolesFromToken(user.token);
+  const claimed = Array.isArray(user.roles) ? user.roles : user.role ? [user.role] : [];
+  return claimed.length > 0
+    ? claimed.map((name) => String(name).toLowerCase())
+    : [ROLES.CUSTOMER];
+};
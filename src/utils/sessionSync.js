@@ -0,0 +1,109 @@
+// src/utils/sessionSync.js
+// Keeps the session consistent across the open tabs of the store.
+// Each tab announces logins, logouts, token refreshes and profile changes;
+// the other tabs re-read the session from storage when they hear about it.
+// A session kept in sessionStorage cannot be read by the other tabs, so it travels
+// with the message instead, and a newly opened tab asks the open ones for it.
+// BroadcastChannel is used where available, `storage` events otherwise.
+
+const CHANNEL_NAME = "protein-point-session";
+// Storage key used to carry the messages when BroadcastChannel is missing.
+const STORAGE_EVENT_KEY = "proteinPointSessionEvent";
+// Web Locks name that serializes token refreshes between tabs.
+const REFRESH_LOCK_NAME = "protein-point-token-refresh";
+// How long a newly opened tab waits for another tab to share its session.
+const SHARE_TIMEOUT_MS = 250;
+
+// The event types other tabs react to.
+export const SESSION_EVENTS = {
+  LOGIN: "login",
+  LOGOUT: "logout",
+  REFRESH: "refresh",
+  UPDATE: "update",
+  // A newly opened tab asks for a sessionStorage session...
+  REQUEST: "request",
+  // ...and a tab holding one answers with it.
+  SHARE: "share",
+};
+
+const channel =
+  typeof BroadcastChannel !== "undefined"
+    ? new BroadcastChannel(CHANNEL_NAME)
+    : null;
+
+/**
+ * @description Tells the other tabs that the session changed in this one.
+ * @param {string} type - One of `SESSION_EVENTS`.
+ * @param {object|null} [session] - A sessionStorage session (see
+ * `sessionStore.getSharedSession`); without it, receivers read the session from storage.
+ */
+export const broadcastSessionEvent = (type, session = null) => {
+  const message = { type, at: Date.now(), session };
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+  // Writing the key fires a `storage` event in every other tab. It is removed
+  // right away, so a token carried by the message does not stay in localStorage.
+  localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify(message));
+  localStorage.removeItem(STORAGE_EVENT_KEY);
+};
+
+/**
+ * @description Listens for session events sent by other tabs.
+ * @param {(type: string, session: object|null) => void} listener
+ * @returns {() => void} Removes the listener.
+ */
+export const subscribeToSessionEvents = (listener) => {
+  if (channel) {
+    const handleMessage = (event) =>
+      listener(event.data?.type, event.data?.session ?? null);
+    channel.addEventListener("message", handleMessage);
+    return () => channel.removeEventListener("message", handleMessage);
+  }
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+    try {
+      const message = JSON.parse(event.newValue);
+      listener(message.type, message.session ?? null);
+    } catch {
+      // Ignore values this version of the app did not write.
+    }
+  };
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
+
+/**
+ * @description Asks the other open tabs for their sessionStorage session, for a tab
+ * opened without a session of its own.
+ * @returns {Promise<object|null>} The first session shared, or null when no tab
+ * answers in time.
+ */
+export const requestSharedSession = () =>
+  new Promise((resolve) => {
+    const finish = (session) => {
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(session);
+    };
+    const timer = setTimeout(() => finish(null), SHARE_TIMEOUT_MS);
+    const unsubscribe = subscribeToSessionEvents((type, session) => {
+      if (type === SESSION_EVENTS.SHARE && session) finish(session);
+    });
+    broadcastSessionEvent(SESSION_EVENTS.REQUEST);
+  });
+
+/**
+ * @description Runs `task` while holding a lock shared by every tab, so only one
+ * tab at a time exchanges the (single use) refresh token. Browsers without the
+ * Web Locks API simply run the task.
+ * @param {() => Promise<*>} task
+ * @returns {Promise<*>} The result of `task`.
+ */
+export const withRefreshLock = (task) => {
+  if (typeof navigator !== "undefined" && navigator.locks) {
+    return navigator.locks.request(REFRESH_LOCK_NAME, task);
+  }
+  return task();
+};
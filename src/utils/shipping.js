@@ -0,0 +1,166 @@
+// src/utils/shipping.js
+// The shipping rate engine: what delivery to a PIN code costs for a cart. The
+// rules (zones, rates, free-shipping threshold, the click & collect counter) come
+// from `GET /shipping/rules`, so the cart summary and the backend's checkout quote alike.
+
+// The delivery methods.
+export const SHIPPING_METHODS = {
+  STANDARD: "standard",
+  EXPRESS: "express",
+  // Click & collect at the store (see `src/utils/pickup.js`).
+  PICKUP: "pickup",
+};
+
+// How the methods are named in the summary and on the order.
+const METHOD_LABELS = {
+  [SHIPPING_METHODS.STANDARD]: "Standard delivery",
+  [SHIPPING_METHODS.EXPRESS]: "Express delivery",
+  [SHIPPING_METHODS.PICKUP]: "Click & collect",
+};
+
+/**
+ * @description Finds the zone of a PIN code: the one with the longest matching
+ * prefix, or the default zone when none matches.
+ * @param {object} rules
+ * @param {string} pincode
+ * @returns {object}
+ */
+export const findShippingZone = (rules, pincode) => {
+  const pin = String(pincode ?? "").trim();
+  let match = null;
+  let matchLength = 0;
+  rules.zones.forEach((zone) => {
+    zone.prefixes.forEach((prefix) => {
+      if (pin.startsWith(prefix) && prefix.length > matchLength) {
+        match = zone;
+        matchLength = prefix.length;
+      }
+    });
+  });
+  return match || rules.default_zone;
+};
+
+/**
+ * @description Adds up the shipping weight of the cart lines.
+ * @param {object} rules
+ * @param {Array<object>} items - Cart lines: `{ quantity, product: { weight_grams } }`.
+ * @returns {number} Grams.
+ */
+export const getCartWeight = (rules, items) =>
+  items.reduce(
+    (sum, line) =>
+      sum +
+      line.quantity *
+        (Number(line.product.weight_grams) || rules.default_item_weight_grams),
+    0
+  );
+
+/**
+ * @description Describes a delivery time.
+ * @param {Array<number>} deliveryDays - `[fewest, most]` working days.
+ * @returns {string} e.g. "1 day" or "2–4 days".
+ */
+export const describeDeliveryDays = ([fewest, most]) =>
+  fewest === most
+    ? `${most} ${most === 1 ? "day" : "days"}`
+    : `${fewest}–${most} days`;
+
+/**
+ * @description Describes where and when a quoted method gets the order to the shopper.
+ * @param {object} option - From `getShippingOptions`.
+ * @returns {string} e.g. "2–4 days to Maharashtra" or "Collect at Protein Point Store, Kolhapur".
+ */
+export const describeShippingOption = (option) =>
+  option.method === SHIPPING_METHODS.PICKUP
+    ? `Collect at ${option.zone.name}`
+    : `${describeDeliveryDays(option.delivery_days)} to ${option.zone.name}`;
+
+/**
+ * @description How much more the cart must be worth to ship free by standard delivery.
+ * @param {object} rules
+ * @param {number} amount - The cart value after the promo code discount.
+ * @returns {number} 0 once the threshold is reached.
+ */
+export const getFreeShippingShortfall = (rules, amount) =>
+  Math.max(0, Math.round((rules.free_shipping_threshold - amount) * 100) / 100);
+
+/**
+ * @description Quotes every delivery method available to a PIN code.
+ * Standard delivery is free above the threshold or with a free-shipping promo code;
+ * express then only costs its surcharge. Click & collect is free and open to every PIN code.
+ * @param {object} rules
+ * @param {object} context
+ * @param {Array<object>} context.items - The cart lines.
+ * @param {string} context.pincode - Where the order ships.
+ * @param {number} context.amount - The cart value after the promo code discount.
+ * @param {boolean} [context.freeShipping=false] - A free-shipping promo code is applied.
+ * @returns {Array<object>} `[{ method, label, zone: { id, name }, weight_grams, amount,
+ * free_reason, delivery_days }]`; `free_reason` is "promo_code", "threshold" or null.
+ * For click & collect the zone is the store and `delivery_days` is null (a slot is booked).
+ */
+export const getShippingOptions = (
+  rules,
+  { items, pincode, amount, freeShipping = false }
+) => {
+  const zone = findShippingZone(rules, pincode);
+  const weight = getCartWeight(rules, items);
+  const extraKilograms = Math.max(
+    0,
+    Math.ceil((weight - zone.base_weight_grams) / 1000)
+  );
+  const standardRate = zone.base_rate + extraKilograms * zone.per_additional_kg;
+  let freeReason = null;
+  if (freeShipping) {
+    freeReason = "promo_code";
+  } else if (amount >= rules.free_shipping_threshold) {
+    freeReason = "threshold";
+  }
+  const standardAmount = freeReason ? 0 : standardRate;
+  const quote = {
+    zone: { id: zone.id, name: zone.name },
+    weight_grams: weight,
+  };
+  const options = [
+    {
+      ...quote,
+      method: SHIPPING_METHODS.STANDARD,
+      label: METHOD_LABELS[SHIPPING_METHODS.STANDARD],
+      amount: standardAmount,
+      free_reason: freeReason,
+      delivery_days: zone.delivery_days,
+    },
+  ];
+  if (zone.express) {
+    options.push({
+      ...quote,
+      method: SHIPPING_METHODS.EXPRESS,
+      label: METHOD_LABELS[SHIPPING_METHODS.EXPRESS],
+      amount: standardAmount + zone.express.surcharge,
+      free_reason: null,
+      delivery_days: zone.express.delivery_days,
+    });
+  }
+  if (rules.store_pickup) {
+    options.push({
+      zone: { id: "store_pickup", name: rules.store_pickup.store.name },
+      weight_grams: weight,
+      method: SHIPPING_METHODS.PICKUP,
+      label: METHOD_LABELS[SHIPPING_METHODS.PICKUP],
+      amount: 0,
+      free_reason: null,
+      delivery_days: null,
+    });
+  }
+  return options;
+};
+
+/**
+ * @description Quotes one delivery method.
+ * @param {object} rules
+ * @param {object} context - See `getShippingOptions`.
+ * @param {string} method - One of `SHIPPING_METHODS`.
+ * @returns {object|null} The quote, or null when the method does not deliver to the PIN code.
+ */
+export const quoteShipping = (rules, context, method) =>
+  getShippingOptions(rules, context).find((option) => option.method === method) ||
+  null;
@@ -0,0 +1,49 @@
+// src/utils/stock.js
+// How many units of a product one order may hold. Shared by the quantity
+// selectors, the carts (server and guest) and the stock check before checkout.
+
+/**
+ * @description The most units of a product one order can hold: the stock, or the
+ * product's `max_order_quantity` when that is lower.
+ * @param {object} product - Carries `stock` and, optionally, `max_order_quantity`.
+ * @returns {number} 0 when the product is out of stock.
+ */
+export const getOrderLimit = (product) => {
+  const stock = Math.max(0, Number(product?.stock) || 0);
+  const maxPerOrder = Number(product?.max_order_quantity);
+  return maxPerOrder > 0 ? Math.min(stock, maxPerOrder) : stock;
+};
+
+/**
+ * @description Explains the limit returned by `getOrderLimit`.
+ * @param {object} product
+ * @returns {string} e.g. "Only 3 left in stock" or "Limit of 2 per order".
+ */
+export const describeOrderLimit = (product) => {
+  const limit = getOrderLimit(product);
+  if (limit === 0) return "Out of stock";
+  return limit < (Number(product.stock) || 0)
+    ? `Limit of ${limit} per order`
+    : `Only ${limit} left in stock`;
+};
+
+/**
+ * @description Checks a quantity against the stock and the per-order maximum.
+ * @param {object} product - Carries `name`, `stock` and, optionally, `max_order_quantity`.
+ * @param {number} quantity - The total number of units wanted.
+ * @returns {string|null} Why the quantity cannot be ordered, or null when it can.
+ */
+export const getQuantityError = (product, quantity) => {
+  const stock = Math.max(0, Number(product.stock) || 0);
+  const maxPerOrder = Number(product.max_order_quantity);
+  if (stock === 0) {
+    return `${product.name} is out of stock.`;
+  }
+  if (quantity > stock) {
+    return `Only ${stock} units of ${product.name} are left in stock.`;
+  }
+  if (maxPerOrder > 0 && quantity > maxPerOrder) {
+    return `You can order at most ${maxPerOrder} units of ${product.name}.`;
+  }
+  return null;
+};
@@ -0,0 +1,50 @@
+// src/utils/token.js
+// Helpers to inspect the access token (JWT) of the session.
+import { jwtDecode } from "jwt-decode";
+
+/**
+ * @description Checks whether a JWT is missing, malformed or past its `exp` claim.
+ * @param {string|null|undefined} accessToken - The token to check.
+ * @returns {boolean} True when the token cannot be used anymore.
+ */
+export const isTokenExpired = (accessToken) => {
+  if (!accessToken) return true;
+  try {
+    const { exp } = jwtDecode(accessToken);
+    // Tokens without an `exp` claim never expire on their own.
+    return exp !== undefined && exp <= Date.now() / 1000;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * @description Reads when the session of a user was issued and when it expires,
+ * from the JWT or, in cookie mode (no token in the frontend), from the
+ * `session_issued_at` / `session_expires_at` fields sent by the backend.
+ * @param {object|null|undefined} user - The session user.
+ * @returns {{ iat: number|undefined, exp: number|undefined }} Seconds since the epoch.
+ */
+export const getSessionTimes = (user) => {
+  if (user?.token) {
+    try {
+      const { iat, exp } = jwtDecode(user.token);
+      return { iat, exp };
+    } catch {
+      return { iat: undefined, exp: 0 };
+    }
+  }
+  return { iat: user?.session_issued_at, exp: user?.session_expires_at };
+};
+
+/**
+ * @description Checks whether the session of a user can no longer be used as is.
+ * @param {object|null|undefined} user - The session user.
+ * @returns {boolean} True when there is no session or it has expired.
+ */
+export const isSessionExpired = (user) => {
+  if (!user) return true;
+  if (user.token) return isTokenExpired(user.token);
+  const { exp } = getSessionTimes(user);
+  return exp !== undefined && exp <= Date.now() / 1000;
+};
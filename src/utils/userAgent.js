@@ -0,0 +1,50 @@
+// src/utils/userAgent.js
+// Turns a user agent string into the short labels shown in the list of active sessions.
+
+// Checked in order: Edge and Opera also mention "Chrome", and Chrome mentions "Safari".
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["Windows", /Windows/],
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * @description Finds the first label whose pattern matches.
+ * @param {Array<[string, RegExp]>} candidates
+ * @param {string} userAgent
+ * @returns {string|null}
+ */
+const findLabel = (candidates, userAgent) =>
+  candidates.find(([, pattern]) => pattern.test(userAgent))?.[0] ?? null;
+
+/**
+ * @description Describes the device behind a user agent.
+ * @param {string|null|undefined} userAgent
+ * @returns {{ browser: string, os: string, device: "Mobile"|"Tablet"|"Desktop" }}
+ */
+export const describeUserAgent = (userAgent) => {
+  const ua = userAgent || "";
+  let device = "Desktop";
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    device = "Tablet";
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    device = "Mobile";
+  }
+  return {
+    browser: findLabel(BROWSERS, ua) || "Unknown browser",
+    os: findLabel(OPERATING_SYSTEMS, ua) || "Unknown system",
+    device,
+  };
+};
@@ -0,0 +1,131 @@
+// src/utils/validation.js
+// Field checks shared by the forms. Each validator returns an error message,
+// or an empty string when the value is valid.
+
+// A pragmatic email check: something@something.tld, without spaces.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @description Validates an email address.
+ * @param {string} email
+ * @returns {string} The error message, or "".
+ */
+export const validateEmail = (email = "") => {
+  if (!email.trim()) return "Please enter your email address.";
+  return EMAIL_PATTERN.test(email.trim())
+    ? ""
+    : "Enter a valid email address, e.g. name@example.com.";
+};
+
+// Indian mobile numbers: 10 digits starting with 6-9, optionally prefixed with +91 or 0.
+const PHONE_PATTERN = /^(?:\+91|0)?[6-9]\d{9}$/;
+
+/**
+ * @description Removes spaces and dashes, which people often type in phone numbers.
+ * @param {string} phone
+ * @returns {string}
+ */
+export const normalizePhone = (phone = "") => phone.replace(/[\s-]/g, "");
+
+/**
+ * @description Validates an (optional) Indian mobile number.
+ * @param {string} phone
+ * @returns {string} The error message, or "".
+ */
+export const validatePhone = (phone) => {
+  if (!phone) return "";
+  return PHONE_PATTERN.test(normalizePhone(phone))
+    ? ""
+    : "Enter a valid 10-digit mobile number.";
+};
+
+/**
+ * @description Validates a display name.
+ * @param {string} name
+ * @returns {string} The error message, or "".
+ */
+export const validateName = (name = "") => {
+  const trimmed = name.trim();
+  if (!trimmed) return "Please enter your name.";
+  if (trimmed.length > 60) return "The name can be at most 60 characters long.";
+  return "";
+};
+
+// Indian PIN codes: 6 digits, the first one is never 0.
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * @description Validates a 6-digit Indian PIN code.
+ * @param {string} pincode
+ * @returns {string} The error message, or "".
+ */
+export const validatePincode = (pincode = "") => {
+  if (!pincode.trim()) return "Please enter the PIN code.";
+  return PINCODE_PATTERN.test(pincode.trim())
+    ? ""
+    : "Enter a valid 6-digit PIN code.";
+};
+
+// The states and union territories offered in the address form.
+export const INDIAN_STATES = [
+  "Andaman and Nicobar Islands",
+  "Andhra Pradesh",
+  "Arunachal Pradesh",
+  "Assam",
+  "Bihar",
+  "Chandigarh",
+  "Chhattisgarh",
+  "Dadra and Nagar Haveli and Daman and Diu",
+  "Delhi",
+  "Goa",
+  "Gujarat",
+  "Haryana",
+  "Himachal Pradesh",
+  "Jammu and Kashmir",
+  "Jharkhand",
+  "Karnataka",
+  "Kerala",
+  "Ladakh",
+  "Lakshadweep",
+  "Madhya Pradesh",
+  "Maharashtra",
+  "Manipur",
+  "Meghalaya",
+  "Mizoram",
+  "Nagaland",
+  "Odisha",
+  "Puducherry",
+  "Punjab",
+  "Rajasthan",
+  "Sikkim",
+  "Tamil Nadu",
+  "Telangana",
+  "Tripura",
+  "Uttar Pradesh",
+  "Uttarakhand",
+  "West Bengal",
+];
+
+/**
+ * @description Validates every field of a shipping address.
+ * @param {object} address - `{ name, phone, line1, line2, city, state, pincode }`.
+ * @returns {object} Error messages keyed by field; empty when the address is valid.
+ */
+export const validateAddress = (address) => {
+  const errors = {
+    name: address.name?.trim()
+      ? validateName(address.name)
+      : "Please enter the recipient's name.",
+    phone: address.phone
+      ? validatePhone(address.phone)
+      : "Please enter a phone number.",
+    line1: address.line1?.trim() ? "" : "Please enter the address.",
+    city: address.city?.trim() ? "" : "Please enter the city.",
+    state: INDIAN_STATES.includes(address.state) ? "" : "Please choose a state.",
+    pincode: validatePincode(address.pincode),
+  };
+  // Keep only the fields that actually failed.
+  return Object.fromEntries(
+    Object.entries(errors).filter(([, message]) => message)
+  );
+};